@@ -4,47 +4,211 @@
 
 class PhotoelectricLaboratory {
     constructor() {
-        // Physical constants (exact values from laboratory manual)
-        this.constants = {
-            planckConstant: 4.136e-15,     // eV·s
-            speedOfLight: 3e8,             // m/s
-            elementaryCharge: 1.602e-19    // C
-        };
+        // Physics, instrument statistics and analysis live in the DOM-free core (physics.js);
+        // its configuration objects are shared here so the UI can read and edit them directly
+        this.core = new PhotoelectricCore();
+        this.constants = this.core.constants;
+        this.filters = this.core.filters;
+        this.lightSources = this.core.lightSources;
+        this.wavelengthLimits = this.core.wavelengthLimits;
+        this.defaultMaterials = this.core.defaultMaterials;
+        this.defaultQuantumEfficiency = this.core.defaultQuantumEfficiency;
+        this.apparatus = this.core.apparatus;
+        this.instrument = this.core.instrument;
+        this.currentModels = this.core.currentModels;
+        this.extractionMethods = this.core.extractionMethods;
 
-        // Laboratory filter specifications (exact from manual)
-        this.filters = {
-            blue: { wavelength: 438, frequency: 6.849e14, energy: 2.833, color: '#4169E1' },
-            green: { wavelength: 565, frequency: 5.310e14, energy: 2.196, color: '#00FF00' },
-            yellow: { wavelength: 578, frequency: 5.190e14, energy: 2.147, color: '#FFFF00' },
-            orange: { wavelength: 598, frequency: 5.017e14, energy: 2.075, color: '#FFA500' }
-        };
+        // Keyboard voltage steps (V); Shift selects the coarse step
+        this.voltageSteps = { fine: 0.01, coarse: 0.5 };
+
+        // Keyboard shortcuts, ignored while typing in a form control or with a dialog open.
+        // `keys` are KeyboardEvent.key values; `shift` restricts a binding to Shift held or released,
+        // `ctrl` marks bindings that need Ctrl (⌘ on macOS)
+        this.keyboardShortcuts = [
+            { keys: ['ArrowRight'], shift: false, label: '→', description: 'Raise voltage by 0.01 V', run: () => this.stepVoltage(this.voltageSteps.fine) },
+            { keys: ['ArrowLeft'], shift: false, label: '←', description: 'Lower voltage by 0.01 V', run: () => this.stepVoltage(-this.voltageSteps.fine) },
+            { keys: ['ArrowRight'], shift: true, label: 'Shift + →', description: 'Raise voltage by 0.5 V', run: () => this.stepVoltage(this.voltageSteps.coarse) },
+            { keys: ['ArrowLeft'], shift: true, label: 'Shift + ←', description: 'Lower voltage by 0.5 V', run: () => this.stepVoltage(-this.voltageSteps.coarse) },
+            { keys: ['0'], label: '0', description: 'Set voltage to 0 V', run: () => this.stepVoltage(-this.state.voltage) },
+            { keys: ['l', 'L'], label: 'L', description: 'Start or stop the experiment (lamp)', run: () => this.elements.switchLight.click() },
+            { keys: ['m', 'M'], label: 'M', description: 'Take a measurement', run: () => this.elements.takeMeasurement.click() },
+            { keys: ['s', 'S'], label: 'S', description: 'Auto I-V sweep (or cancel the running sweep)', run: () => this.elements.autoSweep.click() },
+            { keys: ['f'], label: 'F', description: 'Next filter', run: () => this.cycleFilter(1) },
+            { keys: ['F'], label: 'Shift + F', description: 'Previous filter', run: () => this.cycleFilter(-1) },
+            { keys: ['r', 'R'], label: 'R', description: 'Announce the current readings', run: () => this.announce(this.describeReadings()) },
+            { keys: ['Delete'], label: 'Delete', description: 'Delete the selected readings', run: () => this.deleteSelectedMeasurements() },
+            { keys: ['Escape'], label: 'Esc', description: 'Clear the reading selection', run: () => this.clearSelection() },
+            { keys: ['z', 'Z'], ctrl: true, shift: false, label: 'Ctrl + Z', description: 'Undo the last data action', run: () => this.undo() },
+            { keys: ['y', 'Y'], ctrl: true, label: 'Ctrl + Y', description: 'Redo', run: () => this.redo() },
+            { keys: ['z', 'Z'], ctrl: true, shift: true, label: 'Ctrl + Shift + Z', description: 'Redo', run: () => this.redo() },
+            { keys: ['?'], label: '?', description: 'Show this list', run: () => this.openShortcutsDialog() }
+        ];
 
-        // Photocathode materials database
-        this.materials = [
-            { name: "Cesium", symbol: "Cs", workFunction: 2.10, color: "#FF6B6B" },
-            { name: "Sodium", symbol: "Na", workFunction: 2.28, color: "#4ECDC4" },
-            { name: "Potassium", symbol: "K", workFunction: 2.30, color: "#45B7D1" },
-            { name: "Aluminum", symbol: "Al", workFunction: 4.08, color: "#96CEB4" },
-            { name: "Copper", symbol: "Cu", workFunction: 4.70, color: "#FFEAA7" },
-            { name: "Silver", symbol: "Ag", workFunction: 4.73, color: "#DDA0DD" },
-            { name: "Gold", symbol: "Au", workFunction: 5.10, color: "#FFD700" }
+        this.visibleRange = { min: 380, max: 780 };
+
+        // CIE 1931 2° colour matching functions [x̄, ȳ, z̄] at 10 nm steps from 380 to 780 nm
+        this.cieColorMatching = [
+            [0.001368, 0.000039, 0.006450], [0.004243, 0.000120, 0.020050], [0.014310, 0.000396, 0.067850],
+            [0.043510, 0.001210, 0.207400], [0.134380, 0.004000, 0.645600], [0.283900, 0.011600, 1.385600],
+            [0.348280, 0.023000, 1.747060], [0.336200, 0.038000, 1.772110], [0.290800, 0.060000, 1.669200],
+            [0.195360, 0.090980, 1.287640], [0.095640, 0.139020, 0.812950], [0.032010, 0.208020, 0.465180],
+            [0.004900, 0.323000, 0.272000], [0.009300, 0.503000, 0.158200], [0.063270, 0.710000, 0.078250],
+            [0.165500, 0.862000, 0.042160], [0.290400, 0.954000, 0.020300], [0.433450, 0.994950, 0.008750],
+            [0.594500, 0.995000, 0.003900], [0.762100, 0.952000, 0.002100], [0.916300, 0.870000, 0.001650],
+            [1.026300, 0.757000, 0.001100], [1.062200, 0.631000, 0.000800], [1.002600, 0.503000, 0.000340],
+            [0.854450, 0.381000, 0.000190], [0.642400, 0.265000, 0.000050], [0.447900, 0.175000, 0.000020],
+            [0.283500, 0.107000, 0.000000], [0.164900, 0.061000, 0.000000], [0.087400, 0.032000, 0.000000],
+            [0.046770, 0.017000, 0.000000], [0.022700, 0.008210, 0.000000], [0.011359, 0.004102, 0.000000],
+            [0.005790, 0.002091, 0.000000], [0.002899, 0.001047, 0.000000], [0.001440, 0.000520, 0.000000],
+            [0.000690, 0.000249, 0.000000], [0.000332, 0.000120, 0.000000], [0.000166, 0.000060, 0.000000],
+            [0.000083, 0.000030, 0.000000], [0.000042, 0.000015, 0.000000]
         ];
 
-        // Laboratory state
-        this.state = {
-            currentMaterial: this.materials[0],
-            currentFilter: 'blue',
-            customWavelength: 438,
-            voltage: 0,
+        this.materialsStorageKey = 'photoelectric-lab-materials';
+        // Collector recorded on readings from sessions saved before the collector could be chosen
+        this.legacyCollector = 'Standard (earlier session)';
+
+        // Unknown-sample assessment: a material picked at random with φ hidden. The pick uses a key kept
+        // in this browser's storage by assessment id, never in a session, so a saved file cannot reveal it
+        this.assessmentKeysStorageKey = 'photoelectric-lab-assessment-keys';
+        this.assessmentDefaults = {
+            toleranceH: 5,               // % of the true value of h
+            toleranceWorkFunction: 0.15  // eV
+        };
+        this.assessment = null;
+        this.assessmentResults = [];
+
+        // Laboratory state: the core's apparatus settings plus UI-only fields, in one object
+        this.state = Object.assign(this.core.state, {
+            wavelengthRange: { min: 180, max: 1100 },
+            wavelengthEntryUnit: 'wavelength',  // monochromator typed in as wavelength, frequency or energy
             isExperimentActive: false,
-            measurementCount: 0,
-            autoSweepActive: false
+            autoSweepActive: false,
+            sweepCancelRequested: false,
+            batchActive: false,
+            batchCancelRequested: false,
+            spectralScanActive: false,
+            spectralScanCancelRequested: false,
+            scriptActive: false,
+            scriptPaused: false,
+            scriptAbortRequested: false,
+            curveColorMode: 'wavelength'
+        });
+
+        // Protocol scripts: a line-per-command language or a JSON plan, compiled to the same steps
+        this.script = {
+            maxSteps: 10000,            // limit after loops are unrolled
+            example: [
+                '# Stopping potential for each filter, then the Planck fit',
+                'lamp on',
+                'clear',
+                'foreach filter',
+                '  sweep 1 -2 0.05 readings 3',
+                'end',
+                'fit'
+            ].join('\n')
         };
 
-        // Data storage
-        this.experimentData = [];
-        this.ivData = [];
-        this.frequencyData = [];
+        // Data storage (measurements, V_s per wavelength and the Planck fit are held by the core).
+        // Curve and scan points are derived from the included measurements, see refreshMeasurementViews
+        this.sweeps = [];
+        this.spectralScans = [];            // photocurrent vs wavelength at fixed forward bias
+        this.logEntries = [];
+
+        // Undo/redo of data actions: snapshots of the measurement record taken before each action
+        this.history = { undo: [], redo: [], limit: 100 };
+        this.selectedMeasurements = new Set();  // measurement ids picked on the I-V chart or raw table
+
+        // Raw measurement table: only the rows in view are rendered, each rowHeight px tall (see CSS)
+        this.rawTable = {
+            rowHeight: 28,
+            viewportHeight: 320,        // max-height of the scroll area
+            overscan: 10,               // extra rows rendered above and below the viewport
+            sort: { key: 'id', direction: 1 },
+            // Sort value for each column, keyed by the header's data-sort
+            sortValues: {
+                id: m => m.id,
+                time: m => m.timestamp.getTime(),
+                source: m => this.describeReadingSource(m),
+                material: m => m.material,
+                filter: m => m.filter,
+                wavelength: m => m.wavelength,
+                voltage: m => m.voltage,
+                current: m => m.current,
+                standardError: m => m.standardError,
+                status: m => m.excluded ? 1 : 0
+            },
+            rows: [],                   // filtered and sorted readings
+            highlighted: null           // id of the reading shown on the chart
+        };
+
+        // Time-resolved mode: a clock ticking at the logger rate advances the core's lamp model
+        this.timeMode = {
+            rate: 2,                    // Hz, one sample per tick
+            window: 60,                 // s of history shown on the strip chart
+            maxStep: 1,                 // s, longest step taken at once (e.g. after a throttled background tab)
+            logging: false,
+            timer: null,
+            lastTick: null,
+            lampStatus: 'off',
+            samples: []                 // strip chart samples within the window
+        };
+
+        // Session persistence (bump version and extend migrateSession when the format changes)
+        this.sessionFormat = {
+            name: 'photoelectric-lab-session',
+            version: 14,
+            storageKey: 'photoelectric-lab-autosave',
+            autosaveInterval: 2000      // ms, minimum time between autosaves
+        };
+        this.autosaveEnabled = false;
+        this.autosaveTimer = null;
+        this.autosaveFailed = false;
+
+        // Identifies the session and student in exports
+        this.sessionInfo = {
+            id: `PE-${new Date().toISOString().slice(0, 10).replace(/-/g, '')}-${Math.random().toString(36).slice(2, 6).toUpperCase()}`,
+            startedAt: new Date(),
+            studentName: '',
+            studentRoll: '',
+            reportFields: {}            // extra student fields defined by the report template
+        };
+
+        // Lab report layout; instructors can replace any part of it with a JSON template
+        this.defaultReportTemplate = {
+            institution: '',
+            course: '',
+            experimentNumber: '',
+            title: "Determination of Planck's Constant by the Photoelectric Effect",
+            headings: {
+                aim: 'Aim',
+                apparatus: 'Apparatus',
+                theory: 'Theory',
+                observations: 'Observations',
+                graphs: 'Graphs',
+                calculations: 'Calculations',
+                result: 'Result',
+                log: 'Laboratory Log'
+            },
+            aim: "To verify Einstein's photoelectric equation and determine Planck's constant from the " +
+                'stopping potential of a vacuum photocell at several frequencies of light.',
+            apparatus: [
+                'Vacuum photocell',
+                'Mercury vapour lamp with coloured filters',
+                'Regulated 6 V DC supply with potential divider',
+                'Digital voltmeter',
+                'Micro-ammeter'
+            ],
+            theory: 'A photon of frequency f ejects electrons with maximum kinetic energy KE_max = hf − φ. ' +
+                'The retarding potential V_s that just stops them satisfies eV_s = hf − φ, so a plot of V_s ' +
+                'against f is a straight line of slope h/e and intercept −φ/e.',
+            studentFields: [
+                { key: 'studentName', label: 'Name' },
+                { key: 'studentRoll', label: 'Roll Number' }
+            ]
+        };
+        this.reportTemplateStorageKey = 'photoelectric-lab-report-template';
+        this.reportTemplate = this.defaultReportTemplate;
         
         // Animation system
         this.animationTime = 0;
@@ -52,6 +216,9 @@ class PhotoelectricLaboratory {
         this.electronParticles = [];
         this.animationFrameId = null;
 
+        // Emission status last written to the live region (see updateEmissionStatus)
+        this.lastEmissionState = null;
+
         // Chart instances
         this.ivChart = null;
         this.frequencyChart = null;
@@ -59,25 +226,117 @@ class PhotoelectricLaboratory {
         this.initializeApplication();
     }
 
+    // Data and settings the UI replaces wholesale are stored on the core
+
+    get materials() { return this.core.materials; }
+    set materials(materials) { this.core.materials = materials; }
+
+    get sweepConfig() { return this.core.sweepConfig; }
+    set sweepConfig(config) { this.core.sweepConfig = config; }
+
+    get experimentData() { return this.core.experimentData; }
+    set experimentData(data) { this.core.experimentData = data; }
+
+    get frequencyData() { return this.core.frequencyData; }
+    set frequencyData(data) { this.core.frequencyData = data; }
+
+    get planckFit() { return this.core.planckFit; }
+    set planckFit(fit) { this.core.planckFit = fit; }
+
     initializeApplication() {
+        this.loadStoredMaterials();
         this.initializeElements();
+        this.populateMaterialSelect();
         this.setupEventListeners();
         this.initializeCharts();
         this.updateAllCalculations();
         this.startAnimationLoop();
         this.logMessage("Laboratory simulator initialized - Ready for photoelectric effect experiment");
+        this.elements.randomSeed.value = this.state.seed;
+        this.logMessage(`Random seed ${this.state.seed}`);
+        this.loadStoredReportTemplate();
+        this.updateHeaderStudent();
+        this.offerAutosavedSession();
+        this.autosaveEnabled = true;
     }
 
     initializeElements() {
         // Control elements
         this.elements = {
             materialSelect: document.getElementById('material-select'),
+            collectorSelect: document.getElementById('collector-select'),
+            manageMaterials: document.getElementById('manage-materials'),
+            materialsDialog: document.getElementById('materials-dialog'),
+            materialsTableBody: document.querySelector('#materials-table tbody'),
+            materialForm: document.getElementById('material-form'),
+            materialFormTitle: document.getElementById('material-form-title'),
+            materialName: document.getElementById('material-name'),
+            materialSymbol: document.getElementById('material-symbol'),
+            materialWorkFunction: document.getElementById('material-work-function'),
+            materialUncertainty: document.getElementById('material-uncertainty'),
+            materialColor: document.getElementById('material-color'),
+            materialHidden: document.getElementById('material-hidden'),
+            materialQePeak: document.getElementById('material-qe-peak'),
+            materialQeTable: document.getElementById('material-qe-table'),
+            materialFormCancel: document.getElementById('material-form-cancel'),
+            materialsImport: document.getElementById('materials-import'),
+            materialsFile: document.getElementById('materials-file'),
+            materialsExport: document.getElementById('materials-export'),
+            materialsReset: document.getElementById('materials-reset'),
+            materialsClose: document.getElementById('materials-close'),
+            assessmentButton: document.getElementById('assessment-button'),
+            assessmentStatus: document.getElementById('assessment-status'),
+            assessmentDialog: document.getElementById('assessment-dialog'),
+            assessmentForm: document.getElementById('assessment-form'),
+            assessmentSeed: document.getElementById('assessment-seed'),
+            assessmentPool: document.getElementById('assessment-pool'),
+            assessmentToleranceH: document.getElementById('assessment-tolerance-h'),
+            assessmentToleranceWorkFunction: document.getElementById('assessment-tolerance-phi'),
+            assessmentCancelDialog: document.getElementById('assessment-cancel-dialog'),
+            submissionDialog: document.getElementById('submission-dialog'),
+            submissionForm: document.getElementById('submission-form'),
+            submissionH: document.getElementById('submission-h'),
+            submissionWorkFunction: document.getElementById('submission-phi'),
+            submissionSummary: document.getElementById('submission-summary'),
+            submissionActions: document.getElementById('submission-actions'),
+            submissionCancelDialog: document.getElementById('submission-cancel-dialog'),
+            submissionClose: document.getElementById('submission-close'),
             filterSelect: document.getElementById('filter-select'),
-            customWavelengthGroup: document.getElementById('custom-wavelength-group'),
+            lightSourceSelect: document.getElementById('light-source-select'),
+            filterLeakageSelect: document.getElementById('filter-leakage'),
+            monochromatorGroup: document.getElementById('monochromator-group'),
+            monochromatorBandwidth: document.getElementById('monochromator-bandwidth'),
+            spectrumCanvas: document.getElementById('spectrum-canvas'),
+            constantsProfileSelect: document.getElementById('constants-profile'),
+            energyUnitSelect: document.getElementById('energy-unit'),
+            frequencyUnitSelect: document.getElementById('frequency-unit'),
+            wavelengthUnitSelect: document.getElementById('wavelength-unit'),
+            theoreticalPlanck: document.getElementById('theoretical-planck'),
+            liveAnnouncer: document.getElementById('live-announcer'),
+            energyDiagramDescription: document.getElementById('energy-diagram-description'),
+            setupDiagramDescription: document.getElementById('setup-diagram-description'),
+            chartTables: document.querySelectorAll('[data-chart-table]'),
+            showShortcuts: document.getElementById('show-shortcuts'),
+            shortcutsDialog: document.getElementById('shortcuts-dialog'),
+            shortcutsTable: document.getElementById('shortcuts-table'),
+            shortcutsClose: document.getElementById('shortcuts-close'),
+            dataTableWavelengthHeader: document.getElementById('data-table-wavelength'),
+            rawDataWavelengthHeader: document.getElementById('raw-data-wavelength'),
+            rawDataSummaryWavelengthHeader: document.getElementById('raw-data-summary-wavelength'),
+            dataTableFrequencyHeader: document.getElementById('data-table-frequency'),
             wavelengthSlider: document.getElementById('wavelength-slider'),
+            wavelengthEntry: document.getElementById('wavelength-entry'),
+            wavelengthEntryUnit: document.getElementById('wavelength-entry-unit'),
+            wavelengthRangeMin: document.getElementById('wavelength-range-min'),
+            wavelengthRangeMax: document.getElementById('wavelength-range-max'),
             wavelengthValue: document.getElementById('wavelength-value'),
             voltageSlider: document.getElementById('voltage-slider'),
             voltageValue: document.getElementById('voltage-value'),
+            intensitySlider: document.getElementById('intensity-slider'),
+            intensityValue: document.getElementById('intensity-value'),
+            distanceSlider: document.getElementById('distance-slider'),
+            distanceValue: document.getElementById('distance-value'),
+            currentModelSelect: document.getElementById('current-model'),
             
             // Display elements
             frequencyValue: document.getElementById('frequency-value'),
@@ -87,71 +346,382 @@ class PhotoelectricLaboratory {
             workFunctionValue: document.getElementById('work-function-value'),
             maxKeValue: document.getElementById('max-ke-value'),
             stoppingPotentialDisplay: document.getElementById('stopping-potential-display'),
+            contactPotentialValue: document.getElementById('contact-potential-value'),
+            apparentStoppingPotential: document.getElementById('apparent-stopping-potential'),
             thresholdFrequency: document.getElementById('threshold-frequency'),
             thresholdWavelength: document.getElementById('threshold-wavelength'),
             
             // Button elements
             switchLight: document.getElementById('switch-light'),
             takeMeasurement: document.getElementById('take-measurement'),
+            samplesLabel: document.getElementById('samples-label'),
             autoSweep: document.getElementById('auto-sweep'),
+            sweepDialog: document.getElementById('sweep-dialog'),
+            sweepForm: document.getElementById('sweep-form'),
+            sweepStart: document.getElementById('sweep-start'),
+            sweepStop: document.getElementById('sweep-stop'),
+            sweepStep: document.getElementById('sweep-step'),
+            sweepAdaptive: document.getElementById('sweep-adaptive'),
+            sweepFineStep: document.getElementById('sweep-fine-step'),
+            sweepDirection: document.getElementById('sweep-direction'),
+            sweepDwell: document.getElementById('sweep-dwell'),
+            sweepPasses: document.getElementById('sweep-passes'),
+            sweepCancelDialog: document.getElementById('sweep-cancel-dialog'),
+            runExperiment: document.getElementById('run-experiment'),
+            batchDialog: document.getElementById('batch-dialog'),
+            batchForm: document.getElementById('batch-form'),
+            batchWavelengths: document.getElementById('batch-wavelengths'),
+            batchClear: document.getElementById('batch-clear'),
+            batchCancelDialog: document.getElementById('batch-cancel-dialog'),
+            batchProgressGroup: document.getElementById('batch-progress-group'),
+            batchProgressLabel: document.getElementById('batch-progress-label'),
+            batchProgress: document.getElementById('batch-progress'),
             resetExperiment: document.getElementById('reset-experiment'),
             exportData: document.getElementById('export-data'),
+            exportDialog: document.getElementById('export-dialog'),
+            exportForm: document.getElementById('export-form'),
+            exportStudentName: document.getElementById('export-student-name'),
+            exportStudentRoll: document.getElementById('export-student-roll'),
+            exportFormat: document.getElementById('export-format'),
+            headerStudent: document.getElementById('header-student'),
+            generateReport: document.getElementById('generate-report'),
+            reportDialog: document.getElementById('report-dialog'),
+            reportForm: document.getElementById('report-form'),
+            reportFields: document.getElementById('report-fields'),
+            reportTemplateStatus: document.getElementById('report-template-status'),
+            reportTemplateLoad: document.getElementById('report-template-load'),
+            reportTemplateFile: document.getElementById('report-template-file'),
+            reportTemplateDownload: document.getElementById('report-template-download'),
+            reportTemplateReset: document.getElementById('report-template-reset'),
+            reportCancelDialog: document.getElementById('report-cancel-dialog'),
+            exportCancelDialog: document.getElementById('export-cancel-dialog'),
+            saveSession: document.getElementById('save-session'),
+            loadSession: document.getElementById('load-session'),
+            sessionFile: document.getElementById('session-file'),
+            randomSeed: document.getElementById('random-seed'),
+            newSeed: document.getElementById('new-seed'),
+            scriptEditor: document.getElementById('script-editor'),
+            scriptExample: document.getElementById('script-example'),
+            scriptRun: document.getElementById('script-run'),
+            scriptPause: document.getElementById('script-pause'),
+            scriptAbort: document.getElementById('script-abort'),
+            scriptOpen: document.getElementById('script-open'),
+            scriptSave: document.getElementById('script-save'),
+            scriptFile: document.getElementById('script-file'),
+            scriptProgressGroup: document.getElementById('script-progress-group'),
+            scriptProgressLabel: document.getElementById('script-progress-label'),
+            scriptProgress: document.getElementById('script-progress'),
             clearGraph: document.getElementById('clear-graph'),
+            undo: document.getElementById('undo'),
+            redo: document.getElementById('redo'),
+            selectionStatus: document.getElementById('selection-status'),
+            selectionExclude: document.getElementById('selection-exclude'),
+            selectionInclude: document.getElementById('selection-include'),
+            selectionDelete: document.getElementById('selection-delete'),
+            selectionClear: document.getElementById('selection-clear'),
             
             // Result displays
             stoppingPotential: document.getElementById('stopping-potential'),
+            extractionMethodSelect: document.getElementById('vs-method'),
             saturationCurrent: document.getElementById('saturation-current'),
             currentValue: document.getElementById('current-value'),
             liveCurrent: document.getElementById('live-current'),
             currentUncertainty: document.getElementById('current-uncertainty'),
             calculatedPlanck: document.getElementById('calculated-planck'),
             accuracy: document.getElementById('accuracy'),
+            fitIntercept: document.getElementById('fit-intercept'),
+            fitWorkFunction: document.getElementById('fit-work-function'),
+            fitThreshold: document.getElementById('fit-threshold'),
+            fitRSquared: document.getElementById('fit-r-squared'),
+            fitChiSquared: document.getElementById('fit-chi-squared'),
+            fitContactNote: document.getElementById('fit-contact-note'),
+            fitGroupSelect: document.getElementById('fit-group-select'),
             measurementCount: document.getElementById('measurement-count'),
             stdError: document.getElementById('std-error'),
+            samplesPerPoint: document.getElementById('samples-per-point'),
+            gaussianNoise: document.getElementById('gaussian-noise'),
+            shotNoise: document.getElementById('shot-noise'),
+            ammeterRange: document.getElementById('ammeter-range'),
+            ammeterResolution: document.getElementById('ammeter-resolution'),
+            offsetDrift: document.getElementById('offset-drift'),
+            voltmeterResolution: document.getElementById('voltmeter-resolution'),
             graphStatus: document.getElementById('graph-status'),
+            curveColorMode: document.getElementById('curve-color-mode'),
+            curveList: document.getElementById('curve-list'),
             
             // Canvas elements
             energyDiagram: document.getElementById('energy-diagram'),
             setupDiagram: document.getElementById('setup-diagram'),
             ivChart: document.getElementById('iv-chart'),
             frequencyChart: document.getElementById('frequency-chart'),
+            spectralChart: document.getElementById('spectral-chart'),
+            timeChart: document.getElementById('time-chart'),
+            timeMode: document.getElementById('time-mode'),
+            loggerRate: document.getElementById('logger-rate'),
+            timeWindow: document.getElementById('time-window'),
+            loggerToggle: document.getElementById('logger-toggle'),
+            loggerClear: document.getElementById('logger-clear'),
+            loggerExport: document.getElementById('logger-export'),
+            loggerStatus: document.getElementById('logger-status'),
+            lampStatus: document.getElementById('lamp-status'),
+            spectralStart: document.getElementById('spectral-start'),
+            spectralStop: document.getElementById('spectral-stop'),
+            spectralStep: document.getElementById('spectral-step'),
+            spectralBias: document.getElementById('spectral-bias'),
+            spectralScan: document.getElementById('spectral-scan'),
+            spectralClear: document.getElementById('spectral-clear'),
+            spectralStatus: document.getElementById('spectral-status'),
             
             // Data table and log
             dataTableBody: document.querySelector('#data-table tbody'),
+            rawData: document.getElementById('raw-data'),
+            rawDataScroll: document.getElementById('raw-data-scroll'),
+            rawDataHead: document.querySelector('#raw-data-table thead'),
+            rawDataBody: document.querySelector('#raw-data-table tbody'),
+            rawDataMaterial: document.getElementById('raw-data-material'),
+            rawDataFilter: document.getElementById('raw-data-filter'),
+            rawDataMinVoltage: document.getElementById('raw-data-vmin'),
+            rawDataMaxVoltage: document.getElementById('raw-data-vmax'),
+            rawDataCount: document.getElementById('raw-data-count'),
+            rawDataSelectAll: document.getElementById('raw-data-select-all'),
+            rawDataGroup: document.getElementById('raw-data-group'),
+            rawDataSummaryBody: document.querySelector('#raw-data-summary tbody'),
             experimentLog: document.getElementById('experiment-log')
         };
 
         // Get canvas contexts
         this.energyCtx = this.elements.energyDiagram.getContext('2d');
         this.setupCtx = this.elements.setupDiagram.getContext('2d');
+        this.spectrumCtx = this.elements.spectrumCanvas.getContext('2d');
     }
 
     setupEventListeners() {
         // Material selection
         this.elements.materialSelect.addEventListener('change', (e) => {
-            this.state.currentMaterial = this.materials[parseInt(e.target.value)];
+            this.state.currentMaterial = this.materials.find(m => m.id === e.target.value);
+            this.updateAllCalculations();
+            this.updateFrequencyAnalysis();
+            this.logMessage(`Material changed to ${this.describeMaterial(this.state.currentMaterial)}`);
+        });
+
+        this.elements.collectorSelect.addEventListener('change', (e) => {
+            const collector = this.core.setCollector(e.target.value || null);
+            this.updateAllCalculations();
+            this.updateFrequencyAnalysis();
+            this.logMessage(collector
+                ? `Collector changed to ${this.describeMaterial(collector)}`
+                : `Standard collector fitted - ${this.apparatus.contactPotential.toFixed(2)} V contact potential in the realistic model`);
+        });
+
+        // Material manager
+        this.elements.manageMaterials.addEventListener('click', () => {
+            this.openMaterialManager();
+        });
+
+        this.elements.materialForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveMaterialFromForm();
+        });
+
+        this.elements.materialFormCancel.addEventListener('click', () => {
+            this.resetMaterialForm();
+        });
+
+        this.elements.materialHidden.addEventListener('change', () => {
+            // Un-hiding a hidden material takes a new φ; the stored one is never shown
+            const editingId = this.elements.materialForm.dataset.editing;
+            const existing = editingId ? this.materials.find(m => m.id === editingId) : null;
+            if (existing && existing.hidden) {
+                this.elements.materialWorkFunction.required = !this.elements.materialHidden.checked;
+                this.elements.materialWorkFunction.placeholder = this.elements.materialHidden.checked ? 'unchanged (hidden)' : '';
+            }
+        });
+
+        this.elements.materialsImport.addEventListener('click', () => {
+            this.elements.materialsFile.click();
+        });
+
+        this.elements.materialsFile.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.importMaterials(file);
+        });
+
+        this.elements.materialsExport.addEventListener('click', () => {
+            this.exportMaterials();
+        });
+
+        this.elements.materialsReset.addEventListener('click', () => {
+            if (!confirm('Replace all materials with the built-in set? Custom photocathodes will be removed.')) return;
+            this.setMaterials(this.defaultMaterials.map(material => ({ ...material })));
+            this.logMessage('Material database reset to built-in metals');
+        });
+
+        this.elements.materialsClose.addEventListener('click', () => {
+            this.elements.materialsDialog.close();
+        });
+
+        // Unknown-sample assessment
+        this.elements.assessmentButton.addEventListener('click', () => {
+            if (this.assessment) {
+                this.openSubmissionDialog();
+            } else {
+                this.elements.assessmentDialog.showModal();
+            }
+        });
+
+        this.elements.assessmentForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const config = this.readAssessmentDialog();
+            if (!config) return;
+            this.elements.assessmentDialog.close();
+            this.startAssessment(config);
+        });
+
+        this.elements.assessmentCancelDialog.addEventListener('click', () => {
+            this.elements.assessmentDialog.close();
+        });
+
+        this.elements.submissionForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitAssessment();
+        });
+
+        this.elements.submissionCancelDialog.addEventListener('click', () => {
+            this.elements.submissionDialog.close();
+        });
+
+        this.elements.submissionClose.addEventListener('click', () => {
+            this.elements.submissionDialog.close();
+        });
+
+        // Light source
+        this.elements.lightSourceSelect.addEventListener('change', (e) => {
+            this.state.lightSource = e.target.value;
+            if (this.state.timeResolved && this.state.isExperimentActive) {
+                // A freshly struck lamp starts cold
+                this.core.switchLamp(false);
+                this.core.switchLamp(true);
+            }
+            // A filter passes different lines of each lamp
+            this.updateWavelengthReadout();
             this.updateAllCalculations();
-            this.logMessage(`Material changed to ${this.state.currentMaterial.name} (φ = ${this.state.currentMaterial.workFunction} eV)`);
+            this.logMessage(`Light source changed to ${this.lightSources[this.state.lightSource].name}`);
+        });
+
+        // Time-resolved mode and data logger
+        this.elements.timeMode.addEventListener('change', (e) => {
+            this.setTimeResolved(e.target.checked);
+        });
+
+        this.elements.loggerRate.addEventListener('change', (e) => {
+            this.timeMode.rate = parseFloat(e.target.value);
+            if (this.timeMode.timer !== null) this.startTimeClock();
+            this.logMessage(`Data logger rate set to ${this.timeMode.rate} Hz`);
+        });
+
+        this.elements.timeWindow.addEventListener('change', (e) => {
+            this.timeMode.window = parseFloat(e.target.value);
+            this.trimTimeSamples();
+            this.updateTimeChart();
+        });
+
+        this.elements.loggerToggle.addEventListener('click', () => {
+            this.toggleLogging();
+        });
+
+        this.elements.loggerClear.addEventListener('click', () => {
+            this.clearTimeSeries();
+        });
+
+        this.elements.loggerExport.addEventListener('click', () => {
+            this.exportTimeSeries();
+        });
+
+        // Physical constants and display units
+        this.elements.constantsProfileSelect.addEventListener('change', (e) => {
+            this.setConstantsProfile(e.target.value);
+        });
+
+        [
+            ['energy', this.elements.energyUnitSelect],
+            ['frequency', this.elements.frequencyUnitSelect],
+            ['wavelength', this.elements.wavelengthUnitSelect]
+        ].forEach(([kind, select]) => {
+            select.addEventListener('change', (e) => {
+                this.state.displayUnits[kind] = e.target.value;
+                this.applyDisplayUnits();
+            });
         });
 
         // Filter selection
         this.elements.filterSelect.addEventListener('change', (e) => {
             const filterValue = e.target.value;
-            if (filterValue === 'custom') {
-                this.elements.customWavelengthGroup.style.display = 'block';
+            if (filterValue === 'monochromator') {
+                this.elements.monochromatorGroup.style.display = 'block';
+                this.state.currentFilter = 'monochromator';
                 this.updateWavelengthFromSlider();
             } else {
-                this.elements.customWavelengthGroup.style.display = 'none';
+                this.elements.monochromatorGroup.style.display = 'none';
                 this.state.currentFilter = filterValue;
                 this.updateFilterDisplay();
             }
             this.updateAllCalculations();
         });
 
-        // Custom wavelength slider
+        this.elements.filterLeakageSelect.addEventListener('change', (e) => {
+            this.state.filterLeakage = parseFloat(e.target.value);
+            this.updateAllCalculations();
+            this.logMessage(`Filter out-of-band leakage set to ${this.state.filterLeakage > 0 ? this.state.filterLeakage.toExponential(0) : 'none (ideal filters)'}`);
+        });
+
+        // Monochromator wavelength and slit width
         this.elements.wavelengthSlider.addEventListener('input', (e) => {
-            this.state.customWavelength = parseInt(e.target.value);
-            this.updateWavelengthFromSlider();
+            this.setMonochromatorWavelength(parseFloat(e.target.value));
+            this.updateAllCalculations();
+        });
+
+        // Direct entry as wavelength, frequency or photon energy
+        this.elements.wavelengthEntry.addEventListener('change', (e) => {
+            const wavelength = this.entryToWavelength(parseFloat(e.target.value), this.state.wavelengthEntryUnit);
+            if (wavelength === null) {
+                this.updateWavelengthEntry();
+                return;
+            }
+            this.setMonochromatorWavelength(wavelength);
+            this.updateAllCalculations();
+        });
+
+        this.elements.wavelengthEntryUnit.addEventListener('change', (e) => {
+            this.state.wavelengthEntryUnit = e.target.value;
+            this.updateWavelengthEntry();
+        });
+
+        [this.elements.wavelengthRangeMin, this.elements.wavelengthRangeMax].forEach(input => {
+            input.addEventListener('change', () => {
+                const range = {
+                    min: parseFloat(this.elements.wavelengthRangeMin.value),
+                    max: parseFloat(this.elements.wavelengthRangeMax.value)
+                };
+                const limits = this.wavelengthLimits;
+                if (!(range.min >= limits.min && range.max <= limits.max && range.max - range.min >= 10)) {
+                    alert(`Wavelength range must lie within ${limits.min}–${limits.max} nm and span at least 10 nm.`);
+                    this.applyWavelengthRange();
+                    return;
+                }
+                this.state.wavelengthRange = range;
+                this.applyWavelengthRange();
+                this.updateAllCalculations();
+                this.logMessage(`Monochromator range set to ${range.min}–${range.max} nm`);
+            });
+        });
+
+        this.elements.monochromatorBandwidth.addEventListener('change', (e) => {
+            const bandwidth = parseFloat(e.target.value);
+            this.state.monochromatorBandwidth = isFinite(bandwidth) && bandwidth > 0
+                ? Math.min(50, Math.max(0.5, bandwidth))
+                : this.state.monochromatorBandwidth;
+            e.target.value = this.state.monochromatorBandwidth;
             this.updateAllCalculations();
         });
 
@@ -164,6 +734,82 @@ class PhotoelectricLaboratory {
             this.updateAllCalculations();
         });
 
+        // Announced once the slider is released, not on every intermediate value
+        this.elements.voltageSlider.addEventListener('change', () => {
+            this.announce(this.describeReadings());
+        });
+
+        // Lamp intensity and distance
+        this.elements.intensitySlider.addEventListener('input', (e) => {
+            this.state.intensity = parseInt(e.target.value);
+            this.elements.intensityValue.textContent = this.state.intensity;
+            this.updateAllCalculations();
+        });
+
+        this.elements.intensitySlider.addEventListener('change', () => {
+            this.logMessage(`Lamp intensity set to ${this.state.intensity}% (relative photon flux ${this.core.calculatePhysics().relativeFlux.toFixed(2)})`);
+        });
+
+        this.elements.distanceSlider.addEventListener('input', (e) => {
+            this.state.distance = parseInt(e.target.value);
+            this.elements.distanceValue.textContent = this.state.distance;
+            this.updateAllCalculations();
+        });
+
+        this.elements.distanceSlider.addEventListener('change', () => {
+            this.logMessage(`Lamp-cell distance set to ${this.state.distance} cm (relative photon flux ${this.core.calculatePhysics().relativeFlux.toFixed(2)})`);
+        });
+
+        // Photocurrent model
+        this.elements.currentModelSelect.addEventListener('change', (e) => {
+            this.state.currentModel = e.target.value;
+            this.updateAllCalculations();
+            this.logMessage(`Photocurrent model changed to ${this.currentModels[this.state.currentModel]}`);
+        });
+
+        // Instrument model
+        [
+            this.elements.samplesPerPoint,
+            this.elements.gaussianNoise,
+            this.elements.shotNoise,
+            this.elements.ammeterRange,
+            this.elements.ammeterResolution,
+            this.elements.offsetDrift,
+            this.elements.voltmeterResolution
+        ].forEach(control => {
+            control.addEventListener('change', () => {
+                this.updateInstrumentFromControls();
+            });
+        });
+
+        // Seeded noise
+        this.elements.randomSeed.addEventListener('change', (e) => {
+            this.setRandomSeed(e.target.value);
+        });
+
+        this.elements.newSeed.addEventListener('click', () => {
+            this.setRandomSeed(this.core.createSeed());
+        });
+
+        // Keyboard control and accessible chart data
+        document.addEventListener('keydown', (e) => {
+            this.handleShortcut(e);
+        });
+
+        this.elements.showShortcuts.addEventListener('click', () => {
+            this.openShortcutsDialog();
+        });
+
+        this.elements.shortcutsClose.addEventListener('click', () => {
+            this.elements.shortcutsDialog.close();
+        });
+
+        this.elements.chartTables.forEach(details => {
+            details.addEventListener('toggle', () => {
+                if (details.open) this.renderChartTable(details);
+            });
+        });
+
         // Laboratory control buttons
         this.elements.switchLight.addEventListener('click', () => {
             this.toggleExperiment();
@@ -174,20 +820,262 @@ class PhotoelectricLaboratory {
         });
 
         this.elements.autoSweep.addEventListener('click', () => {
+            if (this.state.autoSweepActive) {
+                this.cancelAutoSweep();
+            } else {
+                this.openSweepDialog();
+            }
+        });
+
+        this.elements.sweepForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const config = this.readSweepDialog();
+            if (!config) return;
+            this.sweepConfig = config;
+            this.elements.sweepDialog.close();
             this.performAutoSweep();
         });
 
+        this.elements.sweepCancelDialog.addEventListener('click', () => {
+            this.elements.sweepDialog.close();
+        });
+
+        // Multi-wavelength batch experiment
+        this.elements.runExperiment.addEventListener('click', () => {
+            if (this.state.batchActive) {
+                this.cancelFullExperiment();
+            } else if (this.state.isExperimentActive) {
+                this.elements.batchDialog.showModal();
+            }
+        });
+
+        this.elements.batchForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const plan = this.readBatchDialog();
+            if (!plan) return;
+            this.elements.batchDialog.close();
+            this.runFullExperiment(plan);
+        });
+
+        this.elements.batchCancelDialog.addEventListener('click', () => {
+            this.elements.batchDialog.close();
+        });
+
         this.elements.resetExperiment.addEventListener('click', () => {
             this.resetExperiment();
         });
 
         this.elements.exportData.addEventListener('click', () => {
-            this.exportLaboratoryData();
+            this.openExportDialog();
+        });
+
+        this.elements.exportForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.sessionInfo.studentName = this.elements.exportStudentName.value.trim();
+            this.sessionInfo.studentRoll = this.elements.exportStudentRoll.value.trim();
+            this.updateHeaderStudent();
+            const content = this.elements.exportForm.elements['export-content'].value;
+            const format = this.elements.exportFormat.value;
+            this.elements.exportDialog.close();
+            if (format === 'json') {
+                this.exportJSON(content);
+            } else if (format === 'xlsx') {
+                this.exportWorkbook(content);
+            } else {
+                this.exportLaboratoryData(content);
+            }
+        });
+
+        this.elements.exportCancelDialog.addEventListener('click', () => {
+            this.elements.exportDialog.close();
+        });
+
+        // Lab report
+        this.elements.generateReport.addEventListener('click', () => {
+            this.openReportDialog();
+        });
+
+        this.elements.reportForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.readReportFields();
+            this.elements.reportDialog.close();
+            this.generateLabReport();
+        });
+
+        this.elements.reportTemplateLoad.addEventListener('click', () => {
+            this.elements.reportTemplateFile.click();
+        });
+
+        this.elements.reportTemplateFile.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.importReportTemplate(file);
+        });
+
+        this.elements.reportTemplateDownload.addEventListener('click', () => {
+            this.downloadFile(JSON.stringify(this.reportTemplate, null, 2), 'photoelectric_report_template.json', 'application/json');
+        });
+
+        this.elements.reportTemplateReset.addEventListener('click', () => {
+            this.readReportFields();
+            this.setReportTemplate(this.defaultReportTemplate);
+            localStorage.removeItem(this.reportTemplateStorageKey);
+            this.logMessage('Report template reset to default');
+        });
+
+        this.elements.reportCancelDialog.addEventListener('click', () => {
+            this.elements.reportDialog.close();
+        });
+
+        // Chart and diagram images
+        document.querySelectorAll('[data-export-image]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.exportImage(button.dataset.exportImage);
+            });
+        });
+
+        // Session save / restore
+        this.elements.saveSession.addEventListener('click', () => {
+            this.exportSession();
+        });
+
+        this.elements.loadSession.addEventListener('click', () => {
+            this.elements.sessionFile.click();
+        });
+
+        this.elements.sessionFile.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.importSession(file);
         });
 
         this.elements.clearGraph.addEventListener('click', () => {
             this.clearGraphs();
         });
+
+        // Measurement history: undo/redo and editing selected readings
+        this.elements.undo.addEventListener('click', () => this.undo());
+        this.elements.redo.addEventListener('click', () => this.redo());
+        this.elements.selectionExclude.addEventListener('click', () => this.excludeSelectedMeasurements(true));
+        this.elements.selectionInclude.addEventListener('click', () => this.excludeSelectedMeasurements(false));
+        this.elements.selectionDelete.addEventListener('click', () => this.deleteSelectedMeasurements());
+        this.elements.selectionClear.addEventListener('click', () => this.clearSelection());
+
+        // Raw measurement table: filters, sorting, selection and highlighting on the chart
+        this.elements.rawData.addEventListener('toggle', () => this.updateRawTable());
+        this.elements.rawDataScroll.addEventListener('scroll', () => this.renderRawTableRows());
+        [this.elements.rawDataMaterial, this.elements.rawDataFilter, this.elements.rawDataGroup].forEach(select => {
+            select.addEventListener('change', () => this.updateRawTable());
+        });
+        [this.elements.rawDataMinVoltage, this.elements.rawDataMaxVoltage].forEach(input => {
+            input.addEventListener('input', () => this.updateRawTable());
+        });
+        this.elements.rawDataHead.addEventListener('click', (e) => {
+            const header = e.target.closest('th[data-sort]');
+            if (header) this.sortRawTable(header.dataset.sort);
+        });
+        this.elements.rawDataSelectAll.addEventListener('change', (e) => {
+            this.rawTable.rows.forEach(m => {
+                if (e.target.checked) this.selectedMeasurements.add(m.id);
+                else this.selectedMeasurements.delete(m.id);
+            });
+            this.updateSelectionViews();
+        });
+        this.elements.rawDataBody.addEventListener('change', (e) => {
+            const id = Number(e.target.dataset.measurementId);
+            if (e.target.checked) this.selectedMeasurements.add(id);
+            else this.selectedMeasurements.delete(id);
+            this.updateSelectionViews();
+        });
+        this.elements.rawDataBody.addEventListener('click', (e) => {
+            const row = e.target.closest('tr[data-measurement-id]');
+            if (row && e.target.tagName !== 'INPUT') this.highlightMeasurement(Number(row.dataset.measurementId));
+        });
+        this.elements.rawDataBody.addEventListener('keydown', (e) => {
+            const row = e.target.closest('tr[data-measurement-id]');
+            if (row && e.target === row && e.key === 'Enter') this.highlightMeasurement(Number(row.dataset.measurementId));
+        });
+
+        // Protocol script
+        this.elements.scriptRun.addEventListener('click', () => {
+            this.runScript();
+        });
+
+        this.elements.scriptPause.addEventListener('click', () => {
+            this.toggleScriptPause();
+        });
+
+        this.elements.scriptAbort.addEventListener('click', () => {
+            this.abortScript();
+        });
+
+        this.elements.scriptExample.addEventListener('click', () => {
+            const editor = this.elements.scriptEditor;
+            if (editor.value.trim() && !confirm('Replace the current script with the example?')) return;
+            editor.value = this.script.example;
+            this.scheduleAutosave();
+        });
+
+        this.elements.scriptEditor.addEventListener('input', () => {
+            this.scheduleAutosave();
+        });
+
+        this.elements.scriptOpen.addEventListener('click', () => {
+            this.elements.scriptFile.click();
+        });
+
+        this.elements.scriptFile.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.importScript(file);
+        });
+
+        this.elements.scriptSave.addEventListener('click', () => {
+            const text = this.elements.scriptEditor.value;
+            const json = /^\s*[[{]/.test(text);
+            this.downloadFile(text, `protocol_${this.sessionInfo.id}.${json ? 'json' : 'txt'}`, json ? 'application/json' : 'text/plain');
+        });
+
+        // Spectral response scan
+        this.elements.spectralScan.addEventListener('click', () => {
+            if (this.state.spectralScanActive) {
+                this.cancelSpectralScan();
+                return;
+            }
+            const config = this.readSpectralScanControls();
+            if (config) this.performSpectralScan(config);
+        });
+
+        this.elements.spectralClear.addEventListener('click', () => {
+            const running = this.spectralScans.filter(scan => scan.status === 'running').map(scan => scan.id);
+            const ids = this.experimentData
+                .filter(m => m.scanId !== undefined && !running.includes(m.scanId))
+                .map(m => m.id);
+            if (this.deleteMeasurements(ids, 'Clear spectral scans')) {
+                this.elements.spectralStatus.textContent = 'Scans cleared';
+            }
+        });
+
+        // I-V curve overlay colouring
+        this.elements.curveColorMode.addEventListener('change', (e) => {
+            this.state.curveColorMode = e.target.value;
+            this.updateIVChart();
+        });
+
+        // Stopping potential extraction method
+        this.elements.extractionMethodSelect.addEventListener('change', (e) => {
+            this.state.extractionMethod = e.target.value;
+            this.reextractStoppingPotentials();
+            this.updateCurveList();
+            this.logMessage(`V_s extraction method changed to ${this.extractionMethods[this.state.extractionMethod]}`);
+        });
+
+        this.elements.fitGroupSelect.addEventListener('change', (e) => {
+            this.core.setFitGroup(e.target.value ? JSON.parse(e.target.value) : null);
+            this.updateFrequencyAnalysis();
+            this.logMessage(`Planck fit now uses ${this.describeFitGroup(this.core.getFitGroup())}` +
+                `${this.state.fitGroup ? '' : ' (current setup)'}`);
+        });
     }
 
     initializeCharts() {
@@ -195,9 +1083,10 @@ class PhotoelectricLaboratory {
         const ivCtx = this.elements.ivChart;
         this.ivChart = new Chart(ivCtx, {
             type: 'scatter',
+            plugins: [this.createChartTablePlugin()],
             data: {
                 datasets: [{
-                    label: 'I-V Characteristic',
+                    label: 'Manual Measurements',
                     data: [],
                     backgroundColor: '#1FB8CD',
                     borderColor: '#1FB8CD',
@@ -211,6 +1100,13 @@ class PhotoelectricLaboratory {
             options: {
                 responsive: true,
                 maintainAspectRatio: false,
+                // Clicking a point selects the readings behind it (all passes of a sweep point)
+                onClick: (e, elements) => {
+                    if (elements.length === 0) return;
+                    const { datasetIndex, index } = elements[0];
+                    const point = this.ivChart.data.datasets[datasetIndex].data[index];
+                    this.toggleSelection(point.readings ? point.readings.map(r => r.measurementId) : [point.measurementId]);
+                },
                 plugins: {
                     title: {
                         display: true,
@@ -218,7 +1114,16 @@ class PhotoelectricLaboratory {
                         color: '#134252'
                     },
                     legend: {
-                        labels: { color: '#134252' }
+                        labels: {
+                            color: '#134252',
+                            filter: (item, data) => data.datasets[item.datasetIndex].data.length > 0
+                        },
+                        onClick: (e, item) => {
+                            const dataset = this.ivChart.data.datasets[item.datasetIndex];
+                            if (dataset.sweepId !== undefined) {
+                                this.toggleCurveVisibility(dataset.sweepId);
+                            }
+                        }
                     }
                 },
                 scales: {
@@ -257,10 +1162,40 @@ class PhotoelectricLaboratory {
                     borderWidth: 2,
                     pointRadius: 5,
                     pointHoverRadius: 7,
+                    showLine: false,
+                    errorBars: true
+                }, {
+                    label: 'Weighted Fit',
+                    data: [],
+                    borderColor: '#1FB8CD',
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    showLine: true,
+                    tension: 0
+                }, {
+                    label: '95% Confidence Band',
+                    data: [],
+                    borderColor: 'rgba(31, 184, 205, 0.4)',
+                    backgroundColor: 'rgba(31, 184, 205, 0.15)',
+                    borderWidth: 1,
+                    borderDash: [4, 4],
+                    pointRadius: 0,
                     showLine: true,
                     tension: 0
+                }, {
+                    label: '95% Confidence Band (lower)',
+                    data: [],
+                    borderColor: 'rgba(31, 184, 205, 0.4)',
+                    backgroundColor: 'rgba(31, 184, 205, 0.15)',
+                    borderWidth: 1,
+                    borderDash: [4, 4],
+                    pointRadius: 0,
+                    showLine: true,
+                    tension: 0,
+                    fill: '-1'
                 }]
             },
+            plugins: [this.createErrorBarPlugin(), this.createChartTablePlugin()],
             options: {
                 responsive: true,
                 maintainAspectRatio: false,
@@ -271,7 +1206,10 @@ class PhotoelectricLaboratory {
                         color: '#134252'
                     },
                     legend: {
-                        labels: { color: '#134252' }
+                        labels: {
+                            color: '#134252',
+                            filter: (item) => !item.text.endsWith('(lower)')
+                        }
                     }
                 },
                 scales: {
@@ -296,109 +1234,350 @@ class PhotoelectricLaboratory {
                 }
             }
         });
-    }
-
-    updateWavelengthFromSlider() {
-        this.elements.wavelengthValue.textContent = this.state.customWavelength;
-        // Calculate frequency and energy for custom wavelength
-        const frequency = (this.constants.speedOfLight / (this.state.customWavelength * 1e-9)) / 1e14; // in 10^14 Hz
-        const energy = this.constants.planckConstant * frequency * 1e14; // in eV
-        
-        this.elements.frequencyValue.textContent = frequency.toFixed(3);
-        this.elements.photonEnergyDisplay.textContent = energy.toFixed(3);
-    }
-
-    updateFilterDisplay() {
-        const filter = this.filters[this.state.currentFilter];
-        this.elements.wavelengthValue.textContent = filter.wavelength;
-        this.elements.frequencyValue.textContent = (filter.frequency / 1e14).toFixed(3);
-        this.elements.photonEnergyDisplay.textContent = filter.energy.toFixed(3);
-    }
-
-    getCurrentWavelengthData() {
-        if (this.state.currentFilter === 'custom' || this.elements.filterSelect.value === 'custom') {
-            const wavelength = this.state.customWavelength;
-            const frequency = this.constants.speedOfLight / (wavelength * 1e-9);
-            const energy = this.constants.planckConstant * frequency;
-            return { wavelength, frequency, energy };
-        } else {
-            const filter = this.filters[this.state.currentFilter];
-            return { 
-                wavelength: filter.wavelength, 
-                frequency: filter.frequency, 
-                energy: filter.energy 
-            };
-        }
-    }
-
-    calculatePhysics() {
-        const wavelengthData = this.getCurrentWavelengthData();
-        const workFunction = this.state.currentMaterial.workFunction;
-        
-        // Einstein's equation: E = hf = φ + KEmax
-        const photonEnergy = wavelengthData.energy;
-        const maxKineticEnergy = Math.max(0, photonEnergy - workFunction);
-        const stoppingPotential = maxKineticEnergy; // in volts (since KE in eV)
-        
-        // Threshold calculations
-        const thresholdFrequency = workFunction / this.constants.planckConstant;
-        const thresholdWavelength = this.constants.speedOfLight / thresholdFrequency * 1e9; // nm
-        
-        // Current calculation - Enhanced for real-time response
-        let current = 0;
-        const isEmission = photonEnergy > workFunction;
-        
-        if (isEmission && this.state.voltage >= -stoppingPotential) {
-            // Saturation current (proportional to intensity)
-            const saturationCurrent = 15; // μA (fixed for simulation)
-            
-            if (this.state.voltage >= 0) {
-                // Forward bias - saturation region
-                current = saturationCurrent;
-            } else {
-                // Reverse bias - retarding potential
-                const factor = (this.state.voltage + stoppingPotential) / stoppingPotential;
-                current = saturationCurrent * Math.max(0, factor);
-            }
-            
-            // Add small realistic variation
-            current = current * (1 + (Math.random() - 0.5) * 0.001);
-        }
 
-        return {
-            wavelength: wavelengthData.wavelength,
-            frequency: wavelengthData.frequency,
-            photonEnergy,
-            workFunction,
-            maxKineticEnergy,
-            stoppingPotential,
-            thresholdFrequency,
-            thresholdWavelength,
-            current,
-            isEmission,
-            saturationCurrent: isEmission ? 15 : 0
-        };
+        this.initializeSpectralChart();
+        this.initializeTimeChart();
     }
 
-    updateAllCalculations() {
-        const physics = this.calculatePhysics();
-        this.updateEnergyDisplay(physics);
-        this.updateEmissionStatus(physics);
-        this.updateCurrentReading();
-        this.drawEnergyDiagram(physics);
+    initializeSpectralChart() {
+        // Photocurrent vs wavelength at fixed forward bias, one dataset per scan
+        this.spectralChart = new Chart(this.elements.spectralChart, {
+            type: 'scatter',
+            data: { datasets: [] },
+            plugins: [this.createErrorBarPlugin(), this.createChartTablePlugin()],
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    title: {
+                        display: true,
+                        text: 'Spectral Response (Photocurrent vs Wavelength)',
+                        color: '#134252'
+                    },
+                    legend: {
+                        labels: { color: '#134252' }
+                    }
+                },
+                scales: {
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Wavelength (nm)',
+                            color: '#134252'
+                        },
+                        grid: { color: 'rgba(94, 82, 64, 0.2)' },
+                        ticks: { color: '#134252' }
+                    },
+                    y: {
+                        title: {
+                            display: true,
+                            text: 'Photocurrent (μA)',
+                            color: '#134252'
+                        },
+                        grid: { color: 'rgba(94, 82, 64, 0.2)' },
+                        ticks: { color: '#134252' }
+                    }
+                }
+            }
+        });
+    }
+
+    initializeTimeChart() {
+        // Strip chart of photocurrent against clock time over the last timeMode.window seconds
+        this.timeChart = new Chart(this.elements.timeChart, {
+            type: 'scatter',
+            data: {
+                datasets: [{
+                    label: 'Photocurrent',
+                    data: [],
+                    backgroundColor: '#1FB8CD',
+                    borderColor: '#1FB8CD',
+                    borderWidth: 2,
+                    pointRadius: 1,
+                    pointHoverRadius: 4,
+                    showLine: true,
+                    tension: 0
+                }]
+            },
+            plugins: [this.createChartTablePlugin()],
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                plugins: {
+                    title: {
+                        display: true,
+                        text: 'Photocurrent vs Time',
+                        color: '#134252'
+                    },
+                    legend: {
+                        labels: { color: '#134252' }
+                    }
+                },
+                scales: {
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Time (s)',
+                            color: '#134252'
+                        },
+                        grid: { color: 'rgba(94, 82, 64, 0.2)' },
+                        ticks: { color: '#134252' }
+                    },
+                    y: {
+                        title: {
+                            display: true,
+                            text: 'Photocurrent (μA)',
+                            color: '#134252'
+                        },
+                        grid: { color: 'rgba(94, 82, 64, 0.2)' },
+                        ticks: { color: '#134252' }
+                    }
+                }
+            }
+        });
+    }
+
+    createChartTablePlugin() {
+        // Keeps an open data-table view in step with its chart
+        return {
+            id: 'chartTable',
+            afterUpdate: (chart) => {
+                const details = document.querySelector(`[data-chart-table="${chart.canvas.id}"]`);
+                if (details && details.open) this.renderChartTable(details);
+            }
+        };
+    }
+
+    createErrorBarPlugin() {
+        // Draws ±yError bars for datasets flagged with errorBars: true
+        return {
+            id: 'errorBars',
+            afterDatasetsDraw: (chart) => {
+                const ctx = chart.ctx;
+                chart.data.datasets.forEach((dataset, index) => {
+                    const meta = chart.getDatasetMeta(index);
+                    if (!dataset.errorBars || meta.hidden) return;
+
+                    const yScale = chart.scales[meta.yAxisID];
+                    ctx.save();
+                    ctx.strokeStyle = dataset.borderColor;
+                    ctx.lineWidth = 1.5;
+                    meta.data.forEach((element, i) => {
+                        const point = dataset.data[i];
+                        if (!point || !point.yError) return;
+
+                        const top = yScale.getPixelForValue(point.y + point.yError);
+                        const bottom = yScale.getPixelForValue(point.y - point.yError);
+                        ctx.beginPath();
+                        ctx.moveTo(element.x, top);
+                        ctx.lineTo(element.x, bottom);
+                        ctx.moveTo(element.x - 4, top);
+                        ctx.lineTo(element.x + 4, top);
+                        ctx.moveTo(element.x - 4, bottom);
+                        ctx.lineTo(element.x + 4, bottom);
+                        ctx.stroke();
+                    });
+                    ctx.restore();
+                });
+            }
+        };
+    }
+
+    setMonochromatorWavelength(wavelength) {
+        // Clamp to the working range and keep 0.1 nm resolution
+        const range = this.state.wavelengthRange;
+        const clamped = Math.min(range.max, Math.max(range.min, wavelength));
+        this.state.monochromatorWavelength = Math.round(clamped * 10) / 10;
+        this.elements.wavelengthSlider.value = this.state.monochromatorWavelength;
+        this.updateWavelengthFromSlider();
+    }
+
+    applyWavelengthRange() {
+        // Mirror the working range into every control that tunes the monochromator
+        const { min, max } = this.state.wavelengthRange;
+        const elements = this.elements;
+        elements.wavelengthRangeMin.value = min;
+        elements.wavelengthRangeMax.value = max;
+        [elements.wavelengthSlider, elements.spectralStart, elements.spectralStop].forEach(input => {
+            input.min = min;
+            input.max = max;
+        });
+        this.setMonochromatorWavelength(this.state.monochromatorWavelength);
+    }
+
+    entryToWavelength(value, unit) {
+        // Direct entry is always in nm, 10^14 Hz or eV, matching the unit select beside it
+        if (!isFinite(value) || value <= 0) return null;
+        if (unit === 'frequency') return this.constants.speedOfLight / (value * 1e14) * 1e9;
+        if (unit === 'energy') return this.constants.planckConstant * this.constants.speedOfLight / value * 1e9;
+        return value;
+    }
+
+    updateWavelengthEntry() {
+        const photon = this.core.getPhotonData(this.state.monochromatorWavelength);
+        const unit = this.state.wavelengthEntryUnit;
+        const values = {
+            wavelength: photon.wavelength.toFixed(1),
+            frequency: (photon.frequency / 1e14).toFixed(3),
+            energy: photon.energy.toFixed(3)
+        };
+        this.elements.wavelengthEntry.value = values[unit];
+        this.elements.wavelengthEntryUnit.value = unit;
+    }
+
+    updateWavelengthFromSlider() {
+        this.updateWavelengthEntry();
+        this.updateWavelengthReadout();
+    }
+
+    updateFilterDisplay() {
+        this.updateWavelengthReadout();
+    }
+
+    updateWavelengthReadout() {
+        const photon = this.core.getCurrentWavelengthData();
+        this.elements.wavelengthValue.textContent = this.formatQuantity('wavelength', photon.wavelength, 1);
+        this.elements.frequencyValue.textContent = this.formatQuantity('frequency', photon.frequency);
+        this.elements.photonEnergyDisplay.textContent = this.formatQuantity('energy', photon.energy);
+    }
+
+    setRandomSeed(seed) {
+        // Restarts the noise streams, so repeating the same actions reproduces the same data
+        try {
+            this.core.setSeed(seed);
+        } catch (error) {
+            alert(error.message);
+            this.elements.randomSeed.value = this.state.seed;
+            return;
+        }
+        this.elements.randomSeed.value = this.state.seed;
+        this.logMessage(`Random seed set to ${this.state.seed} - noise restarted from the beginning of its sequence`);
+        this.scheduleAutosave();
+    }
+
+    setConstantsProfile(name) {
+        this.core.setConstantsProfile(name);
+        this.elements.constantsProfileSelect.value = name;
+        this.updateWavelengthEntry();
+        this.updateWavelengthReadout();
+        this.applyDisplayUnits();
+        this.logMessage(`Physical constants: ${this.constants.name} (h = ${this.constants.planckConstant} eV·s, ` +
+            `c = ${this.constants.speedOfLight} m/s, e = ${this.constants.elementaryCharge} C)`);
+    }
+
+    formatQuantity(kind, value, digits = 3) {
+        const unit = this.core.getDisplayUnit(kind);
+        const converted = this.core.convertQuantity(kind, value);
+        if (!unit.scientific) return `${converted.toFixed(digits)} ${unit.label}`;
+        const { mantissa, exponent } = splitScientific(converted);
+        return `${mantissa.toFixed(digits)} × ${powerOfTen(exponent)} ${unit.label}`;
+    }
+
+    formatQuantityWithError(kind, value, error, digits = 3) {
+        const unit = this.core.getDisplayUnit(kind);
+        const converted = this.core.convertQuantity(kind, value);
+        const convertedError = this.core.convertQuantity(kind, error);
+        if (unit.scientific) {
+            // Value and error share the exponent of the value
+            const { exponent } = splitScientific(converted);
+            const scale = Math.pow(10, exponent);
+            return `(${(converted / scale).toFixed(digits)} ± ${(convertedError / scale).toFixed(digits)}) × ${powerOfTen(exponent)} ${unit.label}`;
+        }
+        const body = `${converted.toFixed(digits)} ± ${convertedError.toFixed(digits)}`;
+        return unit.label.startsWith('×') ? `(${body}) ${unit.label}` : `${body} ${unit.label}`;
+    }
+
+    formatPlanck(value, error) {
+        // h in the selected energy unit times seconds, e.g. (4.14 ± 0.05) × 10⁻¹⁵ eV·s
+        const unit = this.core.getDisplayUnit('energy');
+        const converted = this.core.convertQuantity('energy', value);
+        const { exponent } = splitScientific(converted);
+        const scale = Math.pow(10, exponent);
+        const mantissa = (converted / scale).toFixed(3);
+        return error === undefined
+            ? `${mantissa} × ${powerOfTen(exponent)} ${unit.label}·s`
+            : `(${mantissa} ± ${(this.core.convertQuantity('energy', error) / scale).toFixed(3)}) × ${powerOfTen(exponent)} ${unit.label}·s`;
+    }
+
+    formatAxisTick(kind, value) {
+        // Chart axes hold internal values; ticks show them in the display unit's axis scale
+        const unit = this.core.getDisplayUnit(kind);
+        return parseFloat((this.core.convertQuantity(kind, value) * unit.axis.scale).toPrecision(4));
+    }
+
+    applyDisplayUnits() {
+        // Re-render every readout, table and axis that shows an energy, frequency or wavelength
+        const elements = this.elements;
+        const units = this.state.displayUnits;
+        elements.energyUnitSelect.value = units.energy;
+        elements.frequencyUnitSelect.value = units.frequency;
+        elements.wavelengthUnitSelect.value = units.wavelength;
+
+        elements.theoreticalPlanck.textContent = this.formatPlanck(this.constants.planckConstant);
+        elements.dataTableWavelengthHeader.textContent = `λ (${this.core.getDisplayUnit('wavelength').label})`;
+        elements.rawDataWavelengthHeader.textContent = `λ (${this.core.getDisplayUnit('wavelength').label})`;
+        elements.rawDataSummaryWavelengthHeader.textContent = `λ (${this.core.getDisplayUnit('wavelength').label})`;
+        elements.dataTableFrequencyHeader.textContent = `f (${this.core.getDisplayUnit('frequency').axis.label})`;
+
+        const frequencyAxis = this.frequencyChart.options.scales.x;
+        frequencyAxis.title.text = `Frequency (${this.core.getDisplayUnit('frequency').axis.label})`;
+        frequencyAxis.ticks.callback = value => this.formatAxisTick('frequency', value * 1e14);
+        const spectralAxis = this.spectralChart.options.scales.x;
+        spectralAxis.title.text = `Wavelength (${this.core.getDisplayUnit('wavelength').axis.label})`;
+        spectralAxis.ticks.callback = value => this.formatAxisTick('wavelength', value);
+        this.spectralChart.update('none');
+
+        this.populateMaterialSelect();
+        this.updateRawTable();
+        this.updateWavelengthReadout();
+        this.updateAllCalculations();
+        this.updateFrequencyAnalysis();
+    }
+
+    updateAllCalculations() {
+        const physics = this.core.calculatePhysics();
+        this.updateEnergyDisplay(physics);
+        this.updateEmissionStatus(physics);
+        this.updateCurrentReading();
+        this.updateLampStatus();
+        this.drawEnergyDiagram(physics);
         this.drawSetupDiagram();
+        this.drawSpectrum(physics);
+        this.updateDiagramDescriptions(physics);
+        this.scheduleAutosave();
     }
 
     updateEnergyDisplay(physics) {
-        this.elements.photonEnergyValue.textContent = physics.photonEnergy.toFixed(3) + ' eV';
-        this.elements.workFunctionValue.textContent = physics.workFunction.toFixed(3) + ' eV';
-        this.elements.maxKeValue.textContent = physics.maxKineticEnergy.toFixed(3) + ' eV';
+        this.elements.photonEnergyValue.textContent = this.formatQuantity('energy', physics.photonEnergy);
+
+        // Everything derived from φ would give a hidden work function away
+        if (this.state.currentMaterial.hidden) {
+            this.elements.workFunctionValue.textContent = 'hidden';
+            this.elements.maxKeValue.textContent = 'hidden';
+            this.elements.stoppingPotentialDisplay.textContent = 'hidden';
+            this.elements.thresholdFrequency.textContent = 'hidden';
+            this.elements.thresholdWavelength.textContent = 'hidden';
+            this.elements.contactPotentialValue.textContent = 'hidden';
+            this.elements.apparentStoppingPotential.textContent = 'hidden';
+            return;
+        }
+        this.elements.workFunctionValue.textContent = this.formatQuantity('energy', physics.workFunction);
+        this.elements.maxKeValue.textContent = this.formatQuantity('energy', physics.maxKineticEnergy);
         this.elements.stoppingPotentialDisplay.textContent = physics.stoppingPotential.toFixed(3) + ' V';
-        this.elements.thresholdFrequency.textContent = (physics.thresholdFrequency / 1e14).toFixed(2) + ' × 10¹⁴ Hz';
-        this.elements.thresholdWavelength.textContent = physics.thresholdWavelength.toFixed(0) + ' nm';
+        this.elements.contactPotentialValue.textContent = physics.contactPotential.toFixed(3) + ' V';
+        // Retarding voltage at which the current stops once the contact potential is included
+        this.elements.apparentStoppingPotential.textContent = physics.isEmission
+            ? (physics.photonEnergy - physics.collectorWorkFunction).toFixed(3) + ' V'
+            : '—';
+        this.elements.thresholdFrequency.textContent = this.formatQuantity('frequency', physics.thresholdFrequency, 2);
+        this.elements.thresholdWavelength.textContent = this.formatQuantity('wavelength', physics.thresholdWavelength, 0);
     }
 
     updateEmissionStatus(physics) {
+        // The status element is a live region, so it is only rewritten when emission starts or stops
+        if (physics.isEmission === this.lastEmissionState) return;
+        this.lastEmissionState = physics.isEmission;
         if (physics.isEmission) {
             this.elements.emissionStatus.className = 'status status--success';
             this.elements.emissionStatus.textContent = '✓ Photoelectron Emission';
@@ -409,7 +1588,7 @@ class PhotoelectricLaboratory {
     }
 
     updateCurrentReading() {
-        const physics = this.calculatePhysics();
+        const physics = this.core.calculatePhysics();
         
         // Ensure all elements exist before updating
         if (this.elements.currentValue) {
@@ -422,592 +1601,4085 @@ class PhotoelectricLaboratory {
             this.elements.saturationCurrent.textContent = physics.saturationCurrent.toFixed(3) + ' μA';
         }
         if (this.elements.stoppingPotential) {
-            this.elements.stoppingPotential.textContent = physics.stoppingPotential.toFixed(3) + ' V';
-        }
-        if (this.elements.currentUncertainty) {
-            this.elements.currentUncertainty.textContent = '0.001';
+            this.updateMeasuredStoppingPotential(physics);
         }
     }
 
+    updateInstrumentFromControls() {
+        const readNumber = (element, fallback) => {
+            const value = parseFloat(element.value);
+            return isFinite(value) && value >= 0 ? value : fallback;
+        };
+        const instrument = this.instrument;
+
+        // At least two samples are needed for a standard error
+        instrument.samplesPerPoint = Math.min(10000, Math.max(2, Math.round(readNumber(this.elements.samplesPerPoint, 1000))));
+        instrument.gaussianNoise = readNumber(this.elements.gaussianNoise, instrument.gaussianNoise);
+        instrument.shotNoise = this.elements.shotNoise.checked;
+        instrument.ammeterRange = readNumber(this.elements.ammeterRange, instrument.ammeterRange);
+        instrument.ammeterResolution = readNumber(this.elements.ammeterResolution, instrument.ammeterResolution);
+        instrument.offsetDrift = readNumber(this.elements.offsetDrift, instrument.offsetDrift);
+        instrument.voltmeterResolution = readNumber(this.elements.voltmeterResolution, instrument.voltmeterResolution);
+
+        this.elements.samplesPerPoint.value = instrument.samplesPerPoint;
+        this.elements.samplesLabel.textContent = instrument.samplesPerPoint;
+
+        this.logMessage(`Instrument model: ${instrument.samplesPerPoint} samples/point, ${instrument.gaussianNoise} μA rms noise, ` +
+            `shot noise ${instrument.shotNoise ? 'on' : 'off'}, ${instrument.ammeterRange} μA range @ ${instrument.ammeterResolution} μA, ` +
+            `drift ${instrument.offsetDrift} μA/point, voltmeter ${instrument.voltmeterResolution} V`);
+    }
+
     toggleExperiment() {
         this.state.isExperimentActive = !this.state.isExperimentActive;
+        // In time-resolved mode the lamp starts cold and warms up from here
+        this.core.switchLamp(this.state.isExperimentActive);
         
         if (this.state.isExperimentActive) {
             this.elements.switchLight.textContent = '🔬 Experiment Active';
             this.elements.switchLight.classList.add('active');
             this.elements.takeMeasurement.disabled = false;
             this.elements.autoSweep.disabled = false;
-            this.logMessage('Mercury lamp activated - Ready for measurements');
+            this.elements.runExperiment.disabled = false;
+            this.elements.spectralScan.disabled = false;
+            this.logMessage(`${this.lightSources[this.state.lightSource].name} activated - Ready for measurements`);
             this.elements.graphStatus.textContent = 'Ready for data collection';
         } else {
             this.elements.switchLight.textContent = '🔬 Start Experiment';
             this.elements.switchLight.classList.remove('active');
             this.elements.takeMeasurement.disabled = true;
             this.elements.autoSweep.disabled = true;
+            this.elements.runExperiment.disabled = true;
+            this.elements.spectralScan.disabled = !this.state.spectralScanActive;
+            this.state.sweepCancelRequested = true;
+            this.state.batchCancelRequested = true;
+            this.state.spectralScanCancelRequested = true;
             this.photonParticles = [];
             this.electronParticles = [];
             this.logMessage('Experiment stopped');
             this.elements.graphStatus.textContent = 'Experiment stopped';
         }
+        this.updateLampStatus();
     }
 
     takePrecisionMeasurement() {
         if (!this.state.isExperimentActive) return;
 
-        const physics = this.calculatePhysics();
-        const numMeasurements = 1000;
-        const measurements = [];
-        
-        // Simulate 1000 high-precision measurements
-        for (let i = 0; i < numMeasurements; i++) {
-            const noise = (Math.random() - 0.5) * 0.001 * physics.current;
-            measurements.push(physics.current + noise);
-        }
-        
-        // Calculate statistics
-        const mean = measurements.reduce((a, b) => a + b, 0) / numMeasurements;
-        const variance = measurements.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / numMeasurements;
-        const standardDeviation = Math.sqrt(variance);
-        const standardError = standardDeviation / Math.sqrt(numMeasurements);
-        
-        // Store measurement
-        const measurementData = {
-            voltage: this.state.voltage,
-            current: mean,
-            standardError: standardError,
-            measurements: numMeasurements,
-            material: this.state.currentMaterial.name,
-            wavelength: physics.wavelength,
-            filter: this.state.currentFilter,
-            timestamp: new Date()
-        };
+        this.recordHistory('Measurement');
+        const { measurement } = this.acquireMeasurement();
         
-        this.experimentData.push(measurementData);
-        this.state.measurementCount++;
+        // The chart, V_s and tables are derived from the stored reading
+        this.updateMeasurementViews();
         
+        this.logMessage(`Measurement: V=${measurement.voltage.toFixed(2)}V, I=${measurement.current.toFixed(3)}μA (±${measurement.standardError.toFixed(6)}μA, n=${measurement.measurements})`);
+        this.elements.graphStatus.textContent = `${this.experimentData.filter(m => !m.excluded).length} data points collected`;
+        this.announce(`Measured ${measurement.current.toFixed(3)} μA at ${measurement.voltage.toFixed(2)} V`);
+    }
+
+    acquireMeasurement() {
+        const { measurement, physics } = this.core.measure();
+        this.scheduleAutosave();
+
         // Update displays
         this.elements.measurementCount.textContent = this.state.measurementCount;
-        this.elements.stdError.textContent = '< 0.001%';
-        
-        // Add to I-V chart
-        this.ivData.push({ x: this.state.voltage, y: mean });
-        this.ivChart.data.datasets[0].data = this.ivData;
-        this.ivChart.update('none');
-        
-        this.logMessage(`Measurement: V=${this.state.voltage.toFixed(2)}V, I=${mean.toFixed(3)}μA (±${standardError.toFixed(6)}μA)`);
-        this.elements.graphStatus.textContent = `${this.ivData.length} data points collected`;
-        
-        // Check if this creates a new frequency data point
-        this.updateFrequencyData(physics);
+        this.elements.stdError.textContent = `±${measurement.standardError.toExponential(2)} μA`;
+        this.elements.currentUncertainty.textContent = measurement.standardError.toExponential(2);
+
+        if (measurement.overRange) {
+            this.logMessage(`⚠ Ammeter over range (|I| > ${this.instrument.ammeterRange} μA) - reading clipped`);
+        }
+
+        return { measurement, physics };
+    }
+
+    openSweepDialog() {
+        if (!this.state.isExperimentActive) return;
+
+        const config = this.sweepConfig;
+        this.elements.sweepStart.value = config.start;
+        this.elements.sweepStop.value = config.stop;
+        this.elements.sweepStep.value = config.step;
+        this.elements.sweepAdaptive.checked = config.adaptive;
+        this.elements.sweepFineStep.value = config.fineStep;
+        this.elements.sweepDirection.value = config.direction;
+        this.elements.sweepDwell.value = config.dwell;
+        this.elements.sweepPasses.value = config.passes;
+        this.elements.sweepDialog.showModal();
+    }
+
+    readSweepDialog() {
+        const config = {
+            start: parseFloat(this.elements.sweepStart.value),
+            stop: parseFloat(this.elements.sweepStop.value),
+            step: parseFloat(this.elements.sweepStep.value),
+            adaptive: this.elements.sweepAdaptive.checked,
+            fineStep: parseFloat(this.elements.sweepFineStep.value),
+            direction: this.elements.sweepDirection.value,
+            dwell: parseInt(this.elements.sweepDwell.value),
+            passes: parseInt(this.elements.sweepPasses.value)
+        };
+
+        const error = this.validateSweepConfig(config);
+        if (error) {
+            alert(error);
+            return null;
+        }
+        return config;
+    }
+
+    validateSweepConfig(config) {
+        // Returns a message describing the first invalid setting, or null
+        const minVoltage = parseFloat(this.elements.voltageSlider.min);
+        const maxVoltage = parseFloat(this.elements.voltageSlider.max);
+        let error = null;
+        if (![config.start, config.stop, config.step, config.fineStep, config.dwell, config.passes].every(isFinite)) {
+            error = 'All sweep settings must be numbers.';
+        } else if (config.start === config.stop) {
+            error = 'Start and stop voltages must differ.';
+        } else if ([config.start, config.stop].some(v => v < minVoltage || v > maxVoltage)) {
+            error = `Sweep voltages must lie between ${minVoltage} V and ${maxVoltage} V.`;
+        } else if (config.step <= 0 || config.fineStep <= 0) {
+            error = 'Step sizes must be positive.';
+        } else if (Math.abs(config.stop - config.start) / config.step > 1000) {
+            error = 'Too many points per pass (limit 1000) - increase the step.';
+        } else if (config.dwell < 0 || config.passes < 1) {
+            error = 'Dwell time cannot be negative and at least one pass is required.';
+        }
+        return error;
+    }
+
+    setVoltage(voltage) {
+        this.state.voltage = voltage;
+        this.elements.voltageSlider.value = voltage;
+        this.elements.voltageValue.textContent = voltage.toFixed(2);
+        this.updateCurrentReading();
     }
 
-    async performAutoSweep() {
+    cancelAutoSweep() {
+        if (!this.state.autoSweepActive) return;
+        this.state.sweepCancelRequested = true;
+        this.elements.autoSweep.disabled = true;
+        this.elements.autoSweep.textContent = '⏹ Cancelling...';
+    }
+
+    async performAutoSweep(config = this.sweepConfig) {
         if (!this.state.isExperimentActive || this.state.autoSweepActive) return;
         
+        const redo = this.history.redo;
+        const snapshot = this.recordHistory('I-V sweep');
         this.state.autoSweepActive = true;
-        this.elements.autoSweep.textContent = '⚡ Sweeping...';
-        this.elements.autoSweep.disabled = true;
-        
-        this.logMessage('Starting automatic I-V sweep from +2V to -3V');
-        
-        // Clear current I-V data for this sweep
-        this.ivData = [];
+        this.state.sweepCancelRequested = false;
+        this.elements.autoSweep.textContent = '⏹ Cancel Sweep';
+        this.elements.takeMeasurement.disabled = true;
+
+        const physics = this.core.calculatePhysics();
+        const sweep = {
+            id: Math.max(this.core.nextSweepId(), this.sweeps.length > 0 ? this.sweeps[this.sweeps.length - 1].id + 1 : 1),
+            config: { ...config },
+            ...this.core.getCurrentGroup(),
+            filter: this.state.currentFilter,
+            wavelength: physics.wavelength,
+            intensity: this.state.intensity,
+            distance: this.state.distance,
+            startedAt: new Date(),
+            status: 'running',
+            visible: true,
+            points: []
+        };
+        sweep.label = `Sweep ${sweep.id}: ${sweep.material} @ ${this.formatQuantity('wavelength', sweep.wavelength, 1)}`;
+        this.sweeps.push(sweep);
+
+        const high = Math.max(config.start, config.stop);
+        const low = Math.min(config.start, config.stop);
+        const directionLabel = { down: `${high}V → ${low}V`, up: `${low}V → ${high}V`, hysteresis: `${high}V → ${low}V → ${high}V` };
+        this.logMessage(`Starting ${sweep.label}: ${directionLabel[config.direction]} in ${config.step}V steps` +
+            `${config.adaptive ? ` (refined to ${config.fineStep}V near cutoff)` : ''}, ${config.passes} pass(es), ${config.dwell}ms dwell`);
         
-        // Sweep from +2V to -3V in 0.2V steps
-        for (let voltage = 2.0; voltage >= -3.0; voltage -= 0.2) {
-            this.state.voltage = voltage;
-            this.elements.voltageSlider.value = voltage;
-            this.elements.voltageValue.textContent = voltage.toFixed(2);
-            this.updateCurrentReading();
-            
-            // Take measurement at this voltage
-            this.takePrecisionMeasurement();
-            
-            // Small delay for animation
-            await new Promise(resolve => setTimeout(resolve, 100));
+        this.updateIVChart();
+        this.updateHistoryControls();
+
+        let schedule = this.core.buildSweepSchedule(config);
+        for (let pass = 1; pass <= config.passes && !this.state.sweepCancelRequested; pass++) {
+            for (const step of schedule) {
+                if (this.state.sweepCancelRequested) break;
+                await this.measureSweepPoint(sweep, step, pass);
+            }
+
+            if (pass === 1 && config.adaptive && !this.state.sweepCancelRequested) {
+                const refinement = this.core.buildRefinementSchedule(sweep, config);
+                if (refinement.length === 0) {
+                    this.logMessage('Adaptive refinement skipped - no cutoff found in the coarse pass');
+                }
+                for (const step of refinement) {
+                    if (this.state.sweepCancelRequested) break;
+                    await this.measureSweepPoint(sweep, step, pass);
+                }
+                schedule = this.core.sortInSweepOrder([...schedule, ...refinement], step => step.voltage);
+            }
+
+            if (config.passes > 1 && !this.state.sweepCancelRequested) {
+                this.logMessage(`Pass ${pass}/${config.passes} complete (${schedule.length} points)`);
+            }
         }
+
+        sweep.status = this.state.sweepCancelRequested ? 'cancelled' : 'completed';
+        sweep.completedAt = new Date();
         
         this.elements.autoSweep.textContent = '⚡ Auto I-V Sweep';
-        this.elements.autoSweep.disabled = false;
+        this.elements.autoSweep.disabled = !this.state.isExperimentActive || this.state.batchActive;
+        this.elements.takeMeasurement.disabled = !this.state.isExperimentActive || this.state.batchActive;
         this.state.autoSweepActive = false;
-        
-        this.logMessage('I-V sweep completed - Stopping potential determined');
+        this.state.sweepCancelRequested = false;
+
+        if (sweep.points.length === 0) {
+            this.sweeps = this.sweeps.filter(other => other !== sweep);
+            this.discardHistory(snapshot, redo);
+        }
+
+        this.updateIVChart();
+        this.updateHistoryControls();
+
+        if (sweep.status === 'cancelled') {
+            this.logMessage(`${sweep.label} cancelled - ${sweep.points.length} points kept`);
+            return;
+        }
+
+        const result = this.core.findStoppingPotential(sweep, sweep.wavelength);
+        if (result && result.stoppingPotential !== null) {
+            this.logMessage(`I-V sweep completed - V_s = ${result.stoppingPotential.toFixed(3)} ± ${result.uncertainty.toFixed(3)} V (${this.extractionMethods[result.method]})`);
+        } else {
+            this.logMessage('I-V sweep completed - Stopping potential could not be resolved from the data');
+        }
     }
 
-    updateFrequencyData(physics) {
-        if (!physics.isEmission) return;
-        
-        // Check if we have data for this wavelength
-        const existing = this.frequencyData.find(d => Math.abs(d.wavelength - physics.wavelength) < 1);
-        
-        if (!existing) {
-            this.frequencyData.push({
-                wavelength: physics.wavelength,
-                frequency: physics.frequency / 1e14, // Convert to 10^14 Hz for display
-                stoppingPotential: physics.stoppingPotential,
-                filter: this.state.currentFilter
-            });
-            
-            // Update frequency chart
-            this.frequencyChart.data.datasets[0].data = this.frequencyData.map(d => ({
-                x: d.frequency,
-                y: d.stoppingPotential
-            }));
-            this.frequencyChart.update('none');
-            
-            // Calculate Planck's constant from slope
-            this.calculatePlanckConstant();
-            
-            // Update data table
-            this.updateDataTable();
+    readBatchDialog() {
+        const source = this.elements.batchForm.querySelector('input[name="batch-source"]:checked').value;
+        const plan = { steps: [], clearExisting: this.elements.batchClear.checked };
+
+        if (source === 'filters') {
+            plan.steps = Object.keys(this.filters).map(filter => ({ filter, wavelength: this.filters[filter].wavelength }));
+            return plan;
         }
+
+        // Same working range and 0.1 nm resolution as the slider and direct entry
+        const { min, max } = this.state.wavelengthRange;
+        const wavelengths = this.elements.batchWavelengths.value
+            .split(/[\s,;]+/)
+            .filter(Boolean)
+            .map(Number);
+        if (wavelengths.length === 0 || wavelengths.some(w => !Number.isFinite(w) || w < min || w > max)) {
+            alert(`Enter wavelengths between ${min} and ${max} nm, separated by commas.`);
+            return null;
+        }
+        const rounded = wavelengths.map(w => Math.round(w * 10) / 10);
+        plan.steps = [...new Set(rounded)].map(wavelength => ({ filter: 'monochromator', wavelength }));
+        return plan;
     }
 
-    calculatePlanckConstant() {
-    if (this.frequencyData.length < 2) return;
-    
-    // Linear regression: Vs = (h/e) * f - φ/e
-    let sumX = 0, sumY = 0, sumXY = 0, sumX2 = 0;
-    const n = this.frequencyData.length;
-    
-    this.frequencyData.forEach(d => {
-        const x = d.frequency * 1e14; // Convert back to Hz
-        const y = d.stoppingPotential;
-        sumX += x;
-        sumY += y;
-        sumXY += x * y;
-        sumX2 += x * x;
-    });
-    
-    const slope = (n * sumXY - sumX * sumY) / (n * sumX2 - sumX * sumX);
-    const calculatedH_Js = slope * this.constants.elementaryCharge; // h in J·s
-    const calculatedH_eVs = calculatedH_Js / this.constants.elementaryCharge; // Convert to eV·s
-    
-    const accuracy = Math.abs((calculatedH_eVs - this.constants.planckConstant) / this.constants.planckConstant) * 100;
-    
-    this.elements.calculatedPlanck.textContent = `${calculatedH_eVs.toExponential(3)} eV·s`;
-    this.elements.accuracy.textContent = `${accuracy.toFixed(1)}%`;
-}
+    selectWavelength(filter, wavelength) {
+        // Mirrors the filter select and wavelength slider handlers
+        this.elements.filterSelect.value = filter;
+        this.state.currentFilter = filter;
+        if (filter === 'monochromator') {
+            this.elements.monochromatorGroup.style.display = 'block';
+            this.setMonochromatorWavelength(wavelength);
+        } else {
+            this.elements.monochromatorGroup.style.display = 'none';
+            this.updateFilterDisplay();
+        }
+        this.updateAllCalculations();
     }
 
-    updateDataTable() {
-        const tbody = this.elements.dataTableBody;
-        tbody.innerHTML = '';
-        
-        this.frequencyData.forEach(data => {
-            const row = tbody.insertRow();
-            row.insertCell(0).textContent = data.filter.charAt(0).toUpperCase() + data.filter.slice(1);
-            row.insertCell(1).textContent = data.wavelength;
-            row.insertCell(2).textContent = data.frequency.toFixed(3);
-            row.insertCell(3).textContent = data.stoppingPotential.toFixed(3);
-            
-            const statusCell = row.insertCell(4);
-            statusCell.innerHTML = '<span class="status status--success">✓ Measured</span>';
-        });
+    setBatchControlsLocked(locked) {
+        this.elements.materialSelect.disabled = locked;
+        this.elements.lightSourceSelect.disabled = locked;
+        this.elements.filterSelect.disabled = locked;
+        this.elements.wavelengthSlider.disabled = locked;
+        this.elements.wavelengthEntry.disabled = locked;
+        this.elements.takeMeasurement.disabled = locked || !this.state.isExperimentActive;
+        this.elements.autoSweep.disabled = locked || !this.state.isExperimentActive;
+        this.elements.runExperiment.textContent = locked ? '⏹ Cancel Experiment Run' : '🧪 Run Full Experiment';
+        this.elements.runExperiment.disabled = !this.state.isExperimentActive && !locked;
+        this.elements.batchProgressGroup.classList.toggle('hidden', !locked);
+        this.updateHistoryControls();
     }
 
-    drawEnergyDiagram(physics) {
-        const canvas = this.elements.energyDiagram;
-        const ctx = this.energyCtx;
-        const width = canvas.width;
-        const height = canvas.height;
+    cancelFullExperiment() {
+        if (!this.state.batchActive) return;
+        this.state.batchCancelRequested = true;
+        this.cancelAutoSweep();
+        this.elements.runExperiment.disabled = true;
+        this.elements.batchProgressLabel.textContent = 'Cancelling...';
+    }
 
-        ctx.clearRect(0, 0, width, height);
+    async runFullExperiment(plan) {
+        if (!this.state.isExperimentActive || this.state.batchActive || this.state.autoSweepActive) return;
 
-        const margin = 60;
-        const graphWidth = width - 2 * margin;
-        const graphHeight = height - 2 * margin;
-        const maxEnergy = 8; // eV
-        const energyScale = graphHeight / maxEnergy;
+        this.state.batchActive = true;
+        this.state.batchCancelRequested = false;
+        this.setBatchControlsLocked(true);
 
-        // Draw grid
-        ctx.strokeStyle = 'rgba(94, 82, 64, 0.2)';
-        ctx.lineWidth = 0.5;
-        for (let i = 0; i <= maxEnergy; i += 1) {
-            const y = height - margin - (i * energyScale);
-            ctx.beginPath();
-            ctx.moveTo(margin, y);
-            ctx.lineTo(width - margin, y);
-            ctx.stroke();
+        const material = this.state.currentMaterial;
+        const total = plan.steps.length;
+        this.elements.batchProgress.max = total;
+        this.elements.batchProgress.value = 0;
+
+        if (plan.clearExisting) {
+            this.clearGraphs();
+        }
+        this.logMessage(`Full experiment started: ${material.name}, ${total} wavelengths (${plan.steps.map(step => step.wavelength).join(', ')} nm)`);
+
+        for (let i = 0; i < total && !this.state.batchCancelRequested; i++) {
+            const step = plan.steps[i];
+            const name = step.filter === 'monochromator'
+                ? `${step.wavelength} nm`
+                : `${step.filter.charAt(0).toUpperCase() + step.filter.slice(1)} filter (${step.wavelength} nm)`;
+            this.elements.batchProgressLabel.textContent = `Step ${i + 1}/${total}: ${name}`;
+
+            this.selectWavelength(step.filter, step.wavelength);
+            const physics = this.core.calculatePhysics();
+            if (!physics.isEmission) {
+                this.logMessage(`Step ${i + 1}/${total}: ${name} skipped - no detectable emission from ${material.name}`);
+            } else {
+                this.logMessage(`Step ${i + 1}/${total}: sweeping ${name}`);
+                await this.performAutoSweep();
+            }
+            this.elements.batchProgress.value = i + 1;
+        }
+
+        const cancelled = this.state.batchCancelRequested;
+        this.state.batchActive = false;
+        this.state.batchCancelRequested = false;
+        this.setBatchControlsLocked(false);
+
+        if (cancelled) {
+            this.logMessage('Full experiment cancelled - completed steps are kept');
+            return;
+        }
+
+        const fit = this.planckFit;
+        if (fit) {
+            this.logMessage(`Full experiment complete: ${this.describePlanckFit(fit)}`);
+        } else {
+            this.logMessage('Full experiment complete - fewer than two stopping potentials resolved, no Planck fit');
+        }
+    }
+
+    describePlanckFit(fit) {
+        return `h = ${this.formatPlanck(fit.slope, fit.slopeError)}, ` +
+            `φ = ${this.formatQuantityWithError('energy', fit.workFunction, fit.workFunctionError)} from ${fit.points} wavelengths`;
+    }
+
+    parseScript(text) {
+        // A JSON plan ({"steps": [...]} or a bare array) or the line language; both compile to the same steps
+        if (/^\s*[[{]/.test(text)) {
+            let plan;
+            try {
+                plan = JSON.parse(text);
+            } catch (error) {
+                throw new Error(`Invalid JSON plan: ${error.message}`);
+            }
+            const steps = Array.isArray(plan) ? plan : plan.steps;
+            if (!Array.isArray(steps)) throw new Error('A JSON plan needs a "steps" array');
+            return { steps: this.validateScriptSteps(steps, '') };
+        }
+        return { steps: this.validateScriptSteps(this.parseScriptLines(text), '') };
+    }
+
+    parseScriptLines(text) {
+        // One command per line; `repeat n` and `foreach ...` open a block that `end` closes
+        const root = { steps: [] };
+        const blocks = [root];
+        text.split('\n').forEach((raw, index) => {
+            const line = index + 1;
+            const content = raw.trim();
+            if (!content || content.startsWith('#')) return;
+
+            const [first, ...args] = content.split(/\s+/);
+            let command = first.toLowerCase();
+            if (command === 'for' && args.length > 0 && args[0].toLowerCase() === 'each') {
+                command = 'foreach';
+                args.shift();
+            }
+            if (command === 'end') {
+                if (blocks.length === 1) throw new Error(`Line ${line}: "end" without a matching repeat or foreach`);
+                blocks.pop();
+                return;
+            }
+
+            const step = this.parseScriptCommand(command, args, line);
+            blocks[blocks.length - 1].steps.push(step);
+            if (step.steps) blocks.push(step);
+        });
+        if (blocks.length > 1) {
+            const open = blocks[blocks.length - 1];
+            throw new Error(`Line ${open.line}: "${open.command}" block is missing its "end"`);
+        }
+        return root.steps;
+    }
+
+    parseScriptCommand(command, args, line) {
+        // Turns DSL arguments into the fields a JSON step uses; validateScriptSteps checks the values
+        const single = () => {
+            if (args.length !== 1) throw new Error(`Line ${line}: ${command} takes one value`);
+            return args[0];
+        };
+        switch (command) {
+            case 'lamp':
+            case 'source':
+            case 'filter':
+            case 'seed':
+                return { command, value: single(), line };
+            case 'material':
+                // Material names may contain spaces
+                return { command, value: args.join(' '), line };
+            case 'wavelength':
+            case 'intensity':
+            case 'distance':
+            case 'voltage':
+            case 'wait':
+                return { command, value: Number(single()), line };
+            case 'measure':
+                return { command, count: args.length === 0 ? 1 : Number(single()), line };
+            case 'sweep': {
+                const [from, to, step, ...options] = args;
+                const sweep = { command, from: Number(from), to: Number(to), step: Number(step), line };
+                for (let i = 0; i < options.length; i += 2) {
+                    const option = options[i].toLowerCase();
+                    if (option !== 'readings' && option !== 'dwell') {
+                        throw new Error(`Line ${line}: unknown sweep option "${options[i]}" (use readings or dwell)`);
+                    }
+                    sweep[option] = Number(options[i + 1]);
+                }
+                return sweep;
+            }
+            case 'fit':
+            case 'clear':
+                return { command, line };
+            case 'log':
+                return { command, message: args.join(' '), line };
+            case 'repeat':
+                return { command, times: Number(single()), steps: [], line };
+            case 'foreach': {
+                const [over = '', ...values] = args;
+                const kind = over.toLowerCase();
+                return { command, over: kind, values: kind === 'wavelength' ? values.map(Number) : values, steps: [], line };
+            }
+            default:
+                throw new Error(`Line ${line}: unknown command "${command}"`);
+        }
+    }
+
+    validateScriptSteps(steps, path) {
+        // Checks every step against the apparatus before anything runs, resolving names to ids
+        return steps.map((raw, index) => {
+            const location = raw && raw.line ? `Line ${raw.line}` : `Step ${path}${index + 1}`;
+            const fail = message => {
+                throw new Error(`${location}: ${message}`);
+            };
+            if (!raw || typeof raw.command !== 'string') fail('each step needs a "command"');
+
+            const command = raw.command.toLowerCase();
+            const step = { command, location };
+            const number = (key, label = key) => {
+                const value = raw[key];
+                if (typeof value !== 'number' || !isFinite(value)) fail(`${label} must be a number`);
+                return value;
+            };
+            const within = (value, input, label, unit) => {
+                const min = parseFloat(input.min);
+                const max = parseFloat(input.max);
+                if (value < min || value > max) fail(`${label} must lie between ${min} and ${max} ${unit}`);
+                return value;
+            };
+            const wavelength = value => {
+                const range = this.state.wavelengthRange;
+                if (typeof value !== 'number' || !(value >= range.min && value <= range.max)) {
+                    fail(`wavelengths must lie between ${range.min} and ${range.max} nm`);
+                }
+                return value;
+            };
+            const filter = value => {
+                const name = String(value).toLowerCase();
+                if (!this.filters[name] && name !== 'monochromator') {
+                    fail(`unknown filter "${value}" (choose from ${Object.keys(this.filters).join(', ')} or monochromator)`);
+                }
+                return name;
+            };
+            const block = () => {
+                if (!Array.isArray(raw.steps)) fail(`${command} needs a "steps" array`);
+                return this.validateScriptSteps(raw.steps, `${path}${index + 1}.`);
+            };
+
+            switch (command) {
+                case 'lamp':
+                    step.value = String(raw.value).toLowerCase();
+                    if (step.value !== 'on' && step.value !== 'off') fail('lamp takes on or off');
+                    break;
+                case 'material': {
+                    const name = String(raw.value).toLowerCase();
+                    const material = this.materials.find(m => [m.id, m.name, m.symbol].some(key => String(key).toLowerCase() === name));
+                    if (!material) fail(`unknown material "${raw.value}"`);
+                    step.value = material.id;
+                    break;
+                }
+                case 'source': {
+                    const name = String(raw.value).toLowerCase();
+                    if (!this.lightSources[name]) fail(`unknown light source "${raw.value}" (choose from ${Object.keys(this.lightSources).join(', ')})`);
+                    step.value = name;
+                    break;
+                }
+                case 'filter':
+                    step.value = filter(raw.value);
+                    break;
+                case 'wavelength':
+                    step.value = wavelength(number('value', 'wavelength'));
+                    break;
+                case 'intensity':
+                    step.value = within(number('value', 'intensity'), this.elements.intensitySlider, 'intensity', '%');
+                    break;
+                case 'distance':
+                    step.value = within(number('value', 'distance'), this.elements.distanceSlider, 'distance', 'cm');
+                    break;
+                case 'voltage':
+                    step.value = within(number('value', 'voltage'), this.elements.voltageSlider, 'voltage', 'V');
+                    break;
+                case 'wait':
+                    step.value = number('value', 'wait time');
+                    if (step.value < 0) fail('wait time cannot be negative');
+                    break;
+                case 'measure':
+                    step.count = raw.count === undefined ? 1 : number('count');
+                    if (!Number.isInteger(step.count) || step.count < 1) fail('measure count must be a whole number of at least 1');
+                    break;
+                case 'sweep': {
+                    const readings = raw.readings === undefined ? 1 : number('readings');
+                    if (!Number.isInteger(readings)) fail('readings must be a whole number');
+                    step.config = {
+                        ...this.sweepConfig,
+                        start: number('from', 'sweep start'),
+                        stop: number('to', 'sweep stop'),
+                        step: number('step', 'sweep step'),
+                        adaptive: false,
+                        direction: raw.from > raw.to ? 'down' : 'up',
+                        dwell: raw.dwell === undefined ? this.sweepConfig.dwell : number('dwell', 'dwell time'),
+                        passes: readings
+                    };
+                    const error = this.validateSweepConfig(step.config);
+                    if (error) fail(error);
+                    break;
+                }
+                case 'seed':
+                    step.value = String(raw.value === undefined ? '' : raw.value).trim();
+                    if (!step.value) fail('seed needs a value');
+                    break;
+                case 'fit':
+                case 'clear':
+                    break;
+                case 'log':
+                    step.message = String(raw.message === undefined ? '' : raw.message);
+                    break;
+                case 'repeat':
+                    step.times = number('times', 'repeat count');
+                    if (!Number.isInteger(step.times) || step.times < 1 || step.times > this.script.maxSteps) {
+                        fail(`repeat count must be a whole number from 1 to ${this.script.maxSteps}`);
+                    }
+                    step.steps = block();
+                    break;
+                case 'foreach': {
+                    const values = Array.isArray(raw.values) ? raw.values : [];
+                    step.over = String(raw.over).toLowerCase();
+                    if (step.over === 'filter') {
+                        step.values = values.length > 0 ? values.map(filter) : Object.keys(this.filters);
+                    } else if (step.over === 'wavelength') {
+                        if (values.length === 0) fail('foreach wavelength needs at least one wavelength');
+                        step.values = values.map(wavelength);
+                    } else {
+                        fail('foreach runs over filter or wavelength');
+                    }
+                    step.steps = block();
+                    break;
+                }
+                default:
+                    fail(`unknown command "${raw.command}"`);
+            }
+            return step;
+        });
+    }
+
+    expandScript(steps, expanded = []) {
+        // Unrolls repeat and foreach blocks into the flat list the runner steps through
+        steps.forEach(step => {
+            if (step.command === 'repeat') {
+                for (let i = 0; i < step.times; i++) this.expandScript(step.steps, expanded);
+            } else if (step.command === 'foreach') {
+                step.values.forEach(value => {
+                    expanded.push({ command: step.over, value, location: step.location });
+                    this.expandScript(step.steps, expanded);
+                });
+            } else {
+                expanded.push(step);
+            }
+            if (expanded.length > this.script.maxSteps) {
+                throw new Error(`The script runs more than ${this.script.maxSteps} steps - shorten its loops`);
+            }
+        });
+        return expanded;
+    }
+
+    describeScriptStep(step) {
+        switch (step.command) {
+            case 'material':
+                return `material ${this.materials.find(m => m.id === step.value).name}`;
+            case 'wavelength':
+                return `wavelength ${this.formatQuantity('wavelength', step.value, 1)}`;
+            case 'voltage':
+                return `voltage ${step.value.toFixed(2)} V`;
+            case 'measure':
+                return `measure ×${step.count}`;
+            case 'sweep': {
+                const config = step.config;
+                return `sweep ${config.start} V → ${config.stop} V in ${config.step} V steps, ${config.passes} reading(s) each`;
+            }
+            case 'wait':
+                return `wait ${step.value} ms`;
+            case 'log':
+                return 'log';
+            default:
+                return step.value === undefined ? step.command : `${step.command} ${step.value}`;
+        }
+    }
+
+    async runScript() {
+        const state = this.state;
+        if (state.scriptActive) return;
+        if (state.autoSweepActive || state.batchActive || state.spectralScanActive) {
+            alert('Wait for the running sweep, experiment or scan to finish before starting a script.');
+            return;
+        }
+
+        let steps;
+        try {
+            steps = this.expandScript(this.parseScript(this.elements.scriptEditor.value).steps);
+        } catch (error) {
+            alert(`Script error - ${error.message}`);
+            return;
+        }
+        if (steps.length === 0) {
+            alert('The script has no commands to run.');
+            return;
+        }
+
+        state.scriptActive = true;
+        state.scriptPaused = false;
+        state.scriptAbortRequested = false;
+        this.setScriptControlsLocked(true);
+        const total = steps.length;
+        this.elements.scriptProgress.max = total;
+        this.elements.scriptProgress.value = 0;
+        this.logMessage(`Protocol script started: ${total} steps`);
+
+        let failure = null;
+        for (let i = 0; i < total; i++) {
+            // Yield so progress repaints and pause/abort clicks are handled between steps
+            await new Promise(resolve => setTimeout(resolve, 0));
+            await this.waitWhileScriptPaused();
+            if (state.scriptAbortRequested) break;
+
+            const step = steps[i];
+            this.elements.scriptProgressLabel.textContent = `Step ${i + 1}/${total}: ${this.describeScriptStep(step)}`;
+            try {
+                await this.executeScriptStep(step);
+            } catch (error) {
+                failure = `${step.location}: ${error.message}`;
+                break;
+            }
+            // Steps such as lamp and sweep re-enable the buttons they drive
+            this.setScriptControlsLocked(true);
+            this.elements.scriptProgress.value = i + 1;
+        }
+
+        const aborted = state.scriptAbortRequested;
+        state.scriptActive = false;
+        state.scriptPaused = false;
+        state.scriptAbortRequested = false;
+        this.setScriptControlsLocked(false);
+
+        if (failure) {
+            this.logMessage(`Protocol script stopped - ${failure}`);
+            alert(`Script stopped - ${failure}`);
+        } else if (aborted) {
+            this.logMessage('Protocol script aborted - completed steps are kept');
+        } else {
+            this.logMessage('Protocol script complete');
+        }
+        this.announce(failure ? 'Protocol script stopped with an error' : aborted ? 'Protocol script aborted' : 'Protocol script complete');
+    }
+
+    async executeScriptStep(step) {
+        // Each command goes through the same methods as the matching control
+        const elements = this.elements;
+        const requireLamp = () => {
+            if (!this.state.isExperimentActive) throw new Error(`${step.command} needs the lamp on - add "lamp on" first`);
+        };
+        switch (step.command) {
+            case 'lamp':
+                if (this.state.isExperimentActive !== (step.value === 'on')) this.toggleExperiment();
+                break;
+            case 'material':
+                if (this.assessment) throw new Error('the photocathode is fixed during an assessment');
+                this.core.setMaterial(step.value);
+                elements.materialSelect.value = step.value;
+                this.updateAllCalculations();
+                this.logMessage(`Material changed to ${this.describeMaterial(this.state.currentMaterial)}`);
+                break;
+            case 'source':
+                this.core.setLightSource(step.value);
+                elements.lightSourceSelect.value = step.value;
+                this.updateAllCalculations();
+                this.logMessage(`Light source changed to ${this.lightSources[step.value].name}`);
+                break;
+            case 'filter':
+                this.selectWavelength(step.value, this.state.monochromatorWavelength);
+                break;
+            case 'wavelength':
+                this.selectWavelength('monochromator', step.value);
+                break;
+            case 'intensity':
+                this.core.setIntensity(step.value);
+                elements.intensitySlider.value = step.value;
+                elements.intensityValue.textContent = step.value;
+                this.updateAllCalculations();
+                this.logMessage(`Lamp intensity set to ${step.value}% (relative photon flux ${this.core.calculatePhysics().relativeFlux.toFixed(2)})`);
+                break;
+            case 'distance':
+                this.core.setDistance(step.value);
+                elements.distanceSlider.value = step.value;
+                elements.distanceValue.textContent = step.value;
+                this.updateAllCalculations();
+                this.logMessage(`Lamp-cell distance set to ${step.value} cm (relative photon flux ${this.core.calculatePhysics().relativeFlux.toFixed(2)})`);
+                break;
+            case 'voltage':
+                this.setVoltage(step.value);
+                this.updateAllCalculations();
+                break;
+            case 'seed':
+                this.setRandomSeed(step.value);
+                break;
+            case 'measure':
+                requireLamp();
+                for (let i = 0; i < step.count && !this.state.scriptAbortRequested; i++) {
+                    if (i > 0) await new Promise(resolve => setTimeout(resolve, 0));
+                    await this.waitWhileScriptPaused();
+                    this.takePrecisionMeasurement();
+                }
+                break;
+            case 'sweep':
+                requireLamp();
+                await this.performAutoSweep(step.config);
+                break;
+            case 'fit':
+                this.calculatePlanckConstant();
+                this.logMessage(this.planckFit
+                    ? `Planck fit: ${this.describePlanckFit(this.planckFit)}`
+                    : 'Planck fit skipped - fewer than two stopping potentials resolved');
+                break;
+            case 'clear':
+                this.clearGraphs();
+                break;
+            case 'wait': {
+                // Waits in short slices so an abort is not held up
+                const until = Date.now() + step.value;
+                while (Date.now() < until && !this.state.scriptAbortRequested) {
+                    await new Promise(resolve => setTimeout(resolve, Math.min(100, until - Date.now())));
+                }
+                break;
+            }
+            case 'log':
+                this.logMessage(step.message);
+                break;
+        }
+    }
+
+    async waitWhileScriptPaused() {
+        while (this.state.scriptPaused && !this.state.scriptAbortRequested) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+    }
+
+    toggleScriptPause() {
+        if (!this.state.scriptActive || this.state.scriptAbortRequested) return;
+        this.state.scriptPaused = !this.state.scriptPaused;
+        this.elements.scriptPause.textContent = this.state.scriptPaused ? '▶ Resume' : '⏸ Pause';
+        this.logMessage(this.state.scriptPaused ? 'Protocol script paused' : 'Protocol script resumed');
+    }
+
+    abortScript() {
+        if (!this.state.scriptActive) return;
+        this.state.scriptAbortRequested = true;
+        this.state.scriptPaused = false;
+        this.cancelAutoSweep();
+        this.elements.scriptPause.disabled = true;
+        this.elements.scriptAbort.disabled = true;
+        this.elements.scriptProgressLabel.textContent = 'Aborting...';
+    }
+
+    setScriptControlsLocked(locked) {
+        // A running script owns the apparatus; pause and abort are the only controls left
+        const elements = this.elements;
+        const idle = !locked && this.state.isExperimentActive;
+        elements.materialSelect.disabled = locked || Boolean(this.assessment);
+        elements.lightSourceSelect.disabled = locked;
+        elements.filterSelect.disabled = locked;
+        elements.wavelengthSlider.disabled = locked;
+        elements.wavelengthEntry.disabled = locked;
+        elements.voltageSlider.disabled = locked;
+        elements.intensitySlider.disabled = locked;
+        elements.distanceSlider.disabled = locked;
+        elements.switchLight.disabled = locked;
+        elements.resetExperiment.disabled = locked;
+        elements.assessmentButton.disabled = locked;
+        elements.takeMeasurement.disabled = !idle;
+        elements.autoSweep.disabled = !idle;
+        elements.runExperiment.disabled = !idle;
+        elements.spectralScan.disabled = !idle;
+        elements.scriptEditor.readOnly = locked;
+        elements.scriptRun.disabled = locked;
+        elements.scriptExample.disabled = locked;
+        elements.scriptOpen.disabled = locked;
+        elements.scriptPause.disabled = !locked;
+        elements.scriptAbort.disabled = !locked;
+        elements.scriptProgressGroup.classList.toggle('hidden', !locked);
+        if (!locked) elements.scriptPause.textContent = '⏸ Pause';
+        this.updateHistoryControls();
+    }
+
+    importScript(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            this.elements.scriptEditor.value = reader.result;
+            this.scheduleAutosave();
+            this.logMessage(`Protocol script loaded from ${file.name}`);
+        };
+        reader.readAsText(file);
+    }
+
+    async measureSweepPoint(sweep, step, pass) {
+        // A paused protocol script holds the sweep before the next voltage
+        await this.waitWhileScriptPaused();
+        this.setVoltage(step.voltage);
+
+        // Let the reading settle before sampling
+        await new Promise(resolve => setTimeout(resolve, sweep.config.dwell));
+        if (!this.state.isExperimentActive) this.state.sweepCancelRequested = true;
+        if (this.state.sweepCancelRequested) return;
+
+        const { measurement, physics } = this.acquireMeasurement();
+        measurement.sweepId = sweep.id;
+        measurement.pass = pass;
+        measurement.leg = step.leg;
+
+        const point = this.core.addSweepReading(sweep.points, step, measurement, physics);
+        point.sweepId = sweep.id;
+
+        this.updateMeasurementViews();
+        this.elements.graphStatus.textContent = `${sweep.label} - pass ${pass}/${sweep.config.passes}, ${sweep.points.length} points`;
+    }
+
+    readSpectralScanControls() {
+        const elements = this.elements;
+        const start = parseFloat(elements.spectralStart.value);
+        const stop = parseFloat(elements.spectralStop.value);
+        const step = parseFloat(elements.spectralStep.value);
+        const bias = parseFloat(elements.spectralBias.value);
+        const min = parseFloat(elements.wavelengthSlider.min);
+        const max = parseFloat(elements.wavelengthSlider.max);
+
+        if (![start, stop].every(w => isFinite(w) && w >= min && w <= max)) {
+            alert(`Scan limits must lie between ${min} and ${max} nm.`);
+            return null;
+        }
+        if (!(step > 0) || Math.abs(stop - start) / step > 500) {
+            alert('Scan step must be positive and give at most 500 points.');
+            return null;
+        }
+        if (!isFinite(bias) || bias <= 0 || bias > parseFloat(elements.voltageSlider.max)) {
+            alert(`Bias must be a forward voltage between 0 and ${elements.voltageSlider.max} V.`);
+            return null;
+        }
+        return { start, stop, step, bias };
+    }
+
+    cancelSpectralScan() {
+        if (!this.state.spectralScanActive) return;
+        this.state.spectralScanCancelRequested = true;
+        this.elements.spectralScan.disabled = true;
+        this.elements.spectralScan.textContent = '⏹ Cancelling...';
+    }
+
+    async performSpectralScan(config) {
+        if (!this.state.isExperimentActive || this.state.autoSweepActive || this.state.batchActive || this.state.spectralScanActive) return;
+
+        const redo = this.history.redo;
+        const snapshot = this.recordHistory('Spectral scan');
+        this.state.spectralScanActive = true;
+        this.state.spectralScanCancelRequested = false;
+        this.elements.spectralScan.textContent = '⏹ Cancel Scan';
+        this.setSpectralScanControlsLocked(true);
+
+        // Restore the optical setup and bias afterwards so the scan does not disturb I-V work
+        const previous = {
+            filter: this.state.currentFilter,
+            wavelength: this.state.monochromatorWavelength,
+            voltage: this.state.voltage
+        };
+
+        const source = this.lightSources[this.state.lightSource];
+        const lastScanId = this.experimentData.reduce((max, m) => Math.max(max, m.scanId || 0),
+            this.spectralScans.length > 0 ? this.spectralScans[this.spectralScans.length - 1].id : 0);
+        const scan = {
+            id: lastScanId + 1,
+            config: { ...config },
+            material: this.state.currentMaterial.name,
+            lightSource: this.state.lightSource,
+            bandwidth: this.state.monochromatorBandwidth,
+            intensity: this.state.intensity,
+            distance: this.state.distance,
+            startedAt: new Date(),
+            status: 'running',
+            points: []
+        };
+        scan.label = `Scan ${scan.id}: ${scan.material}, ${source.name} @ +${config.bias} V`;
+        this.spectralScans.push(scan);
+        this.logMessage(`Starting spectral ${scan.label}: ${config.start} → ${config.stop} nm in ${config.step} nm steps, ` +
+            `${scan.bandwidth} nm bandwidth`);
+
+        const direction = config.stop >= config.start ? 1 : -1;
+        const count = Math.floor(Math.abs(config.stop - config.start) / config.step + 1e-9) + 1;
+        for (let i = 0; i < count && !this.state.spectralScanCancelRequested; i++) {
+            const wavelength = Math.round((config.start + direction * i * config.step) * 100) / 100;
+            this.selectWavelength('monochromator', wavelength);
+            this.setVoltage(config.bias);
+
+            // Let the reading settle before sampling
+            await new Promise(resolve => setTimeout(resolve, this.sweepConfig.dwell));
+            if (!this.state.isExperimentActive) this.state.spectralScanCancelRequested = true;
+            if (this.state.spectralScanCancelRequested) break;
+
+            const { measurement } = this.acquireMeasurement();
+            measurement.scanId = scan.id;
+            scan.points.push({ x: measurement.wavelength, y: measurement.current, yError: measurement.standardError, measurementId: measurement.id });
+            this.updateSpectralChart();
+            this.updateRawTable();
+            this.elements.spectralStatus.textContent = `${scan.label} - ${i + 1}/${count} points`;
+        }
+
+        scan.status = this.state.spectralScanCancelRequested ? 'cancelled' : 'completed';
+        scan.completedAt = new Date();
+        this.state.spectralScanActive = false;
+        this.state.spectralScanCancelRequested = false;
+        this.elements.spectralScan.textContent = '🌈 Scan Wavelength';
+        this.elements.spectralScan.disabled = !this.state.isExperimentActive;
+        this.setSpectralScanControlsLocked(false);
+
+        this.selectWavelength(previous.filter, previous.wavelength);
+        this.setVoltage(previous.voltage);
+        if (scan.points.length === 0) {
+            this.spectralScans = this.spectralScans.filter(other => other !== scan);
+            this.discardHistory(snapshot, redo);
+        }
+        this.updateSpectralChart();
+
+        if (scan.status === 'cancelled' || scan.points.length === 0) {
+            this.logMessage(`Spectral ${scan.label} cancelled - ${scan.points.length} points kept`);
+            return;
+        }
+        const peak = scan.points.reduce((best, p) => p.y > best.y ? p : best, scan.points[0]);
+        this.logMessage(`Spectral scan complete - peak photocurrent ${peak.y.toFixed(3)} μA at ${peak.x} nm`);
+        this.elements.spectralStatus.textContent = `${scan.label} - ${scan.points.length} points`;
+    }
+
+    setSpectralScanControlsLocked(locked) {
+        // The scan drives the monochromator and bias itself
+        const idle = !locked && this.state.isExperimentActive;
+        this.elements.materialSelect.disabled = locked || Boolean(this.assessment);
+        this.elements.lightSourceSelect.disabled = locked;
+        this.elements.filterSelect.disabled = locked;
+        this.elements.wavelengthSlider.disabled = locked;
+        this.elements.wavelengthEntry.disabled = locked;
+        this.elements.voltageSlider.disabled = locked;
+        this.elements.takeMeasurement.disabled = !idle;
+        this.elements.autoSweep.disabled = !idle;
+        this.elements.runExperiment.disabled = !idle;
+        this.updateHistoryControls();
+    }
+
+    updateSpectralChart() {
+        this.spectralChart.data.datasets = this.spectralScans.map(scan => {
+            const material = this.materials.find(m => m.name === scan.material) || this.state.currentMaterial;
+            return {
+                label: scan.label,
+                data: scan.points,
+                backgroundColor: material.color,
+                borderColor: material.color,
+                borderWidth: 2,
+                pointRadius: 3,
+                pointHoverRadius: 5,
+                showLine: true,
+                tension: 0,
+                errorBars: true
+            };
+        });
+        this.spectralChart.update('none');
+    }
+
+    setTimeResolved(enabled) {
+        this.core.setTimeResolved(enabled);
+        this.elements.timeMode.checked = enabled;
+        this.elements.loggerToggle.disabled = !enabled;
+        if (enabled) {
+            this.startTimeClock();
+            this.logMessage('Time-resolved mode on - lamp warm-up, flicker and drift are simulated');
+        } else {
+            if (this.timeMode.logging) this.toggleLogging();
+            this.stopTimeClock();
+            this.logMessage('Time-resolved mode off - lamp output held at its settled value');
+        }
+        this.updateLampStatus();
+        this.updateAllCalculations();
+    }
+
+    startTimeClock() {
+        this.stopTimeClock();
+        this.timeMode.lastTick = Date.now();
+        this.timeMode.timer = setInterval(() => this.tickTimeClock(), 1000 / this.timeMode.rate);
+    }
+
+    stopTimeClock() {
+        if (this.timeMode.timer !== null) clearInterval(this.timeMode.timer);
+        this.timeMode.timer = null;
+    }
+
+    tickTimeClock() {
+        // Advance the core by the real time elapsed, then take one sample for the strip chart and logger
+        const now = Date.now();
+        this.core.advanceTime(Math.min((now - this.timeMode.lastTick) / 1000, this.timeMode.maxStep));
+        this.timeMode.lastTick = now;
+
+        const sample = this.core.readTimeSample();
+        this.timeMode.samples.push(sample);
+        this.trimTimeSamples();
+        if (this.timeMode.logging) {
+            this.core.timeSeries.push(sample);
+            this.updateLoggerControls();
+            this.scheduleAutosave();
+        }
+
+        this.updateTimeChart();
+        this.updateLampStatus();
+        this.updateCurrentReading();
+    }
+
+    trimTimeSamples() {
+        const samples = this.timeMode.samples;
+        const start = this.state.time - this.timeMode.window;
+        const firstInWindow = samples.findIndex(sample => sample.time >= start);
+        samples.splice(0, firstInWindow === -1 ? samples.length : firstInWindow);
+    }
+
+    updateTimeChart() {
+        const end = Math.max(this.state.time, this.timeMode.window);
+        const x = this.timeChart.options.scales.x;
+        x.min = end - this.timeMode.window;
+        x.max = end;
+        this.timeChart.data.datasets[0].data = this.timeMode.samples.map(sample => ({ x: sample.time, y: sample.current }));
+        this.timeChart.update('none');
+    }
+
+    updateLampStatus() {
+        const status = this.core.getLampStatus();
+        const output = `${(this.core.getLampOutput() * 100).toFixed(1)}% of settled output`;
+        const text = {
+            off: 'Lamp off',
+            warming: `Lamp warming up - ${output}`,
+            stable: this.state.timeResolved ? `Lamp stable - ${output}` : 'Lamp on'
+        }[status];
+        this.elements.lampStatus.textContent = text;
+        this.elements.lampStatus.dataset.status = status;
+
+        // Only the change to a stable lamp is worth a log entry
+        if (status === 'stable' && this.timeMode.lampStatus === 'warming') {
+            this.logMessage('Lamp output stable to within 1% - readings can be taken');
+            this.announce('Lamp output stable');
+        }
+        this.timeMode.lampStatus = status;
+    }
+
+    toggleLogging() {
+        this.timeMode.logging = !this.timeMode.logging;
+        if (this.timeMode.logging) {
+            this.logMessage(`Data logger started at ${this.timeMode.rate} Hz`);
+        } else {
+            this.logMessage(`Data logger stopped - ${this.core.timeSeries.length} samples logged`);
+        }
+        this.updateLoggerControls();
+    }
+
+    updateLoggerControls() {
+        const count = this.core.timeSeries.length;
+        this.elements.loggerToggle.textContent = this.timeMode.logging ? '⏹ Stop Logging' : '⏺ Start Logging';
+        this.elements.loggerToggle.classList.toggle('active', this.timeMode.logging);
+        this.elements.loggerClear.disabled = count === 0;
+        this.elements.loggerExport.disabled = count === 0;
+        const duration = count > 1 ? ` over ${(this.core.timeSeries[count - 1].time - this.core.timeSeries[0].time).toFixed(1)} s` : '';
+        this.elements.loggerStatus.textContent = count === 0
+            ? 'No samples logged'
+            : `${count} samples logged${duration}${this.timeMode.logging ? ' - logging' : ''}`;
+    }
+
+    clearTimeSeries() {
+        const count = this.core.timeSeries.length;
+        if (count === 0 || !confirm(`Discard ${count} logged samples? This cannot be undone.`)) return;
+        this.core.timeSeries = [];
+        this.updateLoggerControls();
+        this.scheduleAutosave();
+        this.logMessage('Data log cleared');
+    }
+
+    exportTimeSeries() {
+        if (this.core.timeSeries.length === 0) {
+            alert('No logged samples to export. Switch on time-resolved mode and start the data logger first.');
+            return;
+        }
+        const lines = [['# Photoelectric Effect Laboratory']];
+        this.getExportMetadata().forEach(([key, value]) => lines.push([`# ${key}`, value]));
+        lines.push(['# Sample Rate (Hz)', this.timeMode.rate], [], ['# Time Series'], ...this.core.getTimeSeriesTable());
+        this.downloadFile(this.core.toCsv(lines), `photoelectric_lab_timeseries_${Date.now()}.csv`, 'text/csv;charset=utf-8;');
+        this.logMessage(`Exported ${this.core.timeSeries.length} logged samples`);
+    }
+
+    updateIVChart() {
+        // One dataset for manual points, one per stored sweep, then excluded and selected readings
+        const ivReadings = this.experimentData.filter(m => m.scanId === undefined);
+        const manual = this.ivChart.data.datasets[0];
+        manual.data = this.core.getReadingPoints(ivReadings.filter(m => m.leg === undefined && !m.excluded))
+            .sort((a, b) => a.x - b.x);
+
+        const pointStyles = ['circle', 'triangle', 'rect', 'rectRot', 'star', 'crossRot'];
+        const colorUses = {};
+        const sweepDatasets = this.sweeps.map(sweep => {
+            const color = this.getCurveColor(sweep);
+            colorUses[color] = (colorUses[color] || 0) + 1;
+            return {
+                label: `${sweep.label}, ${sweep.intensity}% / ${sweep.distance} cm`,
+                sweepId: sweep.id,
+                data: sweep.points,
+                backgroundColor: color,
+                borderColor: color,
+                borderWidth: 2,
+                pointRadius: 3,
+                pointHoverRadius: 5,
+                // Curves sharing a colour (same wavelength or material) get distinct markers
+                pointStyle: pointStyles[(colorUses[color] - 1) % pointStyles.length],
+                showLine: true,
+                tension: 0.3,
+                hidden: !sweep.visible
+            };
+        });
+
+        const readingPoint = m => ({ x: m.voltage, y: m.current, measurementId: m.id });
+        const excluded = {
+            label: 'Excluded readings',
+            data: ivReadings.filter(m => m.excluded).map(readingPoint),
+            backgroundColor: 'transparent',
+            borderColor: '#A0A0A0',
+            borderWidth: 1,
+            pointRadius: 4,
+            showLine: false
+        };
+        const selected = {
+            label: 'Selected',
+            selectionOverlay: true,
+            data: ivReadings.filter(m => this.selectedMeasurements.has(m.id)).map(readingPoint),
+            backgroundColor: 'transparent',
+            borderColor: '#C0152F',
+            borderWidth: 2,
+            pointRadius: 7,
+            pointHoverRadius: 8,
+            showLine: false
+        };
+
+        this.ivChart.data.datasets = [manual, ...sweepDatasets, excluded, selected];
+        this.ivChart.update('none');
+        this.updateCurveList();
+    }
+
+    getCurveColor(sweep) {
+        if (this.state.curveColorMode === 'material') {
+            const material = this.materials.find(m => m.name === sweep.material);
+            return material ? material.color : '#1FB8CD';
+        }
+        return this.getWavelengthColor(sweep.wavelength);
+    }
+
+    updateCurveList() {
+        const list = this.elements.curveList;
+        list.innerHTML = '';
+
+        this.sweeps.forEach(sweep => {
+            // Per-curve summary for comparing intensities: saturation current and V_s
+            const saturation = sweep.points.length > 0 ? Math.max(...sweep.points.map(p => p.y)) : 0;
+            const extraction = this.core.extractStoppingPotential(sweep.points, this.state.extractionMethod);
+
+            const item = document.createElement('div');
+            item.className = 'curve-item' + (sweep.visible ? '' : ' curve-item--hidden');
+
+            const toggle = document.createElement('input');
+            toggle.type = 'checkbox';
+            toggle.checked = sweep.visible;
+            toggle.title = 'Show or hide this curve';
+            toggle.addEventListener('change', () => this.toggleCurveVisibility(sweep.id));
+
+            const swatch = document.createElement('span');
+            swatch.className = 'curve-swatch';
+            swatch.style.background = this.getCurveColor(sweep);
+
+            const label = document.createElement('span');
+            label.className = 'curve-label';
+            label.textContent = `${sweep.label} · ${sweep.intensity}% / ${sweep.distance} cm` +
+                `${sweep.status === 'cancelled' ? ' (partial)' : ''}`;
+
+            const stats = document.createElement('span');
+            stats.className = 'curve-stats';
+            stats.textContent = `I_sat ${saturation.toFixed(2)} μA · V_s ${extraction ? extraction.value.toFixed(3) + ' V' : '—'}`;
+
+            const remove = document.createElement('button');
+            remove.className = 'btn btn--sm btn--secondary';
+            remove.textContent = '✕';
+            remove.title = 'Delete this curve';
+            remove.disabled = this.isAcquiring();
+            remove.addEventListener('click', () => this.deleteCurve(sweep.id));
+
+            item.append(toggle, swatch, label, stats, remove);
+            list.appendChild(item);
+        });
+    }
+
+    toggleCurveVisibility(sweepId) {
+        const sweep = this.sweeps.find(s => s.id === sweepId);
+        if (!sweep) return;
+        sweep.visible = !sweep.visible;
+        this.updateIVChart();
+    }
+
+    deleteCurve(sweepId) {
+        const sweep = this.sweeps.find(s => s.id === sweepId);
+        if (!sweep || this.isAcquiring()) return;
+
+        // V_s values that relied on this curve are re-extracted from what remains
+        const ids = this.experimentData.filter(m => m.sweepId === sweepId).map(m => m.id);
+        this.deleteMeasurements(ids, `Delete ${sweep.label}`);
+        this.logMessage(`${sweep.label} deleted`);
+    }
+
+    updateFrequencyData() {
+        // Re-extract V_s from every included I-V reading
+        this.core.rebuildFrequencyData();
+        this.updateFrequencyAnalysis();
+    }
+
+    reextractStoppingPotentials() {
+        this.core.rebuildFrequencyData().filter(d => d.stoppingPotential === null).forEach(d => {
+            this.logMessage(`${this.extractionMethods[d.method]} could not resolve V_s at ${d.wavelength} nm`);
+        });
+        this.updateFrequencyAnalysis();
+    }
+
+    isAcquiring() {
+        // Sweeps, batch runs, scripts and scans append to the record while they run, so edits wait for them
+        const state = this.state;
+        return state.autoSweepActive || state.batchActive || state.scriptActive || state.spectralScanActive;
+    }
+
+    updateMeasurementViews() {
+        // Everything shown from the measurement record: curves, V_s, the Planck fit and the raw table
+        this.updateIVChart();
+        this.updateFrequencyData();
+        this.updateRawTable();
+        this.updateHistoryControls();
+    }
+
+    refreshMeasurementViews() {
+        // After readings are deleted, excluded or restored: re-derive curve and scan points from the
+        // included readings and drop curves and scans with no readings left
+        const included = this.experimentData.filter(m => !m.excluded);
+        const sweepIds = new Set(this.experimentData.map(m => m.sweepId));
+        const scanIds = new Set(this.experimentData.map(m => m.scanId));
+        this.sweeps = this.sweeps.filter(sweep => sweep.status === 'running' || sweepIds.has(sweep.id));
+        this.spectralScans = this.spectralScans.filter(scan => scan.status === 'running' || scanIds.has(scan.id));
+
+        this.sweeps.forEach(sweep => {
+            sweep.points = this.core.getReadingPoints(included.filter(m => m.sweepId === sweep.id && m.leg !== undefined));
+        });
+        this.spectralScans.forEach(scan => {
+            scan.points = included
+                .filter(m => m.scanId === scan.id)
+                .map(m => ({ x: m.wavelength, y: m.current, yError: m.standardError, measurementId: m.id }));
+        });
+
+        const known = new Set(this.experimentData.map(m => m.id));
+        this.selectedMeasurements.forEach(id => {
+            if (!known.has(id)) this.selectedMeasurements.delete(id);
+        });
+
+        this.updateMeasurementViews();
+        this.updateSpectralChart();
+        this.scheduleAutosave();
+    }
+
+    captureHistory(label) {
+        // Readings are never modified after acquisition except for `excluded`, so the snapshot
+        // shares them and records only the flag; sweep and scan records are copied
+        return {
+            label,
+            readings: this.experimentData.map(m => ({ measurement: m, excluded: m.excluded })),
+            sweeps: this.sweeps.map(sweep => ({ ...sweep })),
+            spectralScans: this.spectralScans.map(scan => ({ ...scan }))
+        };
+    }
+
+    recordHistory(label) {
+        // Called before every action that changes the measurement record
+        const history = this.history;
+        const snapshot = this.captureHistory(label);
+        history.undo.push(snapshot);
+        if (history.undo.length > history.limit) history.undo.shift();
+        history.redo = [];
+        this.updateHistoryControls();
+        return snapshot;
+    }
+
+    discardHistory(snapshot, redo) {
+        // Withdraws the step recorded for a run that ended before its first reading
+        const history = this.history;
+        if (history.undo[history.undo.length - 1] === snapshot) history.undo.pop();
+        history.redo = redo;
+        this.updateHistoryControls();
+    }
+
+    restoreHistory(snapshot) {
+        this.experimentData = snapshot.readings.map(({ measurement, excluded }) => {
+            measurement.excluded = excluded;
+            return measurement;
+        });
+        this.sweeps = snapshot.sweeps;
+        this.spectralScans = snapshot.spectralScans;
+        this.refreshMeasurementViews();
+    }
+
+    undo() {
+        const snapshot = this.history.undo[this.history.undo.length - 1];
+        if (!snapshot || this.isAcquiring()) return;
+        this.history.undo.pop();
+        this.history.redo.push(this.captureHistory(snapshot.label));
+        this.restoreHistory(snapshot);
+        this.logMessage(`Undo: ${snapshot.label}`);
+        this.announce(`Undid ${snapshot.label}`);
+    }
+
+    redo() {
+        const snapshot = this.history.redo[this.history.redo.length - 1];
+        if (!snapshot || this.isAcquiring()) return;
+        this.history.redo.pop();
+        this.history.undo.push(this.captureHistory(snapshot.label));
+        this.restoreHistory(snapshot);
+        this.logMessage(`Redo: ${snapshot.label}`);
+        this.announce(`Redid ${snapshot.label}`);
+    }
+
+    clearHistory() {
+        this.history.undo = [];
+        this.history.redo = [];
+        this.updateHistoryControls();
+    }
+
+    deleteMeasurements(ids, label) {
+        // Undoable removal of readings from the record; returns how many were removed
+        if (ids.length === 0) return 0;
+        this.recordHistory(label);
+        const removed = this.core.deleteMeasurements(ids);
+        this.refreshMeasurementViews();
+        return removed;
+    }
+
+    excludeSelectedMeasurements(excluded) {
+        const ids = [...this.selectedMeasurements];
+        if (ids.length === 0 || this.isAcquiring()) return;
+        const label = `${excluded ? 'Exclude' : 'Include'} ${ids.length} reading(s)`;
+        this.recordHistory(label);
+        const changed = this.core.excludeMeasurements(ids, excluded);
+        this.refreshMeasurementViews();
+        this.logMessage(`${changed} reading(s) ${excluded ? 'excluded from' : 'included in'} the analysis`);
+    }
+
+    deleteSelectedMeasurements() {
+        const ids = [...this.selectedMeasurements];
+        if (ids.length === 0 || this.isAcquiring()) return;
+        const removed = this.deleteMeasurements(ids, `Delete ${ids.length} reading(s)`);
+        this.logMessage(`${removed} reading(s) deleted`);
+    }
+
+    toggleSelection(ids) {
+        // Selects the readings behind a chart point, or deselects them if they are all selected already
+        const selected = ids.every(id => this.selectedMeasurements.has(id));
+        ids.forEach(id => {
+            if (selected) this.selectedMeasurements.delete(id);
+            else this.selectedMeasurements.add(id);
+        });
+        this.updateSelectionViews();
+    }
+
+    clearSelection() {
+        if (this.selectedMeasurements.size === 0) return;
+        this.selectedMeasurements.clear();
+        this.updateSelectionViews();
+    }
+
+    updateSelectionViews() {
+        this.updateIVChart();
+        this.updateRawTable();
+        this.updateHistoryControls();
+    }
+
+    updateHistoryControls() {
+        const elements = this.elements;
+        const busy = this.isAcquiring();
+        const undo = this.history.undo[this.history.undo.length - 1];
+        const redo = this.history.redo[this.history.redo.length - 1];
+        elements.undo.disabled = busy || !undo;
+        elements.redo.disabled = busy || !redo;
+        elements.undo.title = undo ? `Undo: ${undo.label} (Ctrl+Z)` : 'Nothing to undo';
+        elements.redo.title = redo ? `Redo: ${redo.label} (Ctrl+Y)` : 'Nothing to redo';
+        elements.clearGraph.disabled = busy;
+        elements.spectralClear.disabled = busy;
+
+        const count = this.selectedMeasurements.size;
+        elements.selectionStatus.textContent = count > 0
+            ? `${count} reading(s) selected`
+            : 'Click points on the chart or tick readings below to select them';
+        [elements.selectionExclude, elements.selectionInclude, elements.selectionDelete].forEach(button => {
+            button.disabled = busy || count === 0;
+        });
+        elements.selectionClear.disabled = count === 0;
+    }
+
+    updateRawTable() {
+        // Every reading in the record, filtered and sorted; built only while the table is open
+        if (!this.elements.rawData.open) return;
+        this.populateRawTableFilters();
+        const rows = this.getRawTableRows();
+        this.rawTable.rows = rows;
+        this.elements.rawDataCount.textContent = `${rows.length} of ${this.experimentData.length} readings`;
+        this.elements.rawDataSelectAll.checked = rows.length > 0 && rows.every(m => this.selectedMeasurements.has(m.id));
+        this.renderRawTableRows();
+        this.updateRawTableSummary(rows);
+    }
+
+    populateRawTableFilters() {
+        // Offer the materials and filters present in the record, keeping the current choice
+        const fill = (select, values, label) => {
+            // Rebuilt only when the choices change so an open dropdown is not disturbed mid-sweep
+            const options = ['', ...values];
+            if (Array.from(select.options).map(option => option.value).join('|') === options.join('|')) return;
+            const current = select.value;
+            select.innerHTML = '';
+            select.add(new Option('All', ''));
+            values.forEach(value => select.add(new Option(label(value), value)));
+            select.value = values.includes(current) ? current : '';
+        };
+        const distinct = key => [...new Set(this.experimentData.map(m => m[key]))].sort();
+        fill(this.elements.rawDataMaterial, distinct('material'), material => material);
+        fill(this.elements.rawDataFilter, distinct('filter'), filter => filter.charAt(0).toUpperCase() + filter.slice(1));
+    }
+
+    getRawTableRows() {
+        const elements = this.elements;
+        const material = elements.rawDataMaterial.value;
+        const filter = elements.rawDataFilter.value;
+        // Empty voltage fields leave that end of the range open
+        const minVoltage = elements.rawDataMinVoltage.value === '' ? -Infinity : parseFloat(elements.rawDataMinVoltage.value);
+        const maxVoltage = elements.rawDataMaxVoltage.value === '' ? Infinity : parseFloat(elements.rawDataMaxVoltage.value);
+
+        const rows = this.experimentData.filter(m =>
+            (!material || m.material === material) &&
+            (!filter || m.filter === filter) &&
+            !(m.voltage < minVoltage) && !(m.voltage > maxVoltage));
+
+        const { key, direction } = this.rawTable.sort;
+        const value = this.rawTable.sortValues[key];
+        return rows.sort((a, b) => {
+            const x = value(a);
+            const y = value(b);
+            const order = typeof x === 'string' ? x.localeCompare(y) : x - y;
+            return direction * order || a.id - b.id;
+        });
+    }
+
+    sortRawTable(key) {
+        // A second click on the same column reverses the order
+        const sort = this.rawTable.sort;
+        sort.direction = sort.key === key ? -sort.direction : 1;
+        sort.key = key;
+        this.elements.rawDataHead.querySelectorAll('th[data-sort]').forEach(header => {
+            if (header.dataset.sort === key) header.setAttribute('aria-sort', sort.direction > 0 ? 'ascending' : 'descending');
+            else header.removeAttribute('aria-sort');
+        });
+        this.updateRawTable();
+    }
+
+    renderRawTableRows() {
+        // Renders the rows in view plus an overscan margin; spacer rows keep the scroll height
+        if (!this.elements.rawData.open) return;
+        const { rowHeight, viewportHeight, overscan, rows } = this.rawTable;
+        const scroller = this.elements.rawDataScroll;
+        const first = Math.max(0, Math.floor(scroller.scrollTop / rowHeight) - overscan);
+        const last = Math.min(rows.length, first + Math.ceil((scroller.clientHeight || viewportHeight) / rowHeight) + 2 * overscan);
+
+        const tbody = this.elements.rawDataBody;
+        tbody.innerHTML = '';
+        const spacer = height => {
+            const row = tbody.insertRow();
+            row.className = 'raw-data__spacer';
+            row.style.height = `${height}px`;
+            row.insertCell(0).colSpan = this.elements.rawDataHead.rows[0].cells.length;
+        };
+        if (first > 0) spacer(first * rowHeight);
+
+        rows.slice(first, last).forEach(m => {
+            const row = tbody.insertRow();
+            row.dataset.measurementId = m.id;
+            row.tabIndex = 0;
+            row.title = 'Show this reading on the chart';
+            row.classList.toggle('raw-data__row--excluded', m.excluded);
+            row.classList.toggle('raw-data__row--selected', this.selectedMeasurements.has(m.id));
+            row.classList.toggle('raw-data__row--highlighted', this.rawTable.highlighted === m.id);
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = this.selectedMeasurements.has(m.id);
+            checkbox.dataset.measurementId = m.id;
+            checkbox.setAttribute('aria-label', `Select reading ${m.id}`);
+            row.insertCell(0).appendChild(checkbox);
+            row.insertCell(1).textContent = m.id;
+            row.insertCell(2).textContent = m.timestamp.toLocaleTimeString();
+            row.insertCell(3).textContent = this.describeReadingSource(m);
+            row.insertCell(4).textContent = m.material;
+            row.insertCell(5).textContent = m.filter.charAt(0).toUpperCase() + m.filter.slice(1);
+            row.insertCell(6).textContent = this.core.convertQuantity('wavelength', m.wavelength).toFixed(1);
+            row.insertCell(7).textContent = m.voltage.toFixed(2);
+            row.insertCell(8).textContent = m.current.toFixed(4);
+            row.insertCell(9).textContent = m.standardError.toExponential(1);
+            row.insertCell(10).textContent = m.excluded ? 'Excluded' : 'Included';
+        });
+
+        if (last < rows.length) spacer((rows.length - last) * rowHeight);
+    }
+
+    updateRawTableSummary(rows) {
+        const tbody = this.elements.rawDataSummaryBody;
+        tbody.innerHTML = '';
+        this.core.summarizeMeasurements(rows, this.elements.rawDataGroup.value).forEach(group => {
+            const row = tbody.insertRow();
+            row.insertCell(0).textContent = group.material;
+            row.insertCell(1).textContent = group.collector || 'standard';
+            row.insertCell(2).textContent = group.filter.charAt(0).toUpperCase() + group.filter.slice(1);
+            row.insertCell(3).textContent = this.core.convertQuantity('wavelength', group.wavelength).toFixed(1);
+            row.insertCell(4).textContent = group.voltage === null ? 'all' : group.voltage.toFixed(2);
+            row.insertCell(5).textContent = group.count;
+            row.insertCell(6).textContent = group.mean.toFixed(4);
+            row.insertCell(7).textContent = group.sd === null ? '—' : group.sd.toExponential(2);
+        });
+    }
+
+    highlightMeasurement(id) {
+        // Activates the chart point a reading belongs to; a sweep point averages all its passes
+        const measurement = this.experimentData.find(m => m.id === id);
+        if (!measurement) return;
+        this.rawTable.highlighted = id;
+        this.renderRawTableRows();
+
+        const chart = measurement.scanId !== undefined ? this.spectralChart : this.ivChart;
+        let match = null;
+        chart.data.datasets.forEach((dataset, datasetIndex) => {
+            if (match || dataset.hidden || dataset.selectionOverlay) return;
+            const index = dataset.data.findIndex(point =>
+                point.readings ? point.readings.some(r => r.measurementId === id) : point.measurementId === id);
+            if (index !== -1) match = { datasetIndex, index };
+        });
+        if (!match) {
+            this.announce(`Reading ${id} is not shown on the chart - its curve is hidden`);
+            return;
+        }
+
+        const element = chart.getDatasetMeta(match.datasetIndex).data[match.index];
+        chart.setActiveElements([match]);
+        chart.tooltip.setActiveElements([match], element ? { x: element.x, y: element.y } : { x: 0, y: 0 });
+        chart.update();
+        this.announce(`Reading ${id}: ${measurement.current.toFixed(3)} μA at ${measurement.voltage.toFixed(2)} V, shown on the chart`);
+    }
+
+    describeReadingSource(measurement) {
+        if (measurement.scanId !== undefined) return `Scan ${measurement.scanId}`;
+        if (measurement.leg !== undefined) return measurement.sweepId !== undefined ? `Sweep ${measurement.sweepId} (${measurement.leg})` : `Sweep (${measurement.leg})`;
+        return 'Manual';
+    }
+
+    updateFrequencyAnalysis() {
+        // The chart and the fit show one material and collector at a time
+        this.populateFitGroupSelect();
+        const resolved = this.core.getFitData();
+
+        // Update frequency chart
+        this.frequencyChart.data.datasets[0].data = resolved.map(d => ({
+            x: d.frequency,
+            y: d.stoppingPotential,
+            yError: d.uncertainty
+        }));
+
+        // Calculate Planck's constant from slope (also draws the fit and confidence band)
+        this.calculatePlanckConstant();
+        this.frequencyChart.update('none');
+
+        // Update data table and results panel
+        this.updateDataTable();
+        this.updateMeasuredStoppingPotential(this.core.calculatePhysics());
+    }
+
+    updateMeasuredStoppingPotential(physics) {
+        const result = this.core.findStoppingPotential(this.core.getCurrentGroup(), physics.wavelength);
+        if (result && result.stoppingPotential !== null) {
+            this.elements.stoppingPotential.textContent =
+                `${result.stoppingPotential.toFixed(3)} ± ${result.uncertainty.toFixed(3)} V`;
+        } else {
+            this.elements.stoppingPotential.textContent = '— V';
+        }
+    }
+
+    populateFitGroupSelect() {
+        const select = this.elements.fitGroupSelect;
+        const groups = this.core.getFrequencyGroups();
+        const selected = this.state.fitGroup;
+        if (selected && !groups.some(g => g.material === selected.material && g.collector === selected.collector)) {
+            groups.push(selected);
+        }
+        select.innerHTML = '';
+        select.add(new Option('Current setup', ''));
+        groups.forEach(group => {
+            select.add(new Option(this.describeFitGroup(group), this.fitGroupValue(group)));
+        });
+        select.value = selected ? this.fitGroupValue(selected) : '';
+    }
+
+    fitGroupValue(group) {
+        return JSON.stringify({ material: group.material, collector: group.collector });
+    }
+
+    describeFitGroup(group) {
+        return `${group.material}, ${group.collector || 'standard collector'}`;
+    }
+
+    calculatePlanckConstant() {
+        const fit = this.core.fitPlanck();
+        this.displayPlanckFit();
+        if (fit) this.drawPlanckFitLine();
+    }
+
+    displayPlanckFit() {
+        const fit = this.planckFit;
+        if (!fit) {
+            [
+                this.elements.calculatedPlanck,
+                this.elements.accuracy,
+                this.elements.fitIntercept,
+                this.elements.fitWorkFunction,
+                this.elements.fitThreshold,
+                this.elements.fitRSquared,
+                this.elements.fitChiSquared
+            ].forEach(element => {
+                element.textContent = '—';
+            });
+            // V_s at a single frequency cannot fix a slope
+            if (this.core.getFitData().length > 0) {
+                this.elements.calculatedPlanck.textContent = 'Need V_s at ≥ 2 distinct frequencies';
+            }
+            this.frequencyChart.data.datasets.slice(1).forEach(dataset => {
+                dataset.data = [];
+            });
+            this.elements.fitContactNote.classList.add('hidden');
+            return;
+        }
+
+        this.elements.calculatedPlanck.textContent = this.formatPlanck(fit.slope, fit.slopeError);
+        this.elements.accuracy.textContent = `${fit.percentError.toFixed(1)}%`;
+        this.elements.fitIntercept.textContent = `${fit.intercept.toFixed(3)} ± ${fit.interceptError.toFixed(3)} V`;
+        this.elements.fitWorkFunction.textContent = this.formatQuantityWithError('energy', fit.workFunction, fit.workFunctionError);
+        this.elements.fitThreshold.textContent =
+            this.formatQuantityWithError('frequency', fit.thresholdFrequency, fit.thresholdFrequencyError);
+        this.elements.fitRSquared.textContent = fit.rSquared.toFixed(5);
+        this.elements.fitChiSquared.textContent = fit.dof > 0
+            ? `${fit.reducedChiSquared.toFixed(2)} (dof = ${fit.dof})`
+            : '— (dof = 0)';
+        this.updateContactNote();
+    }
+
+    updateContactNote() {
+        const text = this.describeContactPotential();
+        this.elements.fitContactNote.textContent = text || '';
+        this.elements.fitContactNote.classList.toggle('hidden', !text);
+    }
+
+    describeContactPotential() {
+        // Explains the fitted intercept when the V_s were measured against a chosen collector surface;
+        // null when every reading used the tube's standard collector
+        const collectors = [...new Set(this.core.getFitData().map(d => d.collector))];
+        if (collectors.length === 0 || collectors[0] === null) return null;
+        const collector = this.materials.find(m => m.name === collectors[0]);
+        const workFunction = collector ? ` (φ_C = ${this.formatQuantity('energy', collector.workFunction, 2)})` : '';
+        return `Collector: ${collectors[0]}${workFunction}. The contact potential (φ_C − φ)/e adds to the applied ` +
+            'voltage at every frequency, so every V_s is offset by the same amount: the slope, and with it h, is unchanged, ' +
+            'but the intercept gives −φ_C/e, the work function of the collector rather than of the photocathode.';
+    }
+
+    drawPlanckFitLine() {
+        const frequencies = this.frequencyChart.data.datasets[0].data.map(p => p.x);
+        const band = this.core.getPlanckFitBand(Math.min(...frequencies), Math.max(...frequencies));
+
+        const datasets = this.frequencyChart.data.datasets;
+        datasets[1].data = band.line;
+        datasets[2].data = band.upper;
+        datasets[3].data = band.lower;
+    }
+
+    updateDataTable() {
+        const tbody = this.elements.dataTableBody;
+        tbody.innerHTML = '';
+        
+        this.frequencyData.forEach(data => {
+            const row = tbody.insertRow();
+            row.insertCell(0).textContent = data.filter.charAt(0).toUpperCase() + data.filter.slice(1);
+            const frequencyUnit = this.core.getDisplayUnit('frequency');
+            row.insertCell(1).textContent = this.core.convertQuantity('wavelength', data.wavelength).toFixed(1);
+            row.insertCell(2).textContent = (this.core.convertQuantity('frequency', data.frequency * 1e14) * frequencyUnit.axis.scale).toFixed(3);
+            
+            if (data.stoppingPotential !== null) {
+                row.insertCell(3).textContent = `${data.stoppingPotential.toFixed(3)} ± ${data.uncertainty.toFixed(3)}`;
+                row.insertCell(4).textContent = this.extractionMethods[data.method];
+                row.insertCell(5).innerHTML = '<span class="status status--success">✓ Measured</span>';
+            } else {
+                row.insertCell(3).textContent = '—';
+                row.insertCell(4).textContent = this.extractionMethods[data.method];
+                row.insertCell(5).innerHTML = '<span class="status status--warning">Unresolved</span>';
+            }
+        });
+    }
+
+    drawEnergyDiagram(physics) {
+        // Emitter and collector side by side, energies measured from the emitter's Fermi level:
+        // the applied voltage drops the collector's Fermi level by eV, and each vacuum level sits
+        // one work function above its own Fermi level
+        const canvas = this.elements.energyDiagram;
+        const ctx = this.energyCtx;
+        const width = canvas.width;
+        const height = canvas.height;
+
+        ctx.clearRect(0, 0, width, height);
+
+        const margin = 60;
+        const graphHeight = height - 2 * margin;
+        const diagram = this.getEnergyDiagramData(physics);
+        const { minEnergy, maxEnergy } = diagram;
+        const energyScale = graphHeight / (maxEnergy - minEnergy);
+        const yFor = energy => height - margin - (energy - minEnergy) * energyScale;
+
+        // Draw grid
+        ctx.strokeStyle = 'rgba(94, 82, 64, 0.2)';
+        ctx.lineWidth = 0.5;
+        for (let i = minEnergy; i <= maxEnergy; i += 1) {
+            ctx.beginPath();
+            ctx.moveTo(margin, yFor(i));
+            ctx.lineTo(width - margin, yFor(i));
+            ctx.stroke();
         }
 
         // Y-axis
         ctx.strokeStyle = '#134252';
         ctx.lineWidth = 2;
         ctx.beginPath();
-        ctx.moveTo(margin, margin);
-        ctx.lineTo(margin, height - margin);
+        ctx.moveTo(margin, margin);
+        ctx.lineTo(margin, height - margin);
+        ctx.stroke();
+
+        // Energy scale labels
+        ctx.fillStyle = '#134252';
+        ctx.font = '12px sans-serif';
+        for (let i = minEnergy; i <= maxEnergy; i += 1) {
+            ctx.fillText(`${this.formatAxisTick('energy', i)}`, 10, yFor(i) + 4);
+        }
+        ctx.fillText(this.core.getDisplayUnit('energy').axis.label, 10, margin - 15);
+
+        // Electrodes: the filled states up to each Fermi level
+        const emitter = { left: margin + 30, right: margin + 170, fermi: 0, vacuum: diagram.workFunction };
+        const collector = { left: width - margin - 170, right: width - margin - 30, fermi: diagram.collectorFermi, vacuum: diagram.collectorVacuum };
+        [[emitter, `Emitter (${this.state.currentMaterial.symbol})`], [collector, `Collector (${diagram.collectorSymbol})`]]
+            .forEach(([electrode, label]) => {
+                ctx.fillStyle = 'rgba(69, 183, 209, 0.2)';
+                ctx.fillRect(electrode.left, yFor(electrode.fermi), electrode.right - electrode.left, yFor(minEnergy) - yFor(electrode.fermi));
+                ctx.strokeStyle = '#134252';
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.moveTo(electrode.left, yFor(electrode.fermi));
+                ctx.lineTo(electrode.right, yFor(electrode.fermi));
+                ctx.stroke();
+                ctx.fillStyle = '#134252';
+                ctx.font = '12px sans-serif';
+                ctx.fillText('E_F', electrode.right - 28, yFor(electrode.fermi) + 14);
+                ctx.font = 'bold 12px sans-serif';
+                ctx.fillText(label, electrode.left + 6, yFor(minEnergy) - 8);
+            });
+
+        // Vacuum levels and the potential across the gap (omitted with the KE bar when φ is hidden, since either reveals it)
+        if (diagram.workFunction === null) {
+            ctx.fillStyle = '#4ECDC4';
+            ctx.font = 'bold 14px sans-serif';
+            ctx.fillText('φ = ? (determine it from your measurements)', margin + 40, margin - 30);
+        } else {
+            ctx.strokeStyle = '#4ECDC4';
+            ctx.lineWidth = 4;
+            [emitter, collector].forEach(electrode => {
+                ctx.beginPath();
+                ctx.moveTo(electrode.left, yFor(electrode.vacuum));
+                ctx.lineTo(electrode.right, yFor(electrode.vacuum));
+                ctx.stroke();
+            });
+            ctx.lineWidth = 2;
+            ctx.setLineDash([6, 4]);
+            ctx.beginPath();
+            ctx.moveTo(emitter.right, yFor(emitter.vacuum));
+            ctx.lineTo(collector.left, yFor(collector.vacuum));
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            ctx.fillStyle = '#4ECDC4';
+            ctx.font = 'bold 14px sans-serif';
+            ctx.fillText(`φ = ${this.formatQuantity('energy', diagram.workFunction, 2)}`, emitter.left + 6, yFor(emitter.vacuum) - 10);
+            ctx.fillText(`φ_C = ${this.formatQuantity('energy', diagram.collectorWorkFunction, 2)}`, collector.left + 6, yFor(collector.vacuum) - 10);
+            ctx.fillStyle = '#134252';
+            ctx.font = '12px sans-serif';
+            ctx.fillText(`Contact potential (φ_C − φ)/e = ${diagram.contactPotential.toFixed(2)} V · applied ${diagram.voltage.toFixed(2)} V`,
+                margin + 40, margin - 30);
+        }
+
+        // Photon energy bar, from the emitter's Fermi level
+        const photonBarX = emitter.left + 40;
+        const barWidth = 28;
+        ctx.fillStyle = this.getWavelengthFill(ctx, physics.wavelength);
+        ctx.fillRect(photonBarX, yFor(diagram.photonEnergy), barWidth, yFor(0) - yFor(diagram.photonEnergy));
+
+        ctx.fillStyle = '#FF6B6B';
+        ctx.font = 'bold 14px sans-serif';
+        ctx.fillText(`E = ${this.formatQuantity('energy', diagram.photonEnergy, 2)}`, photonBarX - 20, yFor(diagram.photonEnergy) - 10);
+
+        // Kinetic energy bar above the vacuum level, and the fastest electron's path across the gap
+        if (diagram.maxKineticEnergy !== null) {
+            const keBarX = photonBarX + barWidth + 20;
+            ctx.fillStyle = '#45B7D1';
+            ctx.fillRect(keBarX, yFor(diagram.photonEnergy), barWidth, yFor(emitter.vacuum) - yFor(diagram.photonEnergy));
+            ctx.font = 'bold 14px sans-serif';
+            ctx.fillText(`KE = ${this.formatQuantity('energy', diagram.maxKineticEnergy, 2)}`, emitter.right + 6,
+                (yFor(emitter.vacuum) + yFor(diagram.photonEnergy)) / 2);
+
+            // The electron is turned back where the vacuum level across the gap rises to its energy
+            const rise = collector.vacuum - emitter.vacuum;
+            const reach = diagram.reachesCollector ? 1 : (diagram.photonEnergy - emitter.vacuum) / rise;
+            ctx.strokeStyle = '#45B7D1';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([3, 3]);
+            ctx.beginPath();
+            ctx.moveTo(emitter.right, yFor(diagram.photonEnergy));
+            ctx.lineTo(emitter.right + reach * (collector.left - emitter.right), yFor(diagram.photonEnergy));
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        // Einstein's equation, and the stopping potential the circuit actually measures
+        ctx.fillStyle = '#134252';
+        ctx.font = 'bold 16px serif';
+        ctx.fillText('E = hf = φ + KEmax    eV_s = hf − φ_C', margin + 30, height - 15);
+    }
+
+    getEnergyDiagramData(physics) {
+        // Levels drawn by drawEnergyDiagram() and read out by describeEnergyDiagram(), in eV from the
+        // emitter's Fermi level; workFunction, the collector levels and maxKineticEnergy are null when
+        // they are hidden (the standard collector's levels follow from a hidden φ) or not drawn
+        const hidden = this.state.currentMaterial.hidden;
+        const collector = this.state.collectorMaterial;
+        const voltage = this.state.voltage;
+        const collectorFermi = -voltage;
+        const collectorVacuum = hidden ? null : collectorFermi + physics.collectorWorkFunction;
+        return {
+            minEnergy: Math.floor(Math.min(0, collectorFermi)) - 1,
+            // grows for deep UV and for a collector vacuum level pushed up by reverse bias
+            maxEnergy: Math.max(8, Math.ceil(physics.photonEnergy), Math.ceil(collectorVacuum || 0) + 1),
+            voltage,
+            photonEnergy: physics.photonEnergy,
+            workFunction: hidden ? null : physics.workFunction,
+            collectorName: collector ? collector.name : null,
+            collectorSymbol: collector ? collector.symbol : 'standard',
+            collectorWorkFunction: hidden ? null : physics.collectorWorkFunction,
+            contactPotential: hidden ? null : physics.contactPotential,
+            collectorFermi,
+            collectorVacuum,
+            maxKineticEnergy: !hidden && physics.isEmission && physics.maxKineticEnergy > 0 ? physics.maxKineticEnergy : null,
+            reachesCollector: physics.photonEnergy >= collectorVacuum,
+            stoppingPotential: hidden ? null : physics.stoppingPotential,
+            isEmission: physics.isEmission
+        };
+    }
+
+    describeEnergyDiagram(physics) {
+        const diagram = this.getEnergyDiagramData(physics);
+        const sentences = [`Energy level diagram. Photon energy E = hf = ${this.formatQuantity('energy', diagram.photonEnergy, 2)}.`];
+        if (diagram.workFunction === null) {
+            sentences.push('The work function of this sample is hidden; determine it from your measurements.');
+            sentences.push(diagram.isEmission ? 'Photoelectrons are being emitted.' : 'No photoelectrons are emitted.');
+        } else {
+            sentences.push(`Work function φ = ${this.formatQuantity('energy', diagram.workFunction, 2)}.`);
+            if (diagram.maxKineticEnergy !== null) {
+                sentences.push(`The photon energy exceeds the work function, so photoelectrons leave with maximum kinetic energy ` +
+                    `${this.formatQuantity('energy', diagram.maxKineticEnergy, 2)} (stopping potential ${diagram.stoppingPotential.toFixed(2)} V).`);
+            } else {
+                sentences.push(diagram.photonEnergy < diagram.workFunction
+                    ? `The photon energy is ${this.formatQuantity('energy', diagram.workFunction - diagram.photonEnergy, 2)} below the work function, so no photoelectrons are emitted.`
+                    : 'No measurable photocurrent reaches the ammeter.');
+            }
+            sentences.push(diagram.collectorName === null
+                ? `The tube's standard collector gives a contact potential of ${diagram.contactPotential.toFixed(2)} V.`
+                : `The ${diagram.collectorName} collector has φ_C = ${this.formatQuantity('energy', diagram.collectorWorkFunction, 2)}, ` +
+                    `a contact potential of ${diagram.contactPotential.toFixed(2)} V.`);
+            if (diagram.maxKineticEnergy !== null) {
+                sentences.push(`At ${diagram.voltage.toFixed(2)} V its vacuum level lies at ${this.formatQuantity('energy', diagram.collectorVacuum, 2)} ` +
+                    `measured from the photocathode's Fermi level, so the fastest photoelectrons ` +
+                    `${diagram.reachesCollector ? 'reach the collector' : 'are turned back before reaching it'}.`);
+            }
+        }
+        return sentences.join(' ');
+    }
+
+    describeSetupDiagram() {
+        const photon = this.core.getCurrentWavelengthData();
+        const source = this.lightSources[this.state.lightSource].name;
+        const optics = this.state.currentFilter === 'monochromator'
+            ? `a monochromator set to ${this.formatQuantity('wavelength', photon.wavelength, 1)}`
+            : `the ${this.state.currentFilter} filter (${this.formatQuantity('wavelength', photon.wavelength, 0)})`;
+        const lamp = this.state.isExperimentActive ? 'on' : 'off';
+        return `Apparatus: ${source} (${lamp}) shining through ${optics} onto a vacuum photocell with a ` +
+            `${this.state.currentMaterial.name} cathode and ${this.state.collectorMaterial ? `a ${this.state.collectorMaterial.name}` : 'the standard'} ` +
+            `collector, ${this.state.distance} cm from the lamp at ${this.state.intensity}% intensity. ` +
+            `The supply applies ${this.state.voltage.toFixed(2)} V across the cell and the micro-ammeter reads ` +
+            `${this.state.isExperimentActive ? this.core.calculatePhysics().current.toFixed(3) : '0.000'} μA.`;
+    }
+
+    updateDiagramDescriptions(physics) {
+        this.elements.energyDiagramDescription.textContent = this.describeEnergyDiagram(physics);
+        this.elements.setupDiagramDescription.textContent = this.describeSetupDiagram();
+    }
+
+    describeReadings() {
+        const physics = this.core.calculatePhysics();
+        const emission = physics.isEmission ? 'photoelectron emission' : 'no emission';
+        return `${this.state.voltage.toFixed(2)} V, ${physics.current.toFixed(3)} μA, ` +
+            `${this.formatQuantity('wavelength', physics.wavelength, 1)}, ${emission}`;
+    }
+
+    announce(message) {
+        // Cleared first so repeating the same message is announced again
+        const announcer = this.elements.liveAnnouncer;
+        announcer.textContent = '';
+        setTimeout(() => {
+            announcer.textContent = message;
+        }, 50);
+    }
+
+    handleShortcut(e) {
+        if (e.altKey || e.defaultPrevented) return;
+        const target = e.target;
+        if (target.closest && target.closest('input, select, textarea, [contenteditable="true"], dialog[open]')) return;
+        if (document.querySelector('dialog[open]')) return;
+
+        const ctrl = e.ctrlKey || e.metaKey;
+        const shortcut = this.keyboardShortcuts.find(s =>
+            s.keys.includes(e.key) && Boolean(s.ctrl) === ctrl && (s.shift === undefined || s.shift === e.shiftKey));
+        if (!shortcut) return;
+        e.preventDefault();
+        shortcut.run();
+    }
+
+    stepVoltage(delta) {
+        const slider = this.elements.voltageSlider;
+        if (slider.disabled) return;
+        const voltage = this.core.roundVoltage(Math.min(parseFloat(slider.max), Math.max(parseFloat(slider.min), this.state.voltage + delta)));
+        this.setVoltage(voltage);
+        this.updateAllCalculations();
+        this.announce(this.describeReadings());
+    }
+
+    cycleFilter(direction) {
+        const select = this.elements.filterSelect;
+        if (select.disabled) return;
+        const options = Array.from(select.options);
+        const index = options.findIndex(option => option.value === this.state.currentFilter);
+        const next = options[(index + direction + options.length) % options.length];
+        this.selectWavelength(next.value, this.state.monochromatorWavelength);
+        const physics = this.core.calculatePhysics();
+        this.announce(`${next.textContent.trim()}: ${this.formatQuantity('energy', physics.photonEnergy, 2)} photons, ` +
+            `${physics.isEmission ? 'photoelectron emission' : 'no emission'}`);
+    }
+
+    openShortcutsDialog() {
+        const tbody = this.elements.shortcutsTable.querySelector('tbody');
+        tbody.innerHTML = '';
+        this.keyboardShortcuts.forEach(shortcut => {
+            const row = tbody.insertRow();
+            const key = document.createElement('kbd');
+            key.textContent = shortcut.label;
+            row.insertCell(0).appendChild(key);
+            row.insertCell(1).textContent = shortcut.description;
+        });
+        this.elements.shortcutsDialog.showModal();
+    }
+
+    renderChartTable(details) {
+        // Text view of a chart: every dataset drawn as points, with the axes' titles and tick formatting
+        const chart = {
+            'iv-chart': this.ivChart,
+            'frequency-chart': this.frequencyChart,
+            'spectral-chart': this.spectralChart,
+            'time-chart': this.timeChart
+        }[details.dataset.chartTable];
+        const { x: xAxis, y: yAxis } = chart.options.scales;
+        const formatX = xAxis.ticks.callback || (value => value.toFixed(3));
+        const datasets = chart.data.datasets.filter(d => !d.hidden && d.pointRadius !== 0 && d.data.length);
+
+        const table = document.createElement('table');
+        table.className = 'chart-data-table';
+        table.createCaption().textContent = chart.options.plugins.title.text;
+        const header = table.createTHead().insertRow();
+        ['Series', xAxis.title.text, yAxis.title.text, 'Uncertainty'].forEach(text => {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            th.textContent = text;
+            header.appendChild(th);
+        });
+        const tbody = table.createTBody();
+        datasets.forEach(dataset => {
+            dataset.data.forEach(point => {
+                const error = point.yError !== undefined ? point.yError : point.sigma;
+                const row = tbody.insertRow();
+                row.insertCell(0).textContent = dataset.label;
+                row.insertCell(1).textContent = formatX(point.x);
+                row.insertCell(2).textContent = point.y.toFixed(3);
+                row.insertCell(3).textContent = error === undefined ? '—' : `± ${error.toPrecision(2)}`;
+            });
+        });
+        if (!datasets.length) {
+            const cell = tbody.insertRow().insertCell(0);
+            cell.colSpan = 4;
+            cell.textContent = 'No data yet';
+        }
+
+        const container = details.querySelector('.table-container');
+        container.innerHTML = '';
+        container.appendChild(table);
+    }
+
+    drawSpectrum(physics) {
+        // Source spectrum, filter transmission and the cathode threshold on one wavelength axis
+        const canvas = this.elements.spectrumCanvas;
+        const ctx = this.spectrumCtx;
+        const width = canvas.width;
+        const height = canvas.height;
+        const margin = { left: 8, right: 8, top: 8, bottom: 18 };
+        const plotHeight = height - margin.top - margin.bottom;
+        const axis = this.state.wavelengthRange;
+        const xOf = wavelength => margin.left + (wavelength - axis.min) / (axis.max - axis.min) * (width - margin.left - margin.right);
+        const yOf = value => margin.top + plotHeight * (1 - value);
+
+        ctx.clearRect(0, 0, width, height);
+        const source = this.lightSources[this.state.lightSource];
+
+        // Shade the invisible parts of the range
+        ctx.fillStyle = 'rgba(123, 47, 190, 0.08)';
+        if (axis.min < this.visibleRange.min) {
+            ctx.fillRect(xOf(axis.min), margin.top, xOf(Math.min(axis.max, this.visibleRange.min)) - xOf(axis.min), plotHeight);
+        }
+        ctx.fillStyle = 'rgba(139, 26, 26, 0.08)';
+        if (axis.max > this.visibleRange.max) {
+            const start = Math.max(axis.min, this.visibleRange.max);
+            ctx.fillRect(xOf(start), margin.top, xOf(axis.max) - xOf(start), plotHeight);
+        }
+
+        // Continuum (normalised to its peak) and lines (normalised to the strongest)
+        if (source.continuum) {
+            const peak = source.continuum.peakDensity;
+            ctx.fillStyle = 'rgba(94, 82, 64, 0.15)';
+            ctx.beginPath();
+            ctx.moveTo(xOf(axis.min), yOf(0));
+            const step = Math.max(1, Math.round((axis.max - axis.min) / 300));
+            for (let w = axis.min; w <= axis.max; w += step) {
+                ctx.lineTo(xOf(w), yOf(this.core.getContinuumDensity(source, w) / peak));
+            }
+            ctx.lineTo(xOf(axis.max), yOf(0));
+            ctx.closePath();
+            ctx.fill();
+        }
+        (source.lines || []).filter(line => line.wavelength >= axis.min && line.wavelength <= axis.max).forEach(line => {
+            ctx.strokeStyle = this.getWavelengthColor(line.wavelength);
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(xOf(line.wavelength), yOf(0));
+            ctx.lineTo(xOf(line.wavelength), yOf(line.flux));
+            ctx.stroke();
+        });
+
+        // Filter transmission curve or monochromator slit
+        ctx.strokeStyle = '#134252';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        if (this.state.currentFilter === 'monochromator') {
+            const center = this.state.monochromatorWavelength;
+            const bandwidth = this.state.monochromatorBandwidth;
+            ctx.moveTo(xOf(axis.min), yOf(0));
+            ctx.lineTo(xOf(center - bandwidth), yOf(0));
+            ctx.lineTo(xOf(center), yOf(1));
+            ctx.lineTo(xOf(center + bandwidth), yOf(0));
+            ctx.lineTo(xOf(axis.max), yOf(0));
+        } else {
+            for (let w = axis.min; w <= axis.max; w += 1) {
+                const y = yOf(this.core.getFilterTransmission(this.state.currentFilter, w));
+                if (w === axis.min) ctx.moveTo(xOf(w), y); else ctx.lineTo(xOf(w), y);
+            }
+        }
+        ctx.stroke();
+
+        // Threshold wavelength of the cathode (not shown when φ is hidden)
+        if (!this.state.currentMaterial.hidden && physics.thresholdWavelength > axis.min && physics.thresholdWavelength < axis.max) {
+            const x = xOf(physics.thresholdWavelength);
+            ctx.strokeStyle = '#C0152F';
+            ctx.setLineDash([4, 3]);
+            ctx.beginPath();
+            ctx.moveTo(x, yOf(0));
+            ctx.lineTo(x, yOf(1));
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.fillStyle = '#C0152F';
+            ctx.font = '10px sans-serif';
+            ctx.fillText('λ₀', x + 3, margin.top + 10);
+        }
+
+        // Wavelength axis
+        ctx.fillStyle = '#134252';
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'center';
+        const tick = axis.max - axis.min > 500 ? 200 : axis.max - axis.min > 200 ? 100 : 50;
+        for (let w = Math.ceil(axis.min / tick) * tick; w <= axis.max; w += tick) {
+            ctx.fillText(this.formatAxisTick('wavelength', w), xOf(w), height - 4);
+        }
+        ctx.textAlign = 'left';
+    }
+
+    drawSetupDiagram() {
+        const canvas = this.elements.setupDiagram;
+        const ctx = this.setupCtx;
+        const width = canvas.width;
+        const height = canvas.height;
+
+        ctx.clearRect(0, 0, width, height);
+
+        // Draw light source
+        this.drawLightSource(ctx, 80, height/2);
+        
+        // Draw colored filter
+        this.drawFilter(ctx, 180, height/2);
+        
+        // Draw photocell
+        this.drawPhotocell(ctx, 280, height/2);
+        
+        // Draw meters
+        this.drawMeters(ctx, width - 100, height/2);
+        
+        // Draw connections
+        this.drawConnections(ctx, width, height);
+        
+        // Update animation particles
+        if (this.state.isExperimentActive) {
+            this.updateSetupAnimation();
+        }
+
+        // Labels
+        ctx.fillStyle = '#134252';
+        ctx.font = '14px sans-serif';
+        ctx.fillText(this.lightSources[this.state.lightSource].name, 40, 40);
+        ctx.fillText(this.state.currentFilter === 'monochromator' ? 'Monochromator' : 'Color Filter', 150, 40);
+        ctx.fillText('Vacuum Photocell', 240, 40);
+        ctx.fillText('6V Supply & μA Meter', width - 150, 40);
+    }
+
+    drawLightSource(ctx, x, y) {
+        const source = this.lightSources[this.state.lightSource];
+        ctx.fillStyle = this.state.isExperimentActive ? '#FFD700' : '#CCCCCC';
+        ctx.beginPath();
+        ctx.arc(x, y, 25, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.strokeStyle = '#134252';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        // Lamp symbol
+        ctx.fillStyle = this.state.isExperimentActive ? '#FFA500' : '#999999';
+        ctx.font = source.symbol.length > 2 ? 'bold 14px sans-serif' : 'bold 20px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(source.symbol, x, y + 6);
+        ctx.textAlign = 'left';
+    }
+
+    drawFilter(ctx, x, y) {
+        const wavelengthData = this.core.getCurrentWavelengthData();
+        const band = this.getWavelengthBand(wavelengthData.wavelength);
+        
+        ctx.fillStyle = this.state.isExperimentActive ? this.getWavelengthFill(ctx, wavelengthData.wavelength) : '#CCCCCC';
+        ctx.fillRect(x - 15, y - 30, 30, 60);
+        ctx.strokeStyle = '#134252';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x - 15, y - 30, 30, 60);
+        
+        ctx.fillStyle = '#134252';
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(this.formatQuantity('wavelength', wavelengthData.wavelength, 0).replace(' ', ''), x, y + 5);
+        if (band !== 'visible') {
+            ctx.font = 'bold 10px sans-serif';
+            ctx.fillText(band.toUpperCase(), x, y - 18);
+        }
+        ctx.textAlign = 'left';
+    }
+
+    drawPhotocell(ctx, x, y) {
+        // Vacuum tube
+        ctx.strokeStyle = '#134252';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(x, y, 40, 0, 2 * Math.PI);
+        ctx.stroke();
+        
+        // Photocathode
+        ctx.fillStyle = this.state.currentMaterial.color;
+        ctx.fillRect(x - 35, y - 25, 15, 50);
+        ctx.strokeRect(x - 35, y - 25, 15, 50);
+        
+        // Collector
+        ctx.fillStyle = '#C0C0C0';
+        ctx.fillRect(x + 20, y - 20, 10, 40);
+        ctx.strokeRect(x + 20, y - 20, 10, 40);
+        
+        // Material label
+        ctx.fillStyle = '#134252';
+        ctx.font = '12px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(this.state.currentMaterial.symbol, x - 27, y + 50);
+        ctx.textAlign = 'left';
+    }
+
+    drawMeters(ctx, x, y) {
+        // Voltmeter
+        ctx.strokeStyle = '#134252';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(x, y - 30, 20, 0, 2 * Math.PI);
+        ctx.stroke();
+        
+        ctx.fillStyle = '#134252';
+        ctx.font = 'bold 12px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText('V', x, y - 25);
+        ctx.fillText(this.state.voltage.toFixed(1) + 'V', x, y - 5);
+        
+        // Ammeter
+        ctx.beginPath();
+        ctx.arc(x, y + 30, 20, 0, 2 * Math.PI);
+        ctx.stroke();
+        
+        ctx.fillText('μA', x, y + 35);
+        const physics = this.core.calculatePhysics();
+        ctx.fillText(physics.current.toFixed(1), x, y + 50);
+        ctx.textAlign = 'left';
+    }
+
+    drawConnections(ctx, width, height) {
+        ctx.strokeStyle = '#134252';
+        ctx.lineWidth = 2;
+        
+        // Connection wires (simplified)
+        ctx.beginPath();
+        ctx.moveTo(320, height/2 - 10);
+        ctx.lineTo(width - 120, height/2 - 10);
+        ctx.lineTo(width - 120, height/2 - 30);
         ctx.stroke();
+    }
+
+    updateSetupAnimation() {
+        if (!this.state.isExperimentActive) return;
+
+        const ctx = this.setupCtx;
+        
+        // Create photon particles (rate follows the photon flux at the cathode). The animation
+        // draws from its own stream so frame timing never changes the measurement noise
+        if (this.core.random('animation') < 0.3 * Math.min(1, this.core.calculateRelativeFlux())) {
+            const wavelengthData = this.core.getCurrentWavelengthData();
+            this.photonParticles.push({
+                x: 105,
+                y: 150 + (this.core.random('animation') - 0.5) * 30,
+                speed: 1.5 + this.core.random('animation'),
+                size: 3,
+                color: this.getWavelengthColor(wavelengthData.wavelength),
+                visible: this.getWavelengthBand(wavelengthData.wavelength) === 'visible'
+            });
+        }
+
+        // Update and draw photons
+        this.photonParticles = this.photonParticles.filter(photon => {
+            photon.x += photon.speed;
+            
+            // UV and IR photons are drawn as hollow rings in their false colour
+            ctx.globalAlpha = 0.8;
+            ctx.beginPath();
+            ctx.arc(photon.x, photon.y, photon.size, 0, 2 * Math.PI);
+            if (photon.visible) {
+                ctx.fillStyle = photon.color;
+                ctx.fill();
+            } else {
+                ctx.strokeStyle = photon.color;
+                ctx.lineWidth = 1.5;
+                ctx.stroke();
+            }
+            ctx.globalAlpha = 1;
+
+            // Create electrons when photons hit cathode
+            if (photon.x >= 245 && photon.x <= 250) {
+                const physics = this.core.calculatePhysics();
+                if (physics.isEmission && this.core.random('animation') < 0.6) {
+                    this.electronParticles.push({
+                        x: 260,
+                        y: photon.y + (this.core.random('animation') - 0.5) * 10,
+                        speed: 0.8 + this.core.random('animation') * 0.5,
+                        life: 80
+                    });
+                }
+            }
+            
+            return photon.x < 600;
+        });
+
+        // Update and draw electrons
+        this.electronParticles = this.electronParticles.filter(electron => {
+            electron.x += electron.speed;
+            electron.life--;
+            
+            ctx.fillStyle = '#00FFFF';
+            ctx.globalAlpha = electron.life / 80;
+            ctx.beginPath();
+            ctx.arc(electron.x, electron.y, 2, 0, 2 * Math.PI);
+            ctx.fill();
+            ctx.globalAlpha = 1;
+
+            return electron.life > 0 && electron.x < 320;
+        });
+    }
+
+    getWavelengthBand(wavelength) {
+        if (wavelength < this.visibleRange.min) return 'uv';
+        if (wavelength > this.visibleRange.max) return 'ir';
+        return 'visible';
+    }
+
+    getWavelengthColor(wavelength) {
+        // Invisible light gets a fixed false colour; callers add hatching or outlines to mark it
+        const band = this.getWavelengthBand(wavelength);
+        if (band === 'uv') return '#7B2FBE';
+        if (band === 'ir') return '#8B1A1A';
+
+        // Tristimulus values interpolated from the CIE table
+        const position = (wavelength - this.visibleRange.min) / 10;
+        const index = Math.min(Math.floor(position), this.cieColorMatching.length - 2);
+        const fraction = position - index;
+        const [X, Y, Z] = this.cieColorMatching[index].map((value, i) =>
+            value + (this.cieColorMatching[index + 1][i] - value) * fraction);
+
+        // XYZ to linear sRGB; spectral colours lie outside the gamut, so clip the negative component
+        const rgb = [
+            3.2406 * X - 1.5372 * Y - 0.4986 * Z,
+            -0.9689 * X + 1.8758 * Y + 0.0415 * Z,
+            0.0557 * X - 0.2040 * Y + 1.0570 * Z
+        ].map(c => Math.max(0, c));
+        const highest = Math.max(...rgb);
+
+        // Dim towards the ends of the visible band, where the eye barely responds
+        const fade = wavelength < 420 ? 0.3 + 0.7 * (wavelength - 380) / 40
+            : wavelength > 700 ? 0.3 + 0.7 * (780 - wavelength) / 80 : 1;
+
+        return '#' + rgb.map(c => {
+            const linear = highest > 0 ? c / highest * fade : 0;
+            const encoded = linear <= 0.0031308 ? 12.92 * linear : 1.055 * Math.pow(linear, 1 / 2.4) - 0.055;
+            return Math.round(Math.min(1, Math.max(0, encoded)) * 255).toString(16).padStart(2, '0');
+        }).join('').toUpperCase();
+    }
+
+    getWavelengthFill(ctx, wavelength) {
+        // Solid colour for visible light, diagonal hatching in the false colour for UV/IR
+        const color = this.getWavelengthColor(wavelength);
+        if (this.getWavelengthBand(wavelength) === 'visible') return color;
+
+        const tile = document.createElement('canvas');
+        tile.width = 8;
+        tile.height = 8;
+        const tileCtx = tile.getContext('2d');
+        tileCtx.fillStyle = '#F4F0FA';
+        tileCtx.fillRect(0, 0, 8, 8);
+        tileCtx.strokeStyle = color;
+        tileCtx.lineWidth = 2;
+        tileCtx.beginPath();
+        tileCtx.moveTo(0, 8);
+        tileCtx.lineTo(8, 0);
+        tileCtx.stroke();
+        return ctx.createPattern(tile, 'repeat');
+    }
+
+    resetExperiment() {
+        this.state.isExperimentActive = false;
+        this.core.switchLamp(false);
+        this.state.measurementCount = 0;
+        this.state.ammeterOffset = 0;
+        this.state.autoSweepActive = false;
+        this.state.sweepCancelRequested = true;
+        this.state.batchCancelRequested = true;
+        this.state.spectralScanCancelRequested = true;
+        // The reset itself can be undone; it only discards the data
+        if (this.experimentData.length > 0) this.recordHistory('Reset');
+        this.experimentData = [];
+        this.sweeps = [];
+        this.spectralScans = [];
+        this.selectedMeasurements.clear();
+        this.photonParticles = [];
+        this.electronParticles = [];
+        
+        // Reset UI
+        this.elements.switchLight.textContent = '🔬 Start Experiment';
+        this.elements.switchLight.classList.remove('active');
+        this.elements.takeMeasurement.disabled = true;
+        this.elements.autoSweep.disabled = true;
+        this.elements.autoSweep.textContent = '⚡ Auto I-V Sweep';
+        this.elements.runExperiment.disabled = true;
+        this.elements.spectralScan.disabled = true;
+        this.elements.measurementCount.textContent = '0';
+        this.elements.stdError.textContent = '—';
+        this.elements.currentUncertainty.textContent = '—';
+        this.elements.dataTableBody.innerHTML = '';
+        this.elements.graphStatus.textContent = 'Ready for measurements';
+        
+        // Reset controls
+        this.state.voltage = 0;
+        this.elements.voltageSlider.value = 0;
+        this.elements.voltageValue.textContent = '0.00';
+        
+        // Clear charts
+        this.refreshMeasurementViews();
+        
+        this.updateAllCalculations();
+        this.logMessage('Laboratory reset - Ready for new experiment');
+    }
 
-        // Energy scale labels
-        ctx.fillStyle = '#134252';
-        ctx.font = '12px sans-serif';
-        for (let i = 0; i <= maxEnergy; i += 1) {
-            const y = height - margin - (i * energyScale);
-            ctx.fillText(i + ' eV', 10, y + 4);
+    clearGraphs() {
+        // Deletes the I-V readings (spectral scans have their own Clear); Undo brings them back
+        const running = this.sweeps.filter(sweep => sweep.status === 'running').map(sweep => sweep.id);
+        const ids = this.experimentData
+            .filter(m => m.scanId === undefined && !running.includes(m.sweepId))
+            .map(m => m.id);
+        this.deleteMeasurements(ids, 'Clear graphs');
+        this.elements.graphStatus.textContent = 'Graphs cleared';
+    }
+
+    openExportDialog() {
+        if (this.experimentData.length === 0) {
+            alert('No experimental data to export. Please take measurements first.');
+            return;
+        }
+        this.elements.exportStudentName.value = this.sessionInfo.studentName;
+        this.elements.exportStudentRoll.value = this.sessionInfo.studentRoll;
+        this.elements.exportDialog.showModal();
+    }
+
+    getExportMetadata() {
+        return [
+            ['Session', this.sessionInfo.id],
+            ['Student', this.sessionInfo.studentName],
+            ['Roll Number', this.sessionInfo.studentRoll],
+            ['Session Started', this.sessionInfo.startedAt.toISOString()],
+            ['Exported', new Date().toISOString()],
+            ['Constants', this.constants.name],
+            ['Random Seed', this.state.seed],
+            ['Units', ['energy', 'frequency', 'wavelength'].map(kind => this.core.getDisplayUnit(kind).key).join(', ')]
+        ];
+    }
+
+    exportLaboratoryData(content = 'all') {
+        if (this.experimentData.length === 0) {
+            alert('No experimental data to export. Please take measurements first.');
+            return;
+        }
+
+        const includeRaw = content !== 'summary';
+        const includeSummary = content !== 'raw';
+        const lines = [['# Photoelectric Effect Laboratory']];
+        this.getExportMetadata().forEach(([key, value]) => lines.push([`# ${key}`, value]));
+
+        const addSection = (title, rows) => {
+            lines.push([], [`# ${title}`], ...rows);
+        };
+        if (includeRaw) {
+            addSection('Raw I-V Measurements', this.core.getMeasurementTable());
+            if (this.core.timeSeries.length > 0) addSection('Time Series', this.core.getTimeSeriesTable());
+        }
+        if (includeSummary) {
+            addSection('Frequency vs Stopping Potential Data', this.core.getFrequencySummaryTable());
+            const fitTable = this.core.getPlanckFitTable();
+            if (fitTable) addSection('Planck Fit', fitTable);
+        }
+
+        const csvContent = this.core.toCsv(lines);
+        this.downloadFile(csvContent, `photoelectric_lab_${this.getExportSuffix(content)}_${Date.now()}.csv`, 'text/csv;charset=utf-8;');
+
+        this.logMessage(`Laboratory data exported: ` +
+            `${includeRaw ? this.experimentData.length : 0} measurements, ${includeSummary ? this.frequencyData.length : 0} frequency points`);
+    }
+
+    getExportSuffix(content) {
+        return content === 'all' ? 'data' : content === 'raw' ? 'iv' : 'summary';
+    }
+
+    exportJSON(content = 'all') {
+        const includeRaw = content !== 'summary';
+        const includeSummary = content !== 'raw';
+        const fit = this.planckFit;
+
+        // Analysis-oriented dump; use Save Session for a file that can be loaded back
+        const data = {
+            format: 'photoelectric-lab-export',
+            version: 1,
+            metadata: Object.fromEntries(this.getExportMetadata()),
+            constants: { ...this.constants },
+            units: {
+                energy: this.core.getDisplayUnit('energy').key,
+                frequency: this.core.getDisplayUnit('frequency').key,
+                wavelength: this.core.getDisplayUnit('wavelength').key,
+                voltage: 'V',
+                current: 'microA'
+            },
+            instrument: { ...this.instrument }
+        };
+        // Energies, frequencies and wavelengths are written in the selected display units
+        const convert = (kind, value) => typeof value === 'number' ? this.core.convertQuantity(kind, value) : value;
+        if (includeRaw) {
+            data.measurements = this.experimentData.map(d => {
+                const converted = {
+                    ...d,
+                    workFunction: convert('energy', d.workFunction),
+                    wavelength: convert('wavelength', d.wavelength),
+                    frequency: convert('frequency', d.frequency),
+                    photonEnergy: convert('energy', d.photonEnergy)
+                };
+                if (!d.workFunctionHidden) return converted;
+                const { workFunction, stoppingPotential, ...visible } = converted;
+                return visible;
+            });
+            data.sweeps = this.sweeps.map(sweep => ({
+                id: sweep.id,
+                label: sweep.label,
+                material: sweep.material,
+                filter: sweep.filter,
+                wavelength: convert('wavelength', sweep.wavelength),
+                intensity: sweep.intensity,
+                distance: sweep.distance,
+                status: sweep.status,
+                config: sweep.config,
+                startedAt: sweep.startedAt,
+                completedAt: sweep.completedAt,
+                points: sweep.points.map(p => ({ voltage: p.x, current: p.y, standardError: p.sigma, leg: p.leg }))
+            }));
+            if (this.core.timeSeries.length > 0) {
+                data.timeSeries = this.core.timeSeries.map(sample => ({ ...sample, wavelength: convert('wavelength', sample.wavelength) }));
+            }
+        }
+        if (includeSummary) {
+            data.frequencySummary = this.frequencyData.map(d => ({
+                filter: d.filter,
+                material: d.material,
+                wavelength: convert('wavelength', d.wavelength),
+                frequency: convert('frequency', d.frequency * 1e14),
+                stoppingPotential: d.stoppingPotential,
+                uncertainty: d.uncertainty,
+                method: d.method,
+                points: d.points.length
+            }));
+            if (fit) {
+                data.planckFit = {
+                    ...fit,
+                    slope: convert('energy', fit.slope),
+                    slopeError: convert('energy', fit.slopeError),
+                    workFunction: convert('energy', fit.workFunction),
+                    workFunctionError: convert('energy', fit.workFunctionError),
+                    thresholdFrequency: convert('frequency', fit.thresholdFrequency),
+                    thresholdFrequencyError: convert('frequency', fit.thresholdFrequencyError)
+                };
+            }
+        }
+        data.log = this.logEntries;
+
+        this.downloadFile(JSON.stringify(data, null, 2), `photoelectric_lab_${this.getExportSuffix(content)}_${Date.now()}.json`, 'application/json');
+        this.logMessage(`Laboratory data exported as JSON`);
+    }
+
+    exportWorkbook(content = 'all') {
+        const sheets = [{ name: 'Info', rows: [['Photoelectric Effect Laboratory'], ...this.getExportMetadata()] }];
+        if (content !== 'summary') {
+            sheets.push({ name: 'Measurements', rows: this.core.getMeasurementTable() });
+            this.sweeps.forEach(sweep => {
+                sheets.push({ name: `Sweep ${sweep.id}`, rows: [[sweep.label], [], ...this.core.getSweepTable(sweep)] });
+            });
+            if (this.core.timeSeries.length > 0) sheets.push({ name: 'Time Series', rows: this.core.getTimeSeriesTable() });
+        }
+        if (content !== 'raw') {
+            sheets.push({ name: 'Frequency Summary', rows: this.core.getFrequencySummaryTable() });
+            const fitTable = this.core.getPlanckFitTable();
+            if (fitTable) sheets.push({ name: 'Planck Fit', rows: fitTable });
+        }
+
+        const workbook = this.buildXlsx(sheets);
+        this.downloadFile(workbook, `photoelectric_lab_${this.getExportSuffix(content)}_${Date.now()}.xlsx`,
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        this.logMessage(`Laboratory data exported as workbook (${sheets.length} sheets)`);
+    }
+
+    buildXlsx(sheets) {
+        // Minimal Office Open XML workbook: inline strings, numeric cells where the text is a number
+        const escapeXml = text => String(text)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        const columnName = index => {
+            let name = '';
+            for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+                name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+            }
+            return name;
+        };
+        const header = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+        const mainNs = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+        const relNs = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+        const sheetXml = rows => {
+            const body = rows.map((row, r) => {
+                const cells = row.map((value, c) => {
+                    const ref = `${columnName(c)}${r + 1}`;
+                    if (value === '' || value === null || value === undefined) return '';
+                    const text = String(value);
+                    if (/^-?\d+(\.\d+)?(e[+-]?\d+)?$/i.test(text)) {
+                        return `<c r="${ref}"><v>${text}</v></c>`;
+                    }
+                    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+                }).join('');
+                return `<row r="${r + 1}">${cells}</row>`;
+            }).join('');
+            return `${header}<worksheet xmlns="${mainNs}"><sheetData>${body}</sheetData></worksheet>`;
+        };
+
+        // Sheet names: max 31 characters, no []:*?/\ and unique
+        const names = [];
+        sheets.forEach(sheet => {
+            const base = sheet.name.replace(/[\[\]:*?\/\\]/g, ' ').slice(0, 31);
+            let name = base;
+            for (let i = 2; names.includes(name); i++) name = `${base.slice(0, 28)} ${i}`;
+            names.push(name);
+        });
+
+        const files = [
+            ['[Content_Types].xml', `${header}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                sheets.map((sheet, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ` +
+                    'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>').join('') +
+                '</Types>'],
+            ['_rels/.rels', `${header}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+                `<Relationship Id="rId1" Type="${relNs}/officeDocument" Target="xl/workbook.xml"/></Relationships>`],
+            ['xl/workbook.xml', `${header}<workbook xmlns="${mainNs}" xmlns:r="${relNs}"><sheets>` +
+                names.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') +
+                '</sheets></workbook>'],
+            ['xl/_rels/workbook.xml.rels', `${header}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+                sheets.map((sheet, i) => `<Relationship Id="rId${i + 1}" Type="${relNs}/worksheet" ` +
+                    `Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+                '</Relationships>'],
+            ...sheets.map((sheet, i) => [`xl/worksheets/sheet${i + 1}.xml`, sheetXml(sheet.rows)])
+        ];
+        return this.buildZip(files);
+    }
+
+    buildZip(files) {
+        // Uncompressed (stored) ZIP archive; enough for the small XML parts of a workbook
+        const encoder = new TextEncoder();
+        const crcTable = [];
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            crcTable.push(c >>> 0);
+        }
+        const crc32 = bytes => {
+            let crc = 0xFFFFFFFF;
+            for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+            return (crc ^ 0xFFFFFFFF) >>> 0;
+        };
+
+        const chunks = [];
+        const central = [];
+        let offset = 0;
+        files.forEach(([name, content]) => {
+            const nameBytes = encoder.encode(name);
+            const data = encoder.encode(content);
+            const crc = crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);     // local file header signature
+            local.setUint16(4, 20, true);             // version needed
+            local.setUint16(6, 0x0800, true);         // UTF-8 file names
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);   // compressed size
+            local.setUint32(22, data.length, true);   // uncompressed size
+            local.setUint16(26, nameBytes.length, true);
+            chunks.push(new Uint8Array(local.buffer), nameBytes, data);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014B50, true);     // central directory signature
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, nameBytes.length, true);
+            entry.setUint32(42, offset, true);
+            central.push(new Uint8Array(entry.buffer), nameBytes);
+
+            offset += 30 + nameBytes.length + data.length;
+        });
+
+        const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);           // end of central directory
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+        const zip = new Uint8Array(offset + centralSize + 22);
+        let position = 0;
+        parts.forEach(part => {
+            zip.set(part, position);
+            position += part.length;
+        });
+        return zip;
+    }
+
+    exportImage(target) {
+        const sources = {
+            'iv-chart': { canvas: this.elements.ivChart, name: 'iv_curve' },
+            'frequency-chart': { canvas: this.elements.frequencyChart, name: 'planck_plot' },
+            'spectral-chart': { canvas: this.elements.spectralChart, name: 'spectral_response' },
+            'time-chart': { canvas: this.elements.timeChart, name: 'current_vs_time' },
+            'energy-diagram': { canvas: this.elements.energyDiagram, name: 'energy_diagram' },
+            'setup-diagram': { canvas: this.elements.setupDiagram, name: 'setup_diagram' }
+        };
+        const source = sources[target];
+        if (!source) return;
+
+        if (target === 'energy-diagram') {
+            this.drawEnergyDiagram(this.core.calculatePhysics());
+        } else if (target === 'setup-diagram') {
+            this.drawSetupDiagram();
+        }
+
+        // Charts render on a transparent canvas; flatten onto white so images paste cleanly into documents
+        const canvas = source.canvas;
+        const image = document.createElement('canvas');
+        image.width = canvas.width;
+        image.height = canvas.height;
+        const ctx = image.getContext('2d');
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillRect(0, 0, image.width, image.height);
+        ctx.drawImage(canvas, 0, 0);
+
+        image.toBlob(blob => {
+            this.downloadFile(blob, `photoelectric_lab_${source.name}_${Date.now()}.png`, 'image/png');
+            this.logMessage(`Exported ${source.name.replace(/_/g, ' ')} image`);
+        }, 'image/png');
+    }
+
+    describeMaterial(material) {
+        return material.hidden
+            ? `${material.name} (φ hidden)`
+            : `${material.name} (φ = ${this.formatQuantity('energy', material.workFunction, 2)})`;
+    }
+
+    populateMaterialSelect() {
+        const select = this.elements.materialSelect;
+        select.innerHTML = '';
+        const materials = this.assessment ? [this.assessment.sample] : this.materials;
+        select.disabled = Boolean(this.assessment);
+        this.elements.manageMaterials.disabled = Boolean(this.assessment);
+        materials.forEach(material => {
+            const option = document.createElement('option');
+            option.value = material.id;
+            option.textContent = material.hidden
+                ? `${material.name} (${material.symbol})`
+                : `${material.name} (${material.symbol}) - φ = ${this.formatQuantity('energy', material.workFunction, 2)}`;
+            select.appendChild(option);
+        });
+        select.value = this.state.currentMaterial.id;
+
+        // A hidden work function cannot serve as a known collector surface
+        const collectorSelect = this.elements.collectorSelect;
+        collectorSelect.innerHTML = '';
+        collectorSelect.disabled = Boolean(this.assessment);
+        collectorSelect.add(new Option(`Standard collector (${this.apparatus.contactPotential.toFixed(2)} V contact potential)`, ''));
+        this.materials.filter(material => !material.hidden).forEach(material => {
+            collectorSelect.add(new Option(
+                `${material.name} (${material.symbol}) - φ = ${this.formatQuantity('energy', material.workFunction, 2)}`, material.id));
+        });
+        collectorSelect.value = this.state.collectorMaterial ? this.state.collectorMaterial.id : '';
+    }
+
+    loadStoredMaterials() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.materialsStorageKey));
+            if (Array.isArray(stored) && stored.length > 0) {
+                this.materials = stored.map(m => this.validateMaterial(m));
+                this.state.currentMaterial = this.materials[0];
+            }
+        } catch (error) {
+            // Corrupt entry: keep the built-in set
+            this.materials = this.defaultMaterials.map(material => ({ ...material }));
+        }
+    }
+
+    setMaterials(materials) {
+        this.materials = materials;
+        try {
+            localStorage.setItem(this.materialsStorageKey, JSON.stringify(materials));
+        } catch (error) {
+            // Storage full or unavailable (private browsing); the materials still apply to this page
+            this.logMessage(`Material database not saved in this browser (${error.message}); changes last until the page is closed`);
+        }
+
+        // Keep the selection if the current material survived, otherwise fall back to the first
+        const current = this.assessment
+            ? this.state.currentMaterial
+            : this.materials.find(m => m.id === this.state.currentMaterial.id) || this.materials[0];
+        const changed = current !== this.state.currentMaterial;
+        this.state.currentMaterial = current;
+        const collector = this.state.collectorMaterial;
+        this.state.collectorMaterial = collector
+            ? this.materials.find(m => m.id === collector.id && !m.hidden) || null
+            : null;
+        this.populateMaterialSelect();
+        this.renderMaterialTable();
+        this.updateAllCalculations();
+        this.updateIVChart();
+        if (changed) {
+            this.logMessage(`Material changed to ${this.describeMaterial(current)}`);
+        }
+    }
+
+    validateMaterial(raw, existingId = null) {
+        const name = String(raw.name || '').trim();
+        const symbol = String(raw.symbol || '').trim();
+        const workFunction = parseFloat(raw.workFunction);
+        const uncertainty = raw.workFunctionUncertainty === undefined || raw.workFunctionUncertainty === ''
+            ? 0 : parseFloat(raw.workFunctionUncertainty);
+        const color = String(raw.color || '#1FB8CD');
+
+        if (!name) throw new Error('Material name is required');
+        if (!symbol) throw new Error(`Symbol is required for ${name}`);
+        if (!isFinite(workFunction) || workFunction < 0.5 || workFunction > 10) {
+            throw new Error(`Work function of ${name} must be between 0.5 and 10 eV`);
+        }
+        if (!isFinite(uncertainty) || uncertainty < 0) {
+            throw new Error(`Work function uncertainty of ${name} must be zero or positive`);
+        }
+        if (!/^#[0-9a-f]{6}$/i.test(color)) {
+            throw new Error(`Colour of ${name} must be a hex colour such as #FF6B6B`);
+        }
+        const quantumEfficiency = this.validateQuantumEfficiency(raw.quantumEfficiency || this.defaultQuantumEfficiency, name);
+
+        return {
+            id: existingId || (raw.id ? String(raw.id) : `custom-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`),
+            name,
+            symbol,
+            workFunction,
+            workFunctionUncertainty: uncertainty,
+            color,
+            hidden: Boolean(raw.hidden),
+            quantumEfficiency
+        };
+    }
+
+    validateQuantumEfficiency(raw, name) {
+        if (raw.type === 'table') {
+            const points = (Array.isArray(raw.points) ? raw.points : [])
+                .map(p => ({ wavelength: parseFloat(p.wavelength), efficiency: parseFloat(p.efficiency) }))
+                .sort((a, b) => a.wavelength - b.wavelength);
+            if (points.length < 2) {
+                throw new Error(`Quantum efficiency table of ${name} needs at least two points`);
+            }
+            if (points.some(p => !isFinite(p.wavelength) || p.wavelength <= 0 || !isFinite(p.efficiency) || p.efficiency < 0 || p.efficiency > 1)) {
+                throw new Error(`Quantum efficiency table of ${name} needs positive wavelengths and efficiencies between 0 and 1`);
+            }
+            if (points.some((p, i) => i > 0 && p.wavelength === points[i - 1].wavelength)) {
+                throw new Error(`Quantum efficiency table of ${name} lists a wavelength twice`);
+            }
+            return { type: 'table', points };
+        }
+
+        const peak = parseFloat(raw.peak);
+        const width = raw.width === undefined ? this.defaultQuantumEfficiency.width : parseFloat(raw.width);
+        if (!isFinite(peak) || peak <= 0 || peak > 1) {
+            throw new Error(`Peak quantum efficiency of ${name} must be between 0 and 1`);
+        }
+        if (!isFinite(width) || width <= 0) {
+            throw new Error(`Quantum efficiency width of ${name} must be positive`);
+        }
+        return { type: 'fowler', peak, width };
+    }
+
+    parseQuantumEfficiencyTable(text) {
+        // One "wavelength, efficiency" pair per line; blank lines and # comments are ignored
+        return text.split(/\r?\n/)
+            .map(line => line.replace(/#.*/, '').trim())
+            .filter(Boolean)
+            .map(line => {
+                const [wavelength, efficiency] = line.split(/[\s,;\t]+/);
+                return { wavelength, efficiency };
+            });
+    }
+
+    formatQuantumEfficiency(material) {
+        const qe = material.quantumEfficiency;
+        return qe.type === 'table'
+            ? `table (${qe.points.length} pts)`
+            : `${(qe.peak * 100).toFixed(1)}% peak`;
+    }
+
+    openMaterialManager() {
+        this.renderMaterialTable();
+        this.resetMaterialForm();
+        this.elements.materialsDialog.showModal();
+    }
+
+    renderMaterialTable() {
+        const tbody = this.elements.materialsTableBody;
+        tbody.innerHTML = '';
+
+        this.materials.forEach(material => {
+            const row = tbody.insertRow();
+            const swatch = document.createElement('span');
+            swatch.className = 'curve-swatch';
+            swatch.style.background = material.color;
+            row.insertCell(0).appendChild(swatch);
+            row.insertCell(1).textContent = `${material.name} (${material.symbol})`;
+            row.insertCell(2).textContent = material.hidden
+                ? 'hidden'
+                : `${material.workFunction.toFixed(2)} ± ${material.workFunctionUncertainty.toFixed(2)}`;
+            row.insertCell(3).textContent = this.formatQuantumEfficiency(material);
+
+            const actions = row.insertCell(4);
+            const edit = document.createElement('button');
+            edit.type = 'button';
+            edit.className = 'btn btn--sm btn--outline';
+            edit.textContent = 'Edit';
+            edit.addEventListener('click', () => this.editMaterial(material.id));
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'btn btn--sm btn--secondary';
+            remove.textContent = '✕';
+            remove.title = `Delete ${material.name}`;
+            remove.disabled = this.materials.length === 1;
+            remove.addEventListener('click', () => this.deleteMaterial(material.id));
+            actions.append(edit, remove);
+        });
+    }
+
+    resetMaterialForm() {
+        const elements = this.elements;
+        elements.materialForm.reset();
+        elements.materialForm.dataset.editing = '';
+        elements.materialFormTitle.textContent = 'Add Photocathode';
+        elements.materialWorkFunction.required = true;
+        elements.materialWorkFunction.placeholder = '';
+        elements.materialColor.value = '#1FB8CD';
+        elements.materialQePeak.value = this.defaultQuantumEfficiency.peak;
+        elements.materialQeTable.value = '';
+    }
+
+    editMaterial(id) {
+        const material = this.materials.find(m => m.id === id);
+        const elements = this.elements;
+        elements.materialForm.dataset.editing = id;
+        elements.materialFormTitle.textContent = `Edit ${material.name}`;
+        elements.materialName.value = material.name;
+        elements.materialSymbol.value = material.symbol;
+        elements.materialUncertainty.value = material.workFunctionUncertainty;
+        elements.materialColor.value = material.color;
+        elements.materialHidden.checked = material.hidden;
+        const qe = material.quantumEfficiency;
+        elements.materialQePeak.value = qe.type === 'fowler' ? qe.peak : this.defaultQuantumEfficiency.peak;
+        elements.materialQeTable.value = qe.type === 'table'
+            ? qe.points.map(p => `${p.wavelength}, ${p.efficiency}`).join('\n')
+            : '';
+
+        // A hidden work function is not revealed in the form; leaving the field blank keeps it
+        elements.materialWorkFunction.value = material.hidden ? '' : material.workFunction;
+        elements.materialWorkFunction.required = !material.hidden;
+        elements.materialWorkFunction.placeholder = material.hidden ? 'unchanged (hidden)' : '';
+    }
+
+    saveMaterialFromForm() {
+        const elements = this.elements;
+        const editingId = elements.materialForm.dataset.editing || null;
+        const existing = editingId ? this.materials.find(m => m.id === editingId) : null;
+
+        // A blank φ keeps a hidden value only while the material stays hidden, so un-hiding cannot reveal it
+        const keepHidden = existing && existing.hidden && elements.materialHidden.checked;
+        if (elements.materialWorkFunction.value === '' && existing && existing.hidden && !keepHidden) {
+            alert(`Enter the work function to make ${existing.name} visible; its hidden value is not shown.`);
+            return;
+        }
+
+        let material;
+        try {
+            material = this.validateMaterial({
+                name: elements.materialName.value,
+                symbol: elements.materialSymbol.value,
+                workFunction: elements.materialWorkFunction.value === '' && keepHidden
+                    ? existing.workFunction
+                    : elements.materialWorkFunction.value,
+                workFunctionUncertainty: elements.materialUncertainty.value,
+                color: elements.materialColor.value,
+                hidden: elements.materialHidden.checked,
+                // A pasted table overrides the built-in curve
+                quantumEfficiency: elements.materialQeTable.value.trim()
+                    ? { type: 'table', points: this.parseQuantumEfficiencyTable(elements.materialQeTable.value) }
+                    : { type: 'fowler', peak: elements.materialQePeak.value,
+                        width: existing && existing.quantumEfficiency.type === 'fowler' ? existing.quantumEfficiency.width : undefined }
+            }, editingId);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        if (this.materials.some(m => m.id !== editingId && m.name.toLowerCase() === material.name.toLowerCase())) {
+            alert(`A material named ${material.name} already exists.`);
+            return;
+        }
+
+        if (existing) {
+            // Edit in place so the current selection keeps pointing at the same object
+            Object.assign(existing, material);
+            this.setMaterials([...this.materials]);
+            this.logMessage(`Material updated: ${this.describeMaterial(existing)}`);
+        } else {
+            this.setMaterials([...this.materials, material]);
+            this.logMessage(`Material added: ${this.describeMaterial(material)}`);
+        }
+        this.resetMaterialForm();
+    }
+
+    deleteMaterial(id) {
+        const material = this.materials.find(m => m.id === id);
+        if (!material || this.materials.length === 1) return;
+        if (!confirm(`Delete ${material.name} from the material database?`)) return;
+
+        this.setMaterials(this.materials.filter(m => m.id !== id));
+        this.resetMaterialForm();
+        this.logMessage(`Material deleted: ${material.name}`);
+    }
+
+    exportMaterials() {
+        // Hidden materials go out without φ, as in saved sessions
+        const data = {
+            format: 'photoelectric-lab-materials',
+            version: 1,
+            materials: this.materials.map(material => {
+                if (!material.hidden) return material;
+                const { workFunction, ...visible } = material;
+                return visible;
+            })
+        };
+        this.downloadFile(JSON.stringify(data, null, 2), `photoelectric_materials_${Date.now()}.json`, 'application/json');
+        this.logMessage(`Material set exported: ${this.materials.length} materials`);
+    }
+
+    importMaterials(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const data = JSON.parse(reader.result);
+                const list = Array.isArray(data) ? data : data.materials;
+                if (!Array.isArray(list) || list.length === 0) {
+                    throw new Error('File contains no materials');
+                }
+                // Hidden entries exported without φ can only update this browser's own copy
+                const imported = list.map(m => {
+                    if (!m || !m.hidden || m.workFunction !== undefined) return this.validateMaterial(m);
+                    const local = this.materials.find(existing => existing.id === m.id ||
+                        existing.name.toLowerCase() === String(m.name).toLowerCase());
+                    if (!local) throw new Error(`${m.name} is hidden and the file does not give its work function`);
+                    return this.validateMaterial({ ...m, workFunction: local.workFunction });
+                });
+
+                // Entries matching an existing id or name replace it; the rest are appended
+                const materials = [...this.materials];
+                imported.forEach(material => {
+                    const index = materials.findIndex(m => m.id === material.id ||
+                        m.name.toLowerCase() === material.name.toLowerCase());
+                    if (index >= 0) {
+                        Object.assign(materials[index], material, { id: materials[index].id });
+                    } else {
+                        materials.push(material);
+                    }
+                });
+                this.setMaterials(materials);
+                this.logMessage(`Material set imported: ${imported.length} materials`);
+            } catch (error) {
+                alert(`Could not import materials: ${error.message}`);
+            }
+        };
+        reader.readAsText(file);
+    }
+
+    readAssessmentDialog() {
+        const toleranceH = parseFloat(this.elements.assessmentToleranceH.value);
+        const toleranceWorkFunction = parseFloat(this.elements.assessmentToleranceWorkFunction.value);
+        if (!(toleranceH > 0) || !(toleranceWorkFunction > 0)) {
+            alert('Tolerances must be positive numbers.');
+            return null;
+        }
+
+        const pool = this.elements.assessmentPool.value === 'hidden'
+            ? this.materials.filter(m => m.hidden)
+            : this.materials;
+        if (pool.length === 0) {
+            alert('No unknown-metal materials are defined. Mark materials as unknown in the material manager or use all materials.');
+            return null;
+        }
+
+        return {
+            seed: this.elements.assessmentSeed.value.trim() || this.core.createSeed(),
+            pool,
+            toleranceH,
+            toleranceWorkFunction
+        };
+    }
+
+    startAssessment(config) {
+        if (this.state.isExperimentActive) this.toggleExperiment();
+
+        const id = this.core.createSeed();
+        const key = Array.from({ length: 4 }, () => this.core.createSeed()).join('');
+        this.assessment = { ...this.createAssessment({ ...config, id, key }), startedAt: new Date() };
+        this.storeAssessmentKey(id, key);
+        this.state.currentMaterial = this.assessment.sample;
+        // A known collector would make the intercept give its work function rather than the sample's, and the
+        // realistic cell's contact potential and soft cutoff would bias both answers, so the run is ideal
+        this.state.collectorMaterial = null;
+        this.state.currentModel = 'ideal';
+        this.setRandomSeed(config.seed);
+
+        // Start from a clean slate so earlier data on known metals cannot be reused (or undone back)
+        this.clearGraphs();
+        this.clearHistory();
+        this.populateMaterialSelect();
+        this.updateAssessmentControls();
+        this.updateAllCalculations();
+        this.logMessage(`Assessment started (seed ${config.seed}): determine h and φ for the unknown sample ` +
+            `in the ideal photocurrent model (tolerance ±${config.toleranceH}% on h, ±${config.toleranceWorkFunction} eV on φ)`);
+    }
+
+    createAssessment(config) {
+        // The seed, key and pool always pick the same sample; the seed alone only reproduces the noise.
+        // Assessments saved before keys were introduced (key null) picked from the seed alone
+        const secret = config.key === null ? config.seed : `${config.seed}|${config.key}`;
+        const picked = config.pool[this.core.hashSeed(secret) % config.pool.length];
+        return {
+            id: config.id,
+            key: config.key,
+            seed: config.seed,
+            poolIds: config.pool.map(m => m.id),
+            sourceId: picked.id,
+            sourceName: picked.name,
+            sample: {
+                id: 'assessment-sample',
+                name: 'Unknown Sample',
+                symbol: '?',
+                workFunction: picked.workFunction,
+                workFunctionUncertainty: picked.workFunctionUncertainty,
+                color: '#888888',
+                hidden: true,
+                quantumEfficiency: picked.quantumEfficiency
+            },
+            toleranceH: config.toleranceH,
+            toleranceWorkFunction: config.toleranceWorkFunction
+        };
+    }
+
+    readAssessmentKeys() {
+        try {
+            return JSON.parse(localStorage.getItem(this.assessmentKeysStorageKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    storeAssessmentKey(id, key) {
+        // A key of undefined forgets the assessment
+        const keys = this.readAssessmentKeys();
+        if (key === undefined) {
+            delete keys[id];
+        } else {
+            keys[id] = key;
+        }
+        try {
+            localStorage.setItem(this.assessmentKeysStorageKey, JSON.stringify(keys));
+        } catch (error) {
+            this.logMessage(`Assessment key not stored (${error.message}): this assessment cannot be resumed from a saved session`);
+        }
+    }
+
+    updateAssessmentControls() {
+        const active = Boolean(this.assessment);
+        this.elements.assessmentButton.textContent = active ? '📝 Submit Assessment' : '🎓 Assessment Mode';
+        this.elements.assessmentStatus.classList.toggle('hidden', !active);
+        this.elements.currentModelSelect.disabled = active;
+        this.elements.currentModelSelect.value = this.state.currentModel;
+        if (active) {
+            this.elements.assessmentStatus.textContent = `Assessment in progress · seed ${this.assessment.seed}`;
+        }
+    }
+
+    openSubmissionDialog() {
+        const fit = this.planckFit;
+        this.elements.submissionH.value = fit ? (fit.slope * 1e15).toFixed(3) : '';
+        this.elements.submissionWorkFunction.value = fit ? fit.workFunction.toFixed(3) : '';
+        this.elements.submissionSummary.innerHTML = '';
+        this.elements.submissionSummary.classList.add('hidden');
+        this.elements.submissionActions.classList.remove('hidden');
+        this.elements.submissionClose.classList.add('hidden');
+        this.elements.submissionDialog.showModal();
+    }
+
+    submitAssessment() {
+        const h = parseFloat(this.elements.submissionH.value) * 1e-15;
+        const workFunction = parseFloat(this.elements.submissionWorkFunction.value);
+        if (!isFinite(h) || h <= 0 || !isFinite(workFunction) || workFunction <= 0) {
+            alert('Enter your values of h and φ before submitting.');
+            return;
+        }
+
+        const assessment = this.assessment;
+        const result = {
+            seed: assessment.seed,
+            sample: assessment.sourceName,
+            submittedAt: new Date(),
+            ...this.core.gradeAssessment({ h, workFunction }, assessment),
+            measurements: this.experimentData.length,
+            wavelengths: this.core.getFitData().length
+        };
+        this.assessmentResults.push(result);
+
+        this.showAssessmentSummary(result);
+        this.endAssessment();
+        this.logMessage(`Assessment submitted (seed ${result.seed}): sample was ${result.sample} ` +
+            `(φ = ${result.workFunction.truth.toFixed(2)} eV) - score ${result.total.toFixed(0)}/100`);
+    }
+
+    showAssessmentSummary(result) {
+        const e = this.escapeHtml.bind(this);
+        const verdict = score => score === 50 ? '✓ within tolerance' : score > 0 ? 'partial credit' : '✗ outside tolerance';
+        this.elements.submissionSummary.innerHTML = `
+            <table>
+                <thead><tr><th></th><th>Submitted</th><th>True</th><th>Error</th><th>Tolerance</th><th>Points</th></tr></thead>
+                <tbody>
+                    <tr><th>h (eV·s)</th><td>${result.h.submitted.toExponential(3)}</td><td>${result.h.truth.toExponential(3)}</td>
+                        <td>${result.h.percentError.toFixed(1)}%</td><td>±${result.h.tolerance}%</td>
+                        <td>${result.h.score.toFixed(0)}/50 <small>${verdict(result.h.score)}</small></td></tr>
+                    <tr><th>φ (eV)</th><td>${result.workFunction.submitted.toFixed(3)}</td><td>${result.workFunction.truth.toFixed(3)}</td>
+                        <td>${result.workFunction.error.toFixed(3)} eV</td><td>±${result.workFunction.tolerance} eV</td>
+                        <td>${result.workFunction.score.toFixed(0)}/50 <small>${verdict(result.workFunction.score)}</small></td></tr>
+                </tbody>
+            </table>
+            <p class="assessment-score">Score: ${result.total.toFixed(0)}/100</p>
+            <p>The unknown sample was <strong>${e(result.sample)}</strong> (seed ${e(result.seed)}).
+                Based on ${result.measurements} measurements at ${result.wavelengths} wavelengths.</p>`;
+        this.elements.submissionSummary.classList.remove('hidden');
+        this.elements.submissionActions.classList.add('hidden');
+        this.elements.submissionClose.classList.remove('hidden');
+    }
+
+    endAssessment() {
+        const source = this.materials.find(m => m.id === this.assessment.sourceId) || this.materials[0];
+        if (this.assessment.id !== null) this.storeAssessmentKey(this.assessment.id, undefined);
+        this.assessment = null;
+        this.state.currentMaterial = source;
+        this.populateMaterialSelect();
+        this.updateAssessmentControls();
+        this.updateAllCalculations();
+    }
+
+    getStudentField(key) {
+        return key === 'studentName' || key === 'studentRoll'
+            ? this.sessionInfo[key]
+            : (this.sessionInfo.reportFields[key] || '');
+    }
+
+    setStudentField(key, value) {
+        if (key === 'studentName' || key === 'studentRoll') {
+            this.sessionInfo[key] = value;
+        } else {
+            this.sessionInfo.reportFields[key] = value;
+        }
+    }
+
+    updateHeaderStudent() {
+        const values = this.reportTemplate.studentFields
+            .map(field => this.getStudentField(field.key))
+            .filter(value => value);
+        this.elements.headerStudent.textContent = values.length > 0 ? ` | ${values.join(' | ')}` : '';
+    }
+
+    openReportDialog() {
+        if (this.frequencyData.length === 0) {
+            alert('No stopping-potential data yet. Complete at least one I-V measurement before generating a report.');
+            return;
+        }
+        this.renderReportFields();
+        this.elements.reportDialog.showModal();
+    }
+
+    renderReportFields() {
+        const container = this.elements.reportFields;
+        container.innerHTML = '';
+        this.reportTemplate.studentFields.forEach(field => {
+            const group = document.createElement('div');
+            group.className = 'form-group';
+            const label = document.createElement('label');
+            label.className = 'form-label';
+            label.htmlFor = `report-field-${field.key}`;
+            label.textContent = field.label;
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.id = `report-field-${field.key}`;
+            input.className = 'form-control';
+            input.dataset.fieldKey = field.key;
+            input.value = this.getStudentField(field.key);
+            group.append(label, input);
+            container.appendChild(group);
+        });
+
+        const template = this.reportTemplate;
+        this.elements.reportTemplateStatus.textContent = template === this.defaultReportTemplate
+            ? 'Using the default template'
+            : `Using instructor template: ${[template.institution, template.course].filter(Boolean).join(' · ') || template.title}`;
+    }
+
+    readReportFields() {
+        this.elements.reportFields.querySelectorAll('input[data-field-key]').forEach(input => {
+            this.setStudentField(input.dataset.fieldKey, input.value.trim());
+        });
+        this.updateHeaderStudent();
+    }
+
+    setReportTemplate(template) {
+        this.reportTemplate = template;
+        this.renderReportFields();
+        this.updateHeaderStudent();
+    }
+
+    validateReportTemplate(raw) {
+        // Anything not supplied falls back to the default layout
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            throw new Error('Template must be a JSON object');
+        }
+        const template = {
+            ...this.defaultReportTemplate,
+            ...raw,
+            headings: { ...this.defaultReportTemplate.headings, ...(raw.headings || {}) }
+        };
+        if (!Array.isArray(template.apparatus)) {
+            throw new Error('"apparatus" must be a list of strings');
+        }
+        if (!Array.isArray(template.studentFields) ||
+            !template.studentFields.every(field => field && typeof field.key === 'string' && typeof field.label === 'string')) {
+            throw new Error('"studentFields" must be a list of { "key": ..., "label": ... } entries');
+        }
+        return template;
+    }
+
+    importReportTemplate(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const template = this.validateReportTemplate(JSON.parse(reader.result));
+                this.readReportFields();
+                this.setReportTemplate(template);
+                localStorage.setItem(this.reportTemplateStorageKey, JSON.stringify(template));
+                this.logMessage(`Report template loaded: ${template.title}`);
+            } catch (error) {
+                alert(`Could not load report template: ${error.message}`);
+            }
+        };
+        reader.readAsText(file);
+    }
+
+    loadStoredReportTemplate() {
+        try {
+            const stored = localStorage.getItem(this.reportTemplateStorageKey);
+            if (stored) this.reportTemplate = this.validateReportTemplate(JSON.parse(stored));
+        } catch (error) {
+            this.reportTemplate = this.defaultReportTemplate;
+        }
+    }
+
+    escapeHtml(text) {
+        return String(text === null || text === undefined ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    generateLabReport() {
+        const html = this.buildReportHtml();
+        const reportWindow = window.open('', '_blank');
+        if (reportWindow) {
+            reportWindow.document.open();
+            reportWindow.document.write(html);
+            reportWindow.document.close();
+        } else {
+            // Pop-up blocked: fall back to a file the student can open and print
+            this.downloadFile(html, `photoelectric_lab_report_${Date.now()}.html`, 'text/html');
         }
+        this.logMessage('Lab report generated');
+    }
 
-        // Work function line
-        const workFunctionY = height - margin - (physics.workFunction * energyScale);
-        ctx.strokeStyle = '#4ECDC4';
-        ctx.lineWidth = 4;
-        ctx.beginPath();
-        ctx.moveTo(margin + 30, workFunctionY);
-        ctx.lineTo(width - margin - 30, workFunctionY);
-        ctx.stroke();
+    buildReportHtml() {
+        const template = this.reportTemplate;
+        const headings = template.headings;
+        const fit = this.planckFit;
+        const e = this.escapeHtml.bind(this);
+        const elementaryCharge = this.constants.elementaryCharge;
 
-        ctx.fillStyle = '#4ECDC4';
-        ctx.font = 'bold 14px sans-serif';
-        ctx.fillText(`φ = ${physics.workFunction.toFixed(2)} eV`, margin + 40, workFunctionY - 10);
+        const studentRows = template.studentFields.map(field =>
+            `<tr><th>${e(field.label)}</th><td>${e(this.getStudentField(field.key))}</td></tr>`).join('');
 
-        // Photon energy bar
-        const photonBarX = margin + 150;
-        const barWidth = 80;
-        const photonHeight = physics.photonEnergy * energyScale;
-        
-        const wavelengthColor = this.getWavelengthColor(physics.wavelength);
-        ctx.fillStyle = wavelengthColor;
-        ctx.fillRect(photonBarX, height - margin - photonHeight, barWidth, photonHeight);
+        // Observation table 1 mirrors the on-screen data table
+        const summaryTable = this.elements.dataTableBody.closest('table').cloneNode(true);
+        summaryTable.removeAttribute('id');
+        summaryTable.querySelectorAll('.status').forEach(status => status.replaceWith(status.textContent));
 
-        ctx.fillStyle = '#FF6B6B';
-        ctx.font = 'bold 14px sans-serif';
-        ctx.fillText(`E = ${physics.photonEnergy.toFixed(2)} eV`, photonBarX, height - margin - photonHeight - 15);
+        // One readings table per wavelength, from the points its V_s was extracted from
+        const readingTables = this.frequencyData.map((data, i) => {
+            const rows = this.core.mergeCoincidentPoints(data.points).map(p =>
+                `<tr><td>${p.x.toFixed(2)}</td><td>${p.y.toFixed(3)}</td><td>${p.sigma.toExponential(1)}</td></tr>`).join('');
+            return `<h4>Table ${i + 2}: ${e(data.material)}, ${e(data.filter)} filter (λ = ${this.formatQuantity('wavelength', data.wavelength, 1)})</h4>
+                <table><thead><tr><th>Voltage (V)</th><th>Current (μA)</th><th>σ (μA)</th></tr></thead><tbody>${rows}</tbody></table>`;
+        }).join('');
 
-        // Kinetic energy bar (if emission occurs)
-        if (physics.isEmission && physics.maxKineticEnergy > 0) {
-            const keBarX = photonBarX + barWidth + 30;
-            const keHeight = physics.maxKineticEnergy * energyScale;
-            
-            ctx.fillStyle = '#45B7D1';
-            ctx.fillRect(keBarX, height - margin - keHeight, barWidth, keHeight);
-            
-            ctx.fillStyle = '#45B7D1';
-            ctx.font = 'bold 14px sans-serif';
-            ctx.fillText(`KE = ${physics.maxKineticEnergy.toFixed(2)} eV`, keBarX, height - margin - keHeight - 15);
+        let calculations = '<p>At least two resolved stopping potentials are needed for the fit.</p>';
+        let result = '<p>Not enough data to determine h.</p>';
+        if (fit) {
+            const hJoule = fit.slope * elementaryCharge;
+            const hJouleError = fit.slopeError * elementaryCharge;
+            calculations = `
+                <p>Weighted least-squares fit of V<sub>s</sub> against f over ${fit.points} points:</p>
+                <table>
+                    <tr><th>Slope h/e</th><td>(${fit.slope.toExponential(4)} ± ${fit.slopeError.toExponential(2)}) V·s</td></tr>
+                    <tr><th>Intercept −φ/e</th><td>(${fit.intercept.toFixed(3)} ± ${fit.interceptError.toFixed(3)}) V</td></tr>
+                    <tr><th>R²</th><td>${fit.rSquared.toFixed(4)}</td></tr>
+                    <tr><th>χ²/dof</th><td>${fit.dof > 0 ? fit.reducedChiSquared.toFixed(2) : '—'}</td></tr>
+                </table>
+                <p>h = slope × e = ${fit.slope.toExponential(4)} V·s × ${elementaryCharge.toExponential(3)} C
+                    = ${hJoule.toExponential(3)} J·s = ${fit.slope.toExponential(3)} eV·s</p>
+                <p>φ = −intercept × e = ${this.formatQuantity('energy', fit.workFunction)};
+                    f<sub>0</sub> = φ/h = ${this.formatQuantity('frequency', fit.thresholdFrequency)}</p>
+                <p>% error = |h<sub>exp</sub> − h<sub>std</sub>| / h<sub>std</sub> × 100
+                    = |${fit.slope.toExponential(3)} − ${this.constants.planckConstant.toExponential(3)}| / ${this.constants.planckConstant.toExponential(3)} × 100
+                    = ${fit.percentError.toFixed(2)}%</p>`;
+            const contactNote = this.describeContactPotential();
+            if (contactNote) calculations += `
+                <p>${e(contactNote)}</p>`;
+            result = `
+                <p>Planck's constant h = (${hJoule.toExponential(3)} ± ${hJouleError.toExponential(1)}) J·s
+                    = (${fit.slope.toExponential(3)} ± ${fit.slopeError.toExponential(1)}) eV·s</p>
+                <p>Work function of the emitter φ = ${this.formatQuantityWithError('energy', fit.workFunction, fit.workFunctionError)}</p>
+                <p>Percentage error with respect to the standard value: ${fit.percentError.toFixed(2)}%</p>`;
         }
 
-        // Einstein's equation
-        ctx.fillStyle = '#134252';
-        ctx.font = 'bold 16px serif';
-        ctx.fillText('E = hf = φ + KEmax', margin + 30, height - 15);
-    }
+        const logItems = this.logEntries.map(entry =>
+            `<li><span class="time">${e(entry.time.toLocaleTimeString())}</span> ${e(entry.message)}</li>`).join('');
 
-    drawSetupDiagram() {
-        const canvas = this.elements.setupDiagram;
-        const ctx = this.setupCtx;
-        const width = canvas.width;
-        const height = canvas.height;
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${e(template.title)}</title>
+<style>
+    body { font-family: Georgia, 'Times New Roman', serif; color: #111; max-width: 800px; margin: 24px auto; padding: 0 16px; line-height: 1.5; }
+    header { text-align: center; border-bottom: 2px solid #111; margin-bottom: 16px; }
+    header p { margin: 2px 0; }
+    h1 { font-size: 22px; margin: 8px 0; }
+    h2 { font-size: 17px; border-bottom: 1px solid #999; margin-top: 24px; }
+    h4 { margin: 12px 0 4px; }
+    table { border-collapse: collapse; margin: 8px 0; font-size: 13px; }
+    th, td { border: 1px solid #666; padding: 3px 8px; text-align: left; }
+    .student th { border: none; padding-right: 16px; }
+    .student td { border: none; border-bottom: 1px dotted #666; min-width: 240px; }
+    figure { margin: 12px 0; text-align: center; page-break-inside: avoid; }
+    figure img { max-width: 100%; border: 1px solid #ccc; }
+    ol.log { font-size: 12px; }
+    ol.log .time { color: #555; }
+    .toolbar { text-align: right; }
+    @media print { .toolbar { display: none; } body { margin: 0; } h2 { page-break-after: avoid; } table { page-break-inside: avoid; } }
+</style>
+</head>
+<body>
+<div class="toolbar"><button onclick="window.print()">Print / Save as PDF</button></div>
+<header>
+    ${template.institution ? `<p><strong>${e(template.institution)}</strong></p>` : ''}
+    ${template.course ? `<p>${e(template.course)}</p>` : ''}
+    <h1>${template.experimentNumber ? `Experiment ${e(template.experimentNumber)}: ` : ''}${e(template.title)}</h1>
+    <p>Session ${e(this.sessionInfo.id)} · ${e(new Date().toLocaleDateString())}</p>
+</header>
+<table class="student">${studentRows}</table>
 
-        ctx.clearRect(0, 0, width, height);
+<h2>${e(headings.aim)}</h2>
+<p>${e(template.aim)}</p>
 
-        // Draw mercury lamp
-        this.drawMercuryLamp(ctx, 80, height/2);
-        
-        // Draw colored filter
-        this.drawFilter(ctx, 180, height/2);
-        
-        // Draw photocell
-        this.drawPhotocell(ctx, 280, height/2);
-        
-        // Draw meters
-        this.drawMeters(ctx, width - 100, height/2);
-        
-        // Draw connections
-        this.drawConnections(ctx, width, height);
-        
-        // Update animation particles
-        if (this.state.isExperimentActive) {
-            this.updateSetupAnimation();
-        }
+<h2>${e(headings.apparatus)}</h2>
+<ul>${template.apparatus.map(item => `<li>${e(item)}</li>`).join('')}</ul>
 
-        // Labels
-        ctx.fillStyle = '#134252';
-        ctx.font = '14px sans-serif';
-        ctx.fillText('Mercury Lamp', 50, 40);
-        ctx.fillText('Color Filter', 150, 40);
-        ctx.fillText('Vacuum Photocell', 240, 40);
-        ctx.fillText('6V Supply & μA Meter', width - 150, 40);
-    }
+<h2>${e(headings.theory)}</h2>
+<p>${e(template.theory)}</p>
 
-    drawMercuryLamp(ctx, x, y) {
-        ctx.fillStyle = this.state.isExperimentActive ? '#FFD700' : '#CCCCCC';
-        ctx.beginPath();
-        ctx.arc(x, y, 25, 0, 2 * Math.PI);
-        ctx.fill();
-        ctx.strokeStyle = '#134252';
-        ctx.lineWidth = 2;
-        ctx.stroke();
+<h2>${e(headings.observations)}</h2>
+<p>Emitter material: ${e(this.state.currentMaterial.name)}. Each reading is the mean of ${this.instrument.samplesPerPoint} ammeter samples.</p>
+<h4>Table 1: Stopping potential at each frequency</h4>
+${summaryTable.outerHTML}
+${readingTables}
 
-        // Lamp symbol
-        ctx.fillStyle = this.state.isExperimentActive ? '#FFA500' : '#999999';
-        ctx.font = 'bold 20px sans-serif';
-        ctx.textAlign = 'center';
-        ctx.fillText('Hg', x, y + 6);
-        ctx.textAlign = 'left';
-    }
+<h2>${e(headings.graphs)}</h2>
+<figure><img src="${this.ivChart.toBase64Image()}" alt="Photocurrent against applied voltage"><figcaption>Graph 1: I-V characteristics</figcaption></figure>
+<figure><img src="${this.frequencyChart.toBase64Image()}" alt="Stopping potential against frequency"><figcaption>Graph 2: Stopping potential against frequency</figcaption></figure>
 
-    drawFilter(ctx, x, y) {
-        const wavelengthData = this.getCurrentWavelengthData();
-        const filterColor = this.getWavelengthColor(wavelengthData.wavelength);
-        
-        ctx.fillStyle = this.state.isExperimentActive ? filterColor : '#CCCCCC';
-        ctx.fillRect(x - 15, y - 30, 30, 60);
-        ctx.strokeStyle = '#134252';
-        ctx.lineWidth = 2;
-        ctx.strokeRect(x - 15, y - 30, 30, 60);
-        
-        ctx.fillStyle = '#134252';
-        ctx.font = '10px sans-serif';
-        ctx.textAlign = 'center';
-        ctx.fillText(wavelengthData.wavelength + 'nm', x, y + 5);
-        ctx.textAlign = 'left';
-    }
+<h2>${e(headings.calculations)}</h2>
+${calculations}
 
-    drawPhotocell(ctx, x, y) {
-        // Vacuum tube
-        ctx.strokeStyle = '#134252';
-        ctx.lineWidth = 3;
-        ctx.beginPath();
-        ctx.arc(x, y, 40, 0, 2 * Math.PI);
-        ctx.stroke();
-        
-        // Photocathode
-        ctx.fillStyle = this.state.currentMaterial.color;
-        ctx.fillRect(x - 35, y - 25, 15, 50);
-        ctx.strokeRect(x - 35, y - 25, 15, 50);
-        
-        // Collector
-        ctx.fillStyle = '#C0C0C0';
-        ctx.fillRect(x + 20, y - 20, 10, 40);
-        ctx.strokeRect(x + 20, y - 20, 10, 40);
-        
-        // Material label
-        ctx.fillStyle = '#134252';
-        ctx.font = '12px sans-serif';
-        ctx.textAlign = 'center';
-        ctx.fillText(this.state.currentMaterial.symbol, x - 27, y + 50);
-        ctx.textAlign = 'left';
-    }
+<h2>${e(headings.result)}</h2>
+${result}
 
-    drawMeters(ctx, x, y) {
-        // Voltmeter
-        ctx.strokeStyle = '#134252';
-        ctx.lineWidth = 2;
-        ctx.beginPath();
-        ctx.arc(x, y - 30, 20, 0, 2 * Math.PI);
-        ctx.stroke();
-        
-        ctx.fillStyle = '#134252';
-        ctx.font = 'bold 12px sans-serif';
-        ctx.textAlign = 'center';
-        ctx.fillText('V', x, y - 25);
-        ctx.fillText(this.state.voltage.toFixed(1) + 'V', x, y - 5);
-        
-        // Ammeter
-        ctx.beginPath();
-        ctx.arc(x, y + 30, 20, 0, 2 * Math.PI);
-        ctx.stroke();
-        
-        ctx.fillText('μA', x, y + 35);
-        const physics = this.calculatePhysics();
-        ctx.fillText(physics.current.toFixed(1), x, y + 50);
-        ctx.textAlign = 'left';
+<h2>${e(headings.log)}</h2>
+<ol class="log">${logItems}</ol>
+</body>
+</html>`;
     }
 
-    drawConnections(ctx, width, height) {
-        ctx.strokeStyle = '#134252';
-        ctx.lineWidth = 2;
-        
-        // Connection wires (simplified)
-        ctx.beginPath();
-        ctx.moveTo(320, height/2 - 10);
-        ctx.lineTo(width - 120, height/2 - 10);
-        ctx.lineTo(width - 120, height/2 - 30);
-        ctx.stroke();
+    serializeSession() {
+        // Runtime flags (sweep/batch in progress, lamp on) are not part of a session. Hidden work functions
+        // (and the stopping potentials that give them away) are left out, and a running assessment keeps its
+        // id but not the key that picks its sample, so neither the file nor the autosave holds the answer
+        const state = this.state;
+        const assessment = this.assessment;
+        return {
+            format: this.sessionFormat.name,
+            version: this.sessionFormat.version,
+            savedAt: new Date().toISOString(),
+            sessionInfo: this.sessionInfo,
+            materials: this.materials.map(material => {
+                if (!material.hidden) return material;
+                const { workFunction, ...visible } = material;
+                return visible;
+            }),
+            assessment: assessment && {
+                id: assessment.id,
+                seed: assessment.seed,
+                poolIds: assessment.poolIds,
+                toleranceH: assessment.toleranceH,
+                toleranceWorkFunction: assessment.toleranceWorkFunction,
+                startedAt: assessment.startedAt
+            },
+            assessmentResults: this.assessmentResults,
+            state: {
+                material: state.currentMaterial.name,
+                materialId: state.currentMaterial.id,
+                collectorId: state.collectorMaterial ? state.collectorMaterial.id : null,
+                currentFilter: state.currentFilter,
+                lightSource: state.lightSource,
+                filterLeakage: state.filterLeakage,
+                monochromatorWavelength: state.monochromatorWavelength,
+                monochromatorBandwidth: state.monochromatorBandwidth,
+                wavelengthRange: state.wavelengthRange,
+                wavelengthEntryUnit: state.wavelengthEntryUnit,
+                constantsProfile: state.constantsProfile,
+                displayUnits: state.displayUnits,
+                voltage: state.voltage,
+                intensity: state.intensity,
+                distance: state.distance,
+                currentModel: state.currentModel,
+                extractionMethod: state.extractionMethod,
+                fitGroup: state.fitGroup,
+                curveColorMode: state.curveColorMode,
+                measurementCount: state.measurementCount,
+                ammeterOffset: state.ammeterOffset,
+                seed: state.seed,
+                timeResolved: state.timeResolved,
+                time: state.time
+            },
+            randomState: this.core.getRandomState(),
+            instrument: { ...this.instrument },
+            sweepConfig: { ...this.sweepConfig },
+            logger: { rate: this.timeMode.rate, window: this.timeMode.window },
+            experimentData: this.experimentData.map(d => {
+                if (!d.workFunctionHidden) return d;
+                const { workFunction, stoppingPotential, ...visible } = d;
+                return visible;
+            }),
+            timeSeries: this.core.timeSeries,
+            // Curve and scan points are rebuilt from the measurements on restore
+            sweeps: this.sweeps.map(({ points, ...sweep }) => sweep),
+            spectralScans: this.spectralScans.map(({ points, ...scan }) => scan),
+            script: this.elements.scriptEditor.value,
+            log: this.logEntries
+        };
     }
 
-    updateSetupAnimation() {
-        if (!this.state.isExperimentActive) return;
-
-        const ctx = this.setupCtx;
-        
-        // Create photon particles
-        if (Math.random() < 0.3) {
-            const wavelengthData = this.getCurrentWavelengthData();
-            this.photonParticles.push({
-                x: 105,
-                y: 150 + (Math.random() - 0.5) * 30,
-                speed: 1.5 + Math.random(),
-                size: 3,
-                color: this.getWavelengthColor(wavelengthData.wavelength)
+    migrateSession(session) {
+        if (!session || session.format !== this.sessionFormat.name) {
+            throw new Error('Not a photoelectric laboratory session file');
+        }
+        if (!Number.isInteger(session.version) || session.version > this.sessionFormat.version) {
+            throw new Error(`Unsupported session version ${session.version} (this simulator reads up to version ${this.sessionFormat.version})`);
+        }
+        // Upgrade older formats one version at a time
+        if (session.version === 1) {
+            // v1 records only stored material and wavelength; derive the rest from them
+            session.sessionInfo = {
+                id: `PE-${session.savedAt.slice(0, 10).replace(/-/g, '')}-V1`,
+                startedAt: session.savedAt,
+                studentName: '',
+                studentRoll: ''
+            };
+            session.experimentData.forEach(d => {
+                const material = this.materials.find(m => m.name === d.material) || this.materials[0];
+                d.frequency = this.constants.speedOfLight / (d.wavelength * 1e-9);
+                d.photonEnergy = this.constants.planckConstant * d.frequency;
+                d.workFunction = material.workFunction;
+                d.stoppingPotential = Math.max(0, d.photonEnergy - material.workFunction);
+                d.appliedVoltage = d.voltage;
+            });
+            session.version = 2;
+        }
+        if (session.version === 2) {
+            // v3 replaced the custom-wavelength slider with a monochromator behind a light source
+            const rename = filter => filter === 'custom' ? 'monochromator' : filter;
+            session.state.currentFilter = rename(session.state.currentFilter);
+            session.state.monochromatorWavelength = session.state.customWavelength;
+            session.state.monochromatorBandwidth = 2;
+            session.state.lightSource = 'mercury';
+            session.state.filterLeakage = 0;
+            session.experimentData.forEach(d => {
+                d.filter = rename(d.filter);
+                d.lightSource = 'mercury';
+            });
+            session.sweeps.forEach(sweep => { sweep.filter = rename(sweep.filter); });
+            session.frequencyData.forEach(d => { d.filter = rename(d.filter); });
+            session.version = 3;
+        }
+        if (session.version === 3) {
+            // v4 gave materials quantum-efficiency curves and added spectral response scans
+            (session.materials || []).forEach(m => {
+                m.quantumEfficiency = m.quantumEfficiency || { ...this.defaultQuantumEfficiency };
             });
+            if (session.assessment) {
+                const source = (session.materials || []).find(m => m.id === session.assessment.sourceId);
+                session.assessment.sample.quantumEfficiency = source
+                    ? source.quantumEfficiency
+                    : { ...this.defaultQuantumEfficiency };
+            }
+            session.spectralScans = [];
+            session.version = 4;
+        }
+        if (session.version === 4) {
+            // v5 made the monochromator range configurable (previously fixed at 200-700 nm)
+            session.state.wavelengthRange = { min: 200, max: 700 };
+            session.state.wavelengthEntryUnit = 'wavelength';
+            session.version = 5;
+        }
+        if (session.version === 5) {
+            // v6 added selectable constants; earlier sessions were computed with the rounded lab-manual values
+            session.state.constantsProfile = 'labManual';
+            session.state.displayUnits = { energy: 'eV', frequency: 'hz14', wavelength: 'nm' };
+            session.version = 6;
+        }
+        if (session.version === 6) {
+            // v7 keeps the protocol script with the session
+            session.script = '';
+            session.version = 7;
+        }
+        if (session.version === 7) {
+            // v8 seeded the noise; unseeded sessions carry on from a fresh seed
+            session.state.seed = this.core.createSeed();
+            session.randomState = null;
+            session.version = 8;
+        }
+        if (session.version === 8) {
+            // v9 derives curves, scans and V_s from the measurements, which gained ids and an excluded flag
+            const data = session.experimentData;
+            data.forEach((d, i) => {
+                d.id = i + 1;
+                d.excluded = false;
+                d.emission = d.stoppingPotential > 0;
+            });
+            session.spectralScans.forEach(scan => scan.points.forEach(p => {
+                const reading = data.find(d => d.scanId === undefined && d.leg === undefined &&
+                    d.current === p.y && Math.abs(d.wavelength - p.x) < 1e-6);
+                if (reading) reading.scanId = scan.id;
+            }));
+            // Readings that were cleared from the charts stay in the record, excluded; sweep ids could be
+            // reused after a clear, so a reading belongs to a kept sweep only if taken after it started
+            data.forEach(d => {
+                if (d.scanId !== undefined) return;
+                if (d.leg !== undefined) {
+                    const sweep = session.sweeps.find(s => s.id === d.sweepId);
+                    if (sweep && new Date(d.timestamp) >= new Date(sweep.startedAt)) return;
+                    if (sweep) delete d.sweepId;
+                } else if ((session.ivData || []).some(p => p.manual && p.x === d.voltage && p.y === d.current)) {
+                    return;
+                }
+                d.excluded = true;
+            });
+            session.sweeps.forEach(sweep => { delete sweep.points; });
+            session.spectralScans.forEach(scan => { delete scan.points; });
+            delete session.ivData;
+            delete session.frequencyData;
+            session.version = 9;
+        }
+        if (session.version === 9) {
+            // v10 added time-resolved mode and the data logger
+            session.state.timeResolved = false;
+            session.state.time = 0;
+            session.logger = { rate: 2, window: 60 };
+            session.timeSeries = [];
+            session.version = 10;
+        }
+        if (session.version === 10) {
+            // v11 made the collector selectable; earlier readings keep a collector of their own so their
+            // V_s are never pooled with readings taken since
+            session.state.collectorId = null;
+            session.experimentData.forEach(d => { d.collector = this.legacyCollector; });
+            session.version = 11;
+        }
+        if (session.version === 11) {
+            // v12 no longer stores an assessment's answer; a pool of just the source picks it again
+            const assessment = session.assessment;
+            if (assessment) {
+                session.assessment = {
+                    seed: assessment.seed,
+                    poolIds: [assessment.sourceId],
+                    toleranceH: assessment.toleranceH,
+                    toleranceWorkFunction: assessment.toleranceWorkFunction,
+                    startedAt: assessment.startedAt
+                };
+            }
+            session.version = 12;
+        }
+        if (session.version === 12) {
+            // v13 fits one material and collector at a time; readings from before v11 are fitted as their own group
+            const latest = session.experimentData[session.experimentData.length - 1];
+            session.state.fitGroup = latest && latest.collector === this.legacyCollector
+                ? { material: latest.material, collector: latest.collector }
+                : null;
+            session.version = 13;
+        }
+        if (session.version === 13) {
+            // v14 picks the assessment sample with a key kept out of the session; earlier ones picked from the seed
+            if (session.assessment) session.assessment.id = null;
+            session.version = 14;
         }
+        return session;
+    }
 
-        // Update and draw photons
-        this.photonParticles = this.photonParticles.filter(photon => {
-            photon.x += photon.speed;
-            
-            ctx.fillStyle = photon.color;
-            ctx.globalAlpha = 0.8;
-            ctx.beginPath();
-            ctx.arc(photon.x, photon.y, photon.size, 0, 2 * Math.PI);
-            ctx.fill();
-            ctx.globalAlpha = 1;
+    restoreSession(raw) {
+        const session = this.migrateSession(raw);
 
-            // Create electrons when photons hit cathode
-            if (photon.x >= 245 && photon.x <= 250) {
-                const physics = this.calculatePhysics();
-                if (physics.isEmission && Math.random() < 0.6) {
-                    this.electronParticles.push({
-                        x: 260,
-                        y: photon.y + (Math.random() - 0.5) * 10,
-                        speed: 0.8 + Math.random() * 0.5,
-                        life: 80
-                    });
+        // Stop anything in progress before replacing the data it writes to
+        if (this.state.isExperimentActive) this.toggleExperiment();
+        this.state.sweepCancelRequested = true;
+        this.state.batchCancelRequested = true;
+        this.state.spectralScanCancelRequested = true;
+        this.abortScript();
+
+        const saved = session.state;
+        // Sessions carry the material set they were recorded with; add any this browser lacks
+        // (hidden ones are saved without φ, so only this browser's copy can supply it)
+        const missing = (session.materials || []).filter(m =>
+            m.workFunction !== undefined && !this.materials.some(local => local.id === m.id));
+        if (missing.length > 0) {
+            this.setMaterials([...this.materials, ...missing.map(m => this.validateMaterial(m))]);
+        }
+        if (session.assessment) {
+            const pool = session.assessment.poolIds.map(id => this.materials.find(m => m.id === id));
+            if (pool.some(m => !m)) {
+                throw new Error('This assessment uses unknown samples that are not in this browser\'s material database');
+            }
+            const id = session.assessment.id;
+            const key = id === null ? null
+                : this.assessment && this.assessment.id === id ? this.assessment.key : this.readAssessmentKeys()[id];
+            if (key === undefined) {
+                throw new Error('This assessment was started in another browser, which holds the key to its unknown sample');
+            }
+            this.assessment = {
+                ...this.createAssessment({ ...session.assessment, key, pool }),
+                startedAt: new Date(session.assessment.startedAt)
+            };
+        } else {
+            this.assessment = null;
+        }
+        this.assessmentResults = session.assessmentResults || [];
+        const currentMaterial = this.assessment ? this.assessment.sample :
+            this.materials.find(m => m.id === saved.materialId) ||
+            this.materials.find(m => m.name === saved.material) || this.materials[0];
+        Object.assign(this.state, {
+            currentMaterial,
+            collectorMaterial: this.materials.find(m => m.id === saved.collectorId && !m.hidden) || null,
+            voltage: saved.voltage,
+            intensity: saved.intensity,
+            distance: saved.distance,
+            currentModel: this.assessment ? 'ideal' : saved.currentModel,
+            extractionMethod: saved.extractionMethod,
+            fitGroup: saved.fitGroup,
+            curveColorMode: saved.curveColorMode,
+            measurementCount: saved.measurementCount,
+            ammeterOffset: saved.ammeterOffset
+        });
+        Object.assign(this.instrument, session.instrument);
+        Object.assign(this.sweepConfig, session.sweepConfig);
+
+        // Hidden work functions come back from the re-picked sample or this browser's materials
+        const hiddenWorkFunction = name => {
+            const material = this.assessment && name === this.assessment.sample.name
+                ? this.assessment.sample
+                : this.materials.find(m => m.name === name);
+            return material ? material.workFunction : undefined;
+        };
+        this.experimentData = session.experimentData.map(d => {
+            const reading = { ...d, timestamp: new Date(d.timestamp) };
+            if (d.workFunctionHidden && d.workFunction === undefined) {
+                reading.workFunction = hiddenWorkFunction(d.material);
+                if (reading.workFunction !== undefined) {
+                    reading.stoppingPotential = Math.max(0, d.photonEnergy - reading.workFunction);
                 }
             }
-            
-            return photon.x < 600;
+            return reading;
         });
+        this.core.nextMeasurementId = this.experimentData.reduce((max, d) => Math.max(max, d.id), 0) + 1;
+        this.sweeps = session.sweeps.map(sweep => ({
+            ...sweep,
+            // A sweep that was running when the session was saved keeps its points as a partial curve
+            status: sweep.status === 'running' ? 'cancelled' : sweep.status,
+            startedAt: new Date(sweep.startedAt),
+            completedAt: sweep.completedAt ? new Date(sweep.completedAt) : sweep.completedAt,
+            points: []
+        }));
+        this.spectralScans = session.spectralScans.map(scan => ({
+            ...scan,
+            status: scan.status === 'running' ? 'cancelled' : scan.status,
+            startedAt: new Date(scan.startedAt),
+            completedAt: scan.completedAt ? new Date(scan.completedAt) : scan.completedAt,
+            points: []
+        }));
+        // Undo history belongs to the session it was made in
+        this.selectedMeasurements.clear();
+        this.clearHistory();
+        this.logEntries = session.log.map(entry => ({ time: new Date(entry.time), message: entry.message }));
+        this.sessionInfo = { reportFields: {}, ...session.sessionInfo, startedAt: new Date(session.sessionInfo.startedAt) };
+        this.updateHeaderStudent();
 
-        // Update and draw electrons
-        this.electronParticles = this.electronParticles.filter(electron => {
-            electron.x += electron.speed;
-            electron.life--;
-            
-            ctx.fillStyle = '#00FFFF';
-            ctx.globalAlpha = electron.life / 80;
-            ctx.beginPath();
-            ctx.arc(electron.x, electron.y, 2, 0, 2 * Math.PI);
-            ctx.fill();
-            ctx.globalAlpha = 1;
+        // Mirror the restored state into the controls
+        const elements = this.elements;
+        this.populateMaterialSelect();
+        this.updateAssessmentControls();
+        elements.voltageSlider.value = this.state.voltage;
+        elements.voltageValue.textContent = this.state.voltage.toFixed(2);
+        elements.intensitySlider.value = this.state.intensity;
+        elements.intensityValue.textContent = this.state.intensity;
+        elements.distanceSlider.value = this.state.distance;
+        elements.distanceValue.textContent = this.state.distance;
+        elements.currentModelSelect.value = this.state.currentModel;
+        elements.extractionMethodSelect.value = this.state.extractionMethod;
+        elements.curveColorMode.value = this.state.curveColorMode;
+        elements.samplesPerPoint.value = this.instrument.samplesPerPoint;
+        elements.samplesLabel.textContent = this.instrument.samplesPerPoint;
+        elements.gaussianNoise.value = this.instrument.gaussianNoise;
+        elements.shotNoise.checked = this.instrument.shotNoise;
+        elements.ammeterRange.value = this.instrument.ammeterRange;
+        elements.ammeterResolution.value = this.instrument.ammeterResolution;
+        elements.offsetDrift.value = this.instrument.offsetDrift;
+        elements.voltmeterResolution.value = this.instrument.voltmeterResolution;
+        elements.measurementCount.textContent = this.state.measurementCount;
+        elements.scriptEditor.value = session.script;
+        // The lamp is off after a restore, so a time-resolved session starts from a cold lamp
+        this.timeMode.logging = false;
+        this.timeMode.samples = [];
+        this.timeMode.rate = session.logger.rate;
+        this.timeMode.window = session.logger.window;
+        elements.loggerRate.value = String(session.logger.rate);
+        elements.timeWindow.value = String(session.logger.window);
+        this.core.timeSeries = session.timeSeries;
+        this.state.time = saved.time;
+        this.core.setTimeResolved(saved.timeResolved);
+        elements.timeMode.checked = saved.timeResolved;
+        elements.loggerToggle.disabled = !saved.timeResolved;
+        if (saved.timeResolved) this.startTimeClock(); else this.stopTimeClock();
+        this.updateLoggerControls();
+        this.updateLampStatus();
+        this.updateTimeChart();
+        // Resume the noise streams where they stopped so further readings continue the same sequence
+        this.core.setSeed(saved.seed);
+        if (session.randomState) this.core.setRandomState(session.randomState);
+        elements.randomSeed.value = saved.seed;
+        this.state.lightSource = saved.lightSource;
+        this.state.filterLeakage = saved.filterLeakage;
+        this.state.monochromatorBandwidth = saved.monochromatorBandwidth;
+        elements.lightSourceSelect.value = saved.lightSource;
+        elements.filterLeakageSelect.value = String(saved.filterLeakage);
+        elements.monochromatorBandwidth.value = saved.monochromatorBandwidth;
+        this.state.displayUnits = { ...saved.displayUnits };
+        this.core.setConstantsProfile(saved.constantsProfile);
+        elements.constantsProfileSelect.value = saved.constantsProfile;
+        this.state.wavelengthRange = { ...saved.wavelengthRange };
+        this.state.wavelengthEntryUnit = saved.wavelengthEntryUnit;
+        this.applyWavelengthRange();
+        this.selectWavelength(saved.currentFilter, saved.monochromatorWavelength);
 
-            return electron.life > 0 && electron.x < 320;
-        });
+        // Rebuild charts, table and log from the restored data
+        this.refreshMeasurementViews();
+        this.applyDisplayUnits();
+        elements.experimentLog.innerHTML = '';
+        this.logEntries.slice(-20).forEach(entry => this.renderLogEntry(entry));
+        elements.graphStatus.textContent = `Session restored: ${this.experimentData.length} measurements`;
+
+        this.logMessage(`Session restored from ${new Date(session.savedAt).toLocaleString()} - ` +
+            `${this.experimentData.length} measurements, ${this.sweeps.length} sweeps, ${this.frequencyData.length} wavelengths`);
     }
 
-    getWavelengthColor(wavelength) {
-        if (wavelength < 380) return '#8B00FF';
-        if (wavelength < 440) return '#4B0082';
-        if (wavelength < 490) return '#0000FF';
-        if (wavelength < 510) return '#00FF00';
-        if (wavelength < 580) return '#FFFF00';
-        if (wavelength < 645) return '#FF7F00';
-        if (wavelength < 750) return '#FF0000';
-        return '#8B0000';
+    exportSession() {
+        const json = JSON.stringify(this.serializeSession(), null, 2);
+        this.downloadFile(json, `photoelectric_lab_session_${Date.now()}.json`, 'application/json');
+        this.logMessage(`Session saved: ${this.experimentData.length} measurements, ${this.sweeps.length} sweeps`);
     }
 
-    resetExperiment() {
-        this.state.isExperimentActive = false;
-        this.state.measurementCount = 0;
-        this.state.autoSweepActive = false;
-        this.experimentData = [];
-        this.ivData = [];
-        this.frequencyData = [];
-        this.photonParticles = [];
-        this.electronParticles = [];
-        
-        // Reset UI
-        this.elements.switchLight.textContent = '🔬 Start Experiment';
-        this.elements.switchLight.classList.remove('active');
-        this.elements.takeMeasurement.disabled = true;
-        this.elements.autoSweep.disabled = true;
-        this.elements.measurementCount.textContent = '0';
-        this.elements.dataTableBody.innerHTML = '';
-        this.elements.graphStatus.textContent = 'Ready for measurements';
-        
-        // Reset controls
-        this.state.voltage = 0;
-        this.elements.voltageSlider.value = 0;
-        this.elements.voltageValue.textContent = '0.00';
-        
-        // Clear charts
-        this.clearGraphs();
-        
-        this.updateAllCalculations();
-        this.logMessage('Laboratory reset - Ready for new experiment');
+    importSession(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                this.restoreSession(JSON.parse(reader.result));
+            } catch (error) {
+                alert(`Could not load session: ${error.message}`);
+            }
+        };
+        reader.readAsText(file);
     }
 
-    clearGraphs() {
-        this.ivData = [];
-        this.frequencyData = [];
-        this.ivChart.data.datasets[0].data = [];
-        this.frequencyChart.data.datasets[0].data = [];
-        this.ivChart.update();
-        this.frequencyChart.update();
-        this.elements.graphStatus.textContent = 'Graphs cleared';
+    scheduleAutosave() {
+        // Throttled rather than debounced so long sweeps are still saved while they run
+        if (!this.autosaveEnabled || this.autosaveTimer !== null) return;
+        this.autosaveTimer = setTimeout(() => {
+            this.autosaveTimer = null;
+            this.autosaveSession();
+        }, this.sessionFormat.autosaveInterval);
     }
 
-    exportLaboratoryData() {
-        if (this.experimentData.length === 0) {
-            alert('No experimental data to export. Please take measurements first.');
-            return;
+    autosaveSession() {
+        try {
+            localStorage.setItem(this.sessionFormat.storageKey, JSON.stringify(this.serializeSession()));
+        } catch (error) {
+            // Storage full or unavailable (private browsing); warn once and keep running
+            if (!this.autosaveFailed) {
+                this.autosaveFailed = true;
+                this.logMessage(`Autosave unavailable: ${error.message}`);
+            }
         }
+    }
 
-        const headers = [
-            'Timestamp',
-            'Material',
-            'Work_Function_eV',
-            'Filter',
-            'Wavelength_nm',
-            'Frequency_Hz',
-            'Photon_Energy_eV',
-            'Applied_Voltage_V',
-            'Current_microA',
-            'Standard_Error_microA',
-            'Measurements_Count',
-            'Stopping_Potential_V'
-        ];
-
-        let csvContent = headers.join(',') + '\n';
+    offerAutosavedSession() {
+        let session;
+        try {
+            session = JSON.parse(localStorage.getItem(this.sessionFormat.storageKey));
+        } catch (error) {
+            return;
+        }
+        if (!session || !session.experimentData || session.experimentData.length === 0) return;
 
-        this.experimentData.forEach(data => {
-            const wavelengthData = this.getCurrentWavelengthData();
-            const physics = this.calculatePhysics();
-            
-            const row = [
-                data.timestamp.toISOString(),
-                data.material,
-                this.state.currentMaterial.workFunction.toFixed(6),
-                data.filter,
-                data.wavelength,
-                wavelengthData.frequency.toExponential(3),
-                wavelengthData.energy.toFixed(6),
-                data.voltage.toFixed(6),
-                data.current.toFixed(6),
-                data.standardError.toExponential(3),
-                data.measurements,
-                physics.stoppingPotential.toFixed(6)
-            ];
-            csvContent += row.join(',') + '\n';
-        });
-
-        // Add frequency data summary
-        csvContent += '\n# Frequency vs Stopping Potential Data\n';
-        csvContent += 'Filter,Wavelength_nm,Frequency_Hz,Stopping_Potential_V\n';
-        
-        this.frequencyData.forEach(data => {
-            csvContent += `${data.filter},${data.wavelength},${data.frequency * 1e14},${data.stoppingPotential.toFixed(6)}\n`;
-        });
+        const savedAt = new Date(session.savedAt).toLocaleString();
+        if (!confirm(`An autosaved session from ${savedAt} (${session.experimentData.length} measurements) was found. Restore it?`)) {
+            return;
+        }
+        try {
+            this.restoreSession(session);
+        } catch (error) {
+            alert(`Could not restore autosaved session: ${error.message}`);
+        }
+    }
 
-        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+    downloadFile(content, filename, type) {
+        const blob = new Blob([content], { type });
         const link = document.createElement('a');
         const url = URL.createObjectURL(blob);
         link.setAttribute('href', url);
-        link.setAttribute('download', `photoelectric_lab_data_${Date.now()}.csv`);
+        link.setAttribute('download', filename);
         link.style.visibility = 'hidden';
         document.body.appendChild(link);
         link.click();
         document.body.removeChild(link);
-
-        this.logMessage(`Laboratory data exported: ${this.experimentData.length} measurements, ${this.frequencyData.length} frequency points`);
     }
 
     startAnimationLoop() {
         const animate = () => {
             this.animationTime += 16;
             
-            const physics = this.calculatePhysics();
+            const physics = this.core.calculatePhysics();
             this.drawEnergyDiagram(physics);
             
             if (this.state.isExperimentActive) {
@@ -1020,15 +5692,25 @@ class PhotoelectricLaboratory {
     }
 
     logMessage(message) {
+        const entry = { time: new Date(), message };
+        this.logEntries.push(entry);
+        this.renderLogEntry(entry);
+        this.scheduleAutosave();
+    }
+
+    renderLogEntry(entry) {
         const logElement = this.elements.experimentLog;
-        const timestamp = new Date().toLocaleTimeString();
-        
+
+        // Built with textContent so messages from imported sessions cannot inject markup
         const logEntry = document.createElement('div');
         logEntry.className = 'log-entry';
-        logEntry.innerHTML = `
-            <span class="log-time">${timestamp}</span>
-            <span class="log-message">${message}</span>
-        `;
+        const time = document.createElement('span');
+        time.className = 'log-time';
+        time.textContent = entry.time.toLocaleTimeString();
+        const text = document.createElement('span');
+        text.className = 'log-message';
+        text.textContent = entry.message;
+        logEntry.append(time, text);
         
         logElement.appendChild(logEntry);
         logElement.scrollTop = logElement.scrollHeight;
@@ -0,0 +1,62 @@
+// Physical constants and display units for the photoelectric effect laboratory.
+//
+// Quantities are held internally in eV, Hz and nm. CONSTANT_PROFILES selects the constants the
+// physics uses; DISPLAY_UNITS converts internal values for readouts, tables, charts and exports.
+
+const CONSTANT_PROFILES = {
+    // CODATA 2018 recommended values (h, c and e are exact in the 2019 SI)
+    codata: {
+        name: 'CODATA 2018',
+        planckConstant: 4.135667696e-15,     // eV·s
+        speedOfLight: 299792458,             // m/s
+        elementaryCharge: 1.602176634e-19,   // C
+        boltzmannConstant: 8.617333262e-5    // eV/K
+    },
+    // Rounded values printed in the laboratory manual
+    labManual: {
+        name: 'Lab manual (rounded)',
+        planckConstant: 4.136e-15,
+        speedOfLight: 3e8,
+        elementaryCharge: 1.602e-19,
+        boltzmannConstant: 8.617e-5
+    }
+};
+
+// toUnit converts from the internal unit; axis gives the scale and label used on plot axes,
+// where scientific units are shown as a power of ten so tick labels stay short
+const DISPLAY_UNITS = {
+    energy: {
+        eV: { label: 'eV', key: 'eV', toUnit: value => value, axis: { scale: 1, label: 'eV' } },
+        J: {
+            label: 'J', key: 'J', scientific: true,
+            toUnit: (value, constants) => value * constants.elementaryCharge,
+            axis: { scale: 1e19, label: '10⁻¹⁹ J' }
+        }
+    },
+    frequency: {
+        hz14: { label: '× 10¹⁴ Hz', key: '1e14Hz', toUnit: value => value / 1e14, axis: { scale: 1, label: '10¹⁴ Hz' } },
+        THz: { label: 'THz', key: 'THz', toUnit: value => value / 1e12, axis: { scale: 1, label: 'THz' } },
+        Hz: { label: 'Hz', key: 'Hz', scientific: true, toUnit: value => value, axis: { scale: 1e-14, label: '10¹⁴ Hz' } }
+    },
+    wavelength: {
+        nm: { label: 'nm', key: 'nm', toUnit: value => value, axis: { scale: 1, label: 'nm' } },
+        angstrom: { label: 'Å', key: 'A', toUnit: value => value * 10, axis: { scale: 1, label: 'Å' } }
+    }
+};
+
+const SUPERSCRIPT_DIGITS = { '-': '⁻', '0': '⁰', '1': '¹', '2': '²', '3': '³', '4': '⁴', '5': '⁵', '6': '⁶', '7': '⁷', '8': '⁸', '9': '⁹' };
+
+function powerOfTen(exponent) {
+    return `10${String(exponent).replace(/[-0-9]/g, d => SUPERSCRIPT_DIGITS[d])}`;
+}
+
+function splitScientific(value) {
+    // Mantissa and exponent with 1 ≤ |mantissa| < 10
+    if (value === 0 || !isFinite(value)) return { mantissa: value, exponent: 0 };
+    const exponent = Math.floor(Math.log10(Math.abs(value)));
+    return { mantissa: value / Math.pow(10, exponent), exponent };
+}
+
+if (typeof module === 'object' && module.exports) {
+    module.exports = { CONSTANT_PROFILES, DISPLAY_UNITS, SUPERSCRIPT_DIGITS, powerOfTen, splitScientific };
+}
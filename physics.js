@@ -0,0 +1,1618 @@
+// Photoelectric effect physics core
+// Photocell and lamp model, instrument statistics, stopping-potential extraction, the Planck fit
+// and the export tables, free of any DOM access. The browser UI (PhotoelectricLaboratory in
+// app.js) drives one instance; under Node it can be required and scripted directly:
+//
+//     const { PhotoelectricCore } = require('./physics.js');
+//     const core = new PhotoelectricCore();
+//     core.setMaterial('cs');
+//     core.setFilter('blue');
+//     core.sweep({ start: 1, stop: -2, step: 0.05 });
+//     const fit = core.fitPlanck();
+//
+// All noise comes from seeded streams, so the same seed and the same sequence of calls
+// reproduce the same readings bit for bit (pass { seed } to the constructor or use setSeed).
+
+// constants.js: page globals in the browser, a module under Node
+const constantsModule = typeof module === 'object' && module.exports
+    ? require('./constants.js')
+    : { CONSTANT_PROFILES, DISPLAY_UNITS };
+
+// mulberry32 generator. Its whole state is one 32-bit integer, so a stream can be saved with a
+// session and resumed exactly where it left off
+class RandomStream {
+    constructor(state) {
+        this.state = state >>> 0;
+    }
+
+    next() {
+        // Uniform in [0, 1)
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+}
+
+class PhotoelectricCore {
+    constructor(options = {}) {
+        // Working copy of the selected profile from constants.js (see setConstantsProfile)
+        this.constants = { ...constantsModule.CONSTANT_PROFILES.codata };
+
+        // Laboratory filter specifications (exact from manual); frequency and photon energy
+        // follow from the wavelength through getPhotonData().
+        // Passbands are flat-topped (super-Gaussian) curves of the given FWHM; out-of-band
+        // leakage is set separately through state.filterLeakage. Behind a filter the cell sees the
+        // lamp's own lines, so readings are taken at the effective wavelength (getFilterEffectiveWavelength)
+        this.filters = {
+            blue: { wavelength: 438, color: '#4169E1', bandwidth: 30, peakTransmission: 0.70 },
+            green: { wavelength: 565, color: '#00FF00', bandwidth: 40, peakTransmission: 0.75 },
+            yellow: { wavelength: 578, color: '#FFFF00', bandwidth: 20, peakTransmission: 0.80 },
+            orange: { wavelength: 598, color: '#FFA500', bandwidth: 12, peakTransmission: 0.80 }
+        };
+
+        // Light sources: discrete emission lines (relative photon flux, strongest = 1) and/or a
+        // continuum whose peak spectral density (photon flux per nm) is peakDensity
+        this.lightSources = {
+            mercury: {
+                name: 'Mercury Lamp', symbol: 'Hg',
+                // High-pressure mercury arc in a glass envelope (lines below ~290 nm absorbed)
+                lines: [
+                    { wavelength: 296.7, flux: 0.05 }, { wavelength: 302.2, flux: 0.08 },
+                    { wavelength: 312.6, flux: 0.30 }, { wavelength: 334.1, flux: 0.05 },
+                    { wavelength: 365.0, flux: 0.80 }, { wavelength: 404.7, flux: 0.40 },
+                    { wavelength: 407.8, flux: 0.05 }, { wavelength: 435.8, flux: 1.00 },
+                    { wavelength: 491.6, flux: 0.02 }, { wavelength: 546.1, flux: 0.90 },
+                    { wavelength: 577.0, flux: 0.35 }, { wavelength: 579.1, flux: 0.40 },
+                    { wavelength: 623.4, flux: 0.03 }, { wavelength: 690.7, flux: 0.02 }
+                ],
+                dynamics: { coldOutput: 0.15, warmUp: 45, flicker: { amplitude: 0.25, decay: 3, period: 1.6 }, drift: 0.012 }
+            },
+            sodium: {
+                name: 'Sodium Lamp', symbol: 'Na',
+                lines: [
+                    { wavelength: 330.3, flux: 0.005 }, { wavelength: 498.3, flux: 0.01 },
+                    { wavelength: 568.8, flux: 0.03 }, { wavelength: 589.0, flux: 1.00 },
+                    { wavelength: 589.6, flux: 0.50 }, { wavelength: 818.3, flux: 0.15 },
+                    { wavelength: 819.5, flux: 0.30 }
+                ],
+                dynamics: { coldOutput: 0.05, warmUp: 90, flicker: { amplitude: 0.15, decay: 4, period: 2.5 }, drift: 0.008 }
+            },
+            led: {
+                name: 'White LED', symbol: 'LED',
+                // Blue InGaN pump plus broad phosphor emission
+                continuum: {
+                    type: 'gaussians',
+                    peakDensity: 0.1,
+                    peaks: [{ center: 450, fwhm: 20, weight: 0.6 }, { center: 560, fwhm: 110, weight: 1.0 }]
+                },
+                // Output falls a few percent as the junction heats up
+                dynamics: { coldOutput: 1.06, warmUp: 20, flicker: { amplitude: 0.04, decay: 0.3, period: 0.2 }, drift: 0.002 }
+            },
+            tungsten: {
+                name: 'Tungsten Lamp', symbol: 'W',
+                // Blackbody at the filament temperature, cut off below ~310 nm by the glass bulb
+                continuum: { type: 'blackbody', peakDensity: 0.2, temperature: 2850, glassCutoff: 310 },
+                dynamics: { coldOutput: 0, warmUp: 0.4, flicker: null, drift: 0.004 }
+            },
+            flat: {
+                name: 'Ideal Continuum', symbol: '∞',
+                continuum: { type: 'flat', peakDensity: 0.05 },
+                dynamics: { coldOutput: 1, warmUp: 0, flicker: null, drift: 0 }
+            }
+        };
+
+        // Time-resolved mode: lamp output after switch-on, relative to the settled output, is
+        // warm(t)·(1 + flicker(t) + drift(t)) with warm(t) = 1 − (1 − coldOutput)·e^(−t/warmUp),
+        // a damped ignition flicker and a slow drift built from these periods (s) and weights
+        this.lampDrift = { periods: [97, 263, 611], weights: [0.5, 0.3, 0.2] };
+
+        // Wavelength grid used to integrate continuum spectra through filters (nm)
+        this.spectrumRange = { min: 150, max: 1100, step: 1 };
+
+        // Monochromator tuning limits, deep UV to near IR (nm)
+        this.wavelengthLimits = { min: 150, max: 1100 };
+
+        // Photocathode materials database (editable through the material manager).
+        // hidden: work function is concealed from students for unknown-metal exercises.
+        // quantumEfficiency: electrons per absorbed photon, either the built-in Fowler-type rise
+        // QE = peak·u²/(u² + width²) with u = hν − φ, or a table of { wavelength (nm), efficiency } points
+        this.defaultMaterials = [
+            { id: "cs", name: "Cesium", symbol: "Cs", workFunction: 2.10, workFunctionUncertainty: 0.05, color: "#FF6B6B", hidden: false,
+                quantumEfficiency: { type: 'fowler', peak: 0.20, width: 0.5 } },
+            { id: "na", name: "Sodium", symbol: "Na", workFunction: 2.28, workFunctionUncertainty: 0.05, color: "#4ECDC4", hidden: false,
+                quantumEfficiency: { type: 'fowler', peak: 0.10, width: 0.5 } },
+            { id: "k", name: "Potassium", symbol: "K", workFunction: 2.30, workFunctionUncertainty: 0.05, color: "#45B7D1", hidden: false,
+                quantumEfficiency: { type: 'fowler', peak: 0.12, width: 0.5 } },
+            { id: "al", name: "Aluminum", symbol: "Al", workFunction: 4.08, workFunctionUncertainty: 0.10, color: "#96CEB4", hidden: false,
+                quantumEfficiency: { type: 'fowler', peak: 0.05, width: 1.0 } },
+            { id: "cu", name: "Copper", symbol: "Cu", workFunction: 4.70, workFunctionUncertainty: 0.10, color: "#FFEAA7", hidden: false,
+                quantumEfficiency: { type: 'fowler', peak: 0.02, width: 1.0 } },
+            { id: "ag", name: "Silver", symbol: "Ag", workFunction: 4.73, workFunctionUncertainty: 0.10, color: "#DDA0DD", hidden: false,
+                quantumEfficiency: { type: 'fowler', peak: 0.03, width: 1.0 } },
+            { id: "au", name: "Gold", symbol: "Au", workFunction: 5.10, workFunctionUncertainty: 0.10, color: "#FFD700", hidden: false,
+                quantumEfficiency: { type: 'fowler', peak: 0.02, width: 1.0 } }
+        ];
+        this.defaultQuantumEfficiency = { type: 'fowler', peak: 0.10, width: 0.5 };
+        this.materials = this.defaultMaterials.map(material => ({ ...material }));
+
+        // Photocell and lamp characteristics used by the realistic current model
+        this.apparatus = {
+            referencePhotonFlux: 1e15,        // photons/s on the cathode per unit relative source flux, full intensity at reference distance
+            referenceDistance: 20,            // cm
+            contactPotential: 0.10,           // V, of the tube's standard collector (realistic model)
+            edgeWidth: 0.03,                  // V, thermal broadening of the electron energy edge
+            perveance: 40,                    // μA/V^1.5, space-charge (Child-Langmuir) limit
+            anodeCurrentFraction: 0.005,      // collector photoemission from stray light
+            anodeTurnOff: 0.2,                // V, energy spread of collector photoelectrons
+            leakageResistance: 1000           // MΩ, dark leakage across the tube base
+        };
+
+        // Measuring instruments (micro-ammeter and voltmeter)
+        this.instrument = {
+            samplesPerPoint: 1000,
+            gaussianNoise: 0.005,        // μA rms amplifier noise per sample
+            shotNoise: true,             // Poisson statistics of the photoelectron count
+            integrationTime: 1e-3,       // s per sample, sets the shot-noise bandwidth
+            ammeterRange: 200,           // μA full scale, readings beyond it clip
+            ammeterResolution: 0.001,    // μA per display digit
+            offsetDrift: 0.0002,         // μA rms random walk of the zero offset per point
+            voltmeterResolution: 0.01    // V per display digit
+        };
+
+        // Auto-sweep protocol (edited through the sweep dialog)
+        this.sweepConfig = {
+            start: 2.0,             // V
+            stop: -3.0,             // V
+            step: 0.2,              // V
+            adaptive: false,        // refine the step around the cutoff after the first pass
+            fineStep: 0.02,         // V
+            direction: 'down',      // 'down', 'up' or 'hysteresis' (down then up)
+            dwell: 100,             // ms settling time before each reading
+            passes: 1               // repeated passes averaged per voltage
+        };
+
+        // Photocurrent models
+        this.currentModels = {
+            realistic: 'Realistic photocell',
+            ideal: 'Ideal (linear cutoff)'
+        };
+
+        // Stopping potential extraction methods (applied to measured I-V data)
+        this.extractionMethods = {
+            'zero-crossing': 'Zero-crossing',
+            'tangent': 'Tangent intersection',
+            'retarding-fit': 'Retarding-region fit'
+        };
+
+        // Apparatus settings and quantities the physics depends on
+        this.state = {
+            currentMaterial: this.materials[0],
+            collectorMaterial: null,     // anode surface; null for the tube's standard collector
+            currentFilter: 'blue',
+            lightSource: 'mercury',
+            filterLeakage: 0,            // out-of-band transmission floor of the colour filters
+            monochromatorWavelength: 438,
+            monochromatorBandwidth: 2,   // nm FWHM of the (triangular) slit function
+            voltage: 0,
+            intensity: 100,          // % of full lamp output
+            distance: 20,            // cm, lamp to photocell
+            currentModel: 'realistic',
+            measurementCount: 0,
+            ammeterOffset: 0,
+            extractionMethod: 'zero-crossing',
+            fitGroup: null,              // { material, collector } the Planck fit uses; null follows the current setup
+            constantsProfile: 'codata',
+            displayUnits: { energy: 'eV', frequency: 'hz14', wavelength: 'nm' },
+            seed: null,
+            timeResolved: false,     // lamp output follows warm-up, flicker and drift in time
+            time: 0,                 // s, simulation clock advanced by advanceTime()
+            lampOnAt: null,          // clock time the lamp was switched on, null while off
+            lampDriftPhases: []      // drawn at switch-on from the lamp stream
+        };
+
+        // Independent random streams derived from one seed: instrument noise, the purely cosmetic
+        // particle animation and the lamp drift and data logger, none of which may shift the
+        // measurement sequence
+        this.randomStreams = {};
+        this.setSeed(options.seed === undefined ? this.createSeed() : options.seed);
+
+        // Data storage. experimentData is the record everything else is derived from: readings
+        // carry an id and an `excluded` flag, and rebuildFrequencyData() recomputes V_s from them
+        this.experimentData = [];           // every acquired measurement with its conditions
+        this.frequencyData = [];            // V_s per material, collector and wavelength, frequency in 10^14 Hz
+        this.nextMeasurementId = 1;
+        this.timeSeries = [];               // data logger samples of current against time
+
+        // Latest weighted fit of V_s against frequency
+        this.planckFit = null;
+    }
+
+    // Programmatic control. Setters validate their input and throw on anything the
+    // apparatus cannot do; the UI keeps its controls within range instead
+
+    setMaterial(idOrName) {
+        const material = this.materials.find(m => m.id === idOrName || m.name === idOrName || m.symbol === idOrName);
+        if (!material) throw new Error(`Unknown photocathode material: ${idOrName}`);
+        this.state.currentMaterial = material;
+        return material;
+    }
+
+    setCollector(idOrName) {
+        // Anode surface material, or null for the tube's standard collector
+        if (idOrName === null) {
+            this.state.collectorMaterial = null;
+            return null;
+        }
+        const material = this.materials.find(m => !m.hidden && (m.id === idOrName || m.name === idOrName || m.symbol === idOrName));
+        if (!material) throw new Error(`Unknown collector material: ${idOrName}`);
+        this.state.collectorMaterial = material;
+        return material;
+    }
+
+    getCollectorWorkFunction() {
+        const collector = this.state.collectorMaterial;
+        if (collector) return collector.workFunction;
+        // The standard collector sits apparatus.contactPotential above the photocathode; the ideal
+        // model, as the textbook reference, leaves it out
+        const offset = this.state.currentModel === 'ideal' ? 0 : this.apparatus.contactPotential;
+        return this.state.currentMaterial.workFunction + offset;
+    }
+
+    getContactPotential() {
+        // V, collector minus emitter work function: the junction through the external circuit adds it
+        // to the retarding field, so the applied voltage that stops the fastest electrons is
+        // −(hf − φ_collector)/e whatever the emitter
+        return this.getCollectorWorkFunction() - this.state.currentMaterial.workFunction;
+    }
+
+    setFitGroup(group) {
+        // Material and collector whose V_s the Planck fit uses, or null for the current setup
+        this.state.fitGroup = group ? { material: group.material, collector: group.collector === undefined ? null : group.collector } : null;
+        this.fitPlanck();
+        return this.state.fitGroup;
+    }
+
+    getCurrentGroup() {
+        // Material and collector new readings are recorded under
+        return {
+            material: this.state.currentMaterial.name,
+            collector: this.state.collectorMaterial ? this.state.collectorMaterial.name : null
+        };
+    }
+
+    getFitGroup() {
+        return this.state.fitGroup || this.getCurrentGroup();
+    }
+
+    findStoppingPotential(group, wavelength) {
+        // V_s entry of one material and collector at a wavelength (within 1 nm), if measured
+        return this.frequencyData.find(d => d.material === group.material && d.collector === group.collector &&
+            Math.abs(d.wavelength - wavelength) < 1);
+    }
+
+    getFitData() {
+        // Resolved V_s of the fit group: each material and collector has its own line, so they are never pooled
+        const group = this.getFitGroup();
+        return this.frequencyData.filter(d => d.stoppingPotential !== null &&
+            d.material === group.material && d.collector === group.collector);
+    }
+
+    getFrequencyGroups() {
+        // Distinct material and collector pairs with V_s, in the order they were first measured
+        const groups = [];
+        this.frequencyData.forEach(d => {
+            if (!groups.some(g => g.material === d.material && g.collector === d.collector)) {
+                groups.push({ material: d.material, collector: d.collector });
+            }
+        });
+        return groups;
+    }
+
+    setLightSource(name) {
+        if (!this.lightSources[name]) throw new Error(`Unknown light source: ${name}`);
+        this.state.lightSource = name;
+    }
+
+    setFilter(name) {
+        if (!this.filters[name] && name !== 'monochromator') throw new Error(`Unknown filter: ${name}`);
+        this.state.currentFilter = name;
+    }
+
+    setWavelength(wavelength) {
+        // Tunes the monochromator and puts it in the beam
+        const limits = this.wavelengthLimits;
+        if (!(wavelength >= limits.min && wavelength <= limits.max)) {
+            throw new Error(`Wavelength must lie within ${limits.min}-${limits.max} nm`);
+        }
+        this.state.currentFilter = 'monochromator';
+        this.state.monochromatorWavelength = wavelength;
+    }
+
+    setVoltage(voltage) {
+        if (!isFinite(voltage)) throw new Error(`Invalid voltage: ${voltage}`);
+        this.state.voltage = voltage;
+    }
+
+    setIntensity(percent) {
+        if (!(percent >= 0 && percent <= 100)) throw new Error('Intensity must lie within 0-100%');
+        this.state.intensity = percent;
+    }
+
+    setDistance(distance) {
+        if (!(distance > 0)) throw new Error('Distance must be positive');
+        this.state.distance = distance;
+    }
+
+    setSeed(seed) {
+        // Restarts every stream from the start of its sequence, along with the state drawn from them:
+        // the ammeter's wandering zero, and the drift phases of a lamp that is already on (drawn as if
+        // it had just been switched on)
+        const text = String(seed).trim();
+        if (!text) throw new Error('Random seed cannot be empty');
+        this.state.seed = text;
+        this.randomStreams = {
+            measurement: new RandomStream(this.hashSeed(`${text}/measurement`)),
+            animation: new RandomStream(this.hashSeed(`${text}/animation`)),
+            lamp: new RandomStream(this.hashSeed(`${text}/lamp`)),
+            logger: new RandomStream(this.hashSeed(`${text}/logger`))
+        };
+        this.state.ammeterOffset = 0;
+        if (this.state.lampOnAt !== null) {
+            this.state.lampDriftPhases = this.lampDrift.periods.map(() => 2 * Math.PI * this.random('lamp'));
+        }
+        return text;
+    }
+
+    createSeed() {
+        // Only a fresh seed comes from Math.random; everything drawn after it is reproducible
+        return Math.random().toString(36).slice(2, 8).toUpperCase();
+    }
+
+    hashSeed(seed) {
+        // FNV-1a: the same seed text always gives the same 32-bit value
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < seed.length; i++) {
+            hash ^= seed.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash;
+    }
+
+    random(stream = 'measurement') {
+        return this.randomStreams[stream].next();
+    }
+
+    getRandomState() {
+        // Position of every stream, for saving alongside the seed
+        return Object.fromEntries(Object.entries(this.randomStreams).map(([name, stream]) => [name, stream.state]));
+    }
+
+    setRandomState(positions) {
+        Object.entries(positions).forEach(([name, state]) => {
+            if (!this.randomStreams[name]) throw new Error(`Unknown random stream: ${name}`);
+            this.randomStreams[name].state = state >>> 0;
+        });
+    }
+
+    setConstantsProfile(name) {
+        if (!constantsModule.CONSTANT_PROFILES[name]) throw new Error(`Unknown constants profile: ${name}`);
+        this.state.constantsProfile = name;
+        Object.assign(this.constants, constantsModule.CONSTANT_PROFILES[name]);
+
+        // Cached quantities that depend on the constants
+        Object.values(this.lightSources).forEach(source => {
+            if (source.continuum) delete source.continuum.normalization;
+        });
+        this.transmittedSpectrumCache = null;
+        this.effectiveWavelengthCache = null;
+        if (this.planckFit) this.fitPlanck();
+    }
+
+    setTimeResolved(enabled) {
+        // A lamp already running when the mode is switched on is taken as warmed up
+        this.state.timeResolved = enabled;
+        if (enabled && this.state.lampOnAt !== null) {
+            this.state.lampOnAt = this.state.time - 20 * this.getLampDynamics().warmUp;
+        }
+    }
+
+    switchLamp(on) {
+        const state = this.state;
+        if (on === (state.lampOnAt !== null)) return;
+        state.lampOnAt = on ? state.time : null;
+        if (on) state.lampDriftPhases = this.lampDrift.periods.map(() => 2 * Math.PI * this.random('lamp'));
+    }
+
+    advanceTime(seconds) {
+        if (!(seconds >= 0)) throw new Error('Time can only move forward');
+        this.state.time += seconds;
+    }
+
+    getLampDynamics() {
+        return this.lightSources[this.state.lightSource].dynamics;
+    }
+
+    getLampOutput(time = this.state.time) {
+        // Output relative to the settled lamp; always 1 outside time-resolved mode
+        const state = this.state;
+        if (!state.timeResolved) return 1;
+        if (state.lampOnAt === null) return 0;
+
+        const t = Math.max(0, time - state.lampOnAt);
+        const { coldOutput, warmUp, flicker, drift } = this.getLampDynamics();
+        const warm = warmUp > 0 ? 1 - (1 - coldOutput) * Math.exp(-t / warmUp) : 1;
+        const ignition = flicker
+            ? flicker.amplitude * Math.exp(-t / flicker.decay) * Math.cos(2 * Math.PI * t / flicker.period)
+            : 0;
+        const { periods, weights } = this.lampDrift;
+        const wander = drift * periods.reduce((sum, period, i) =>
+            sum + weights[i] * Math.sin(2 * Math.PI * t / period + (state.lampDriftPhases[i] || 0)), 0);
+        return Math.max(0, warm * (1 + ignition + wander));
+    }
+
+    getLampStatus(time = this.state.time) {
+        // 'off', 'warming' until within 1% of the settled output, then 'stable'
+        const state = this.state;
+        if (state.lampOnAt === null) return 'off';
+        if (!state.timeResolved) return 'stable';
+        const { coldOutput, warmUp } = this.getLampDynamics();
+        const settleTime = warmUp * Math.log(Math.max(1, Math.abs(1 - coldOutput) / 0.01));
+        return time - state.lampOnAt < settleTime ? 'warming' : 'stable';
+    }
+
+    readTimeSample() {
+        // One ammeter reading at the present clock time for the data logger, drawn from its own
+        // stream so logging leaves the I-V reading sequence untouched
+        const physics = this.calculatePhysics();
+        const state = this.state;
+        return {
+            time: state.time,
+            lampTime: state.lampOnAt === null ? null : state.time - state.lampOnAt,
+            voltage: this.readVoltmeter(state.voltage),
+            current: this.sampleAmmeter(physics.current, 'logger'),
+            lampOutput: physics.lampOutput,
+            wavelength: physics.wavelength
+        };
+    }
+
+    getPhotonData(wavelength) {
+        // Frequency (Hz) and photon energy (eV) always follow from the wavelength (nm)
+        const frequency = this.constants.speedOfLight / (wavelength * 1e-9);
+        return { wavelength, frequency, energy: this.constants.planckConstant * frequency };
+    }
+
+    getCurrentWavelengthData() {
+        if (this.state.currentFilter === 'monochromator') {
+            return this.getPhotonData(this.state.monochromatorWavelength);
+        }
+        return this.getPhotonData(this.getFilterEffectiveWavelength(this.state.currentFilter, this.state.lightSource));
+    }
+
+    getFilterEffectiveWavelength(filterName, lightSourceName) {
+        // The shortest wavelength the passband transmits with at least 1% of the strongest component's
+        // flux: it sets the cutoff, so V_s belongs there rather than at the nominal centre (a mercury
+        // lamp behind the green filter emits at 546.1 nm). Light through the leakage floor is left out,
+        // since the error it causes is what the leakage setting demonstrates
+        const key = `${filterName}|${lightSourceName}`;
+        this.effectiveWavelengthCache = this.effectiveWavelengthCache || {};
+        if (this.effectiveWavelengthCache[key] !== undefined) return this.effectiveWavelengthCache[key];
+
+        const source = this.lightSources[lightSourceName];
+        const components = (source.lines || []).map(line => ({
+            wavelength: line.wavelength,
+            flux: line.flux * this.getFilterPassband(filterName, line.wavelength)
+        }));
+        if (source.continuum) {
+            const { min, max, step } = this.spectrumRange;
+            for (let wavelength = min; wavelength <= max; wavelength += step) {
+                components.push({ wavelength, flux: this.getContinuumDensity(source, wavelength) * this.getFilterPassband(filterName, wavelength) * step });
+            }
+        }
+        const strongest = components.reduce((max, c) => Math.max(max, c.flux), 0);
+        const transmitted = components.filter(c => strongest > 0 && c.flux >= 0.01 * strongest);
+        const wavelength = transmitted.length > 0
+            ? Math.min(...transmitted.map(c => c.wavelength))
+            : this.filters[filterName].wavelength;
+        this.effectiveWavelengthCache[key] = wavelength;
+        return wavelength;
+    }
+
+    calculatePhysics() {
+        const wavelengthData = this.getCurrentWavelengthData();
+        const workFunction = this.state.currentMaterial.workFunction;
+        
+        // Einstein's equation at the (effective) wavelength: E = hf = φ + KEmax
+        const photonEnergy = wavelengthData.energy;
+        const maxKineticEnergy = Math.max(0, photonEnergy - workFunction);
+        const stoppingPotential = maxKineticEnergy; // in volts (since KE in eV)
+        
+        // Threshold calculations
+        const thresholdFrequency = workFunction / this.constants.planckConstant;
+        const thresholdWavelength = this.constants.speedOfLight / thresholdFrequency * 1e9; // nm
+        
+        // The cell sees the whole transmitted spectrum: every component above threshold
+        // emits with its own stopping potential, so leaked short-wavelength light raises the cutoff
+        const relativeFlux = this.calculateRelativeFlux();
+        const components = [];
+        this.getTransmittedSpectrum().forEach(component => {
+            const energy = this.constants.planckConstant * this.constants.speedOfLight / (component.wavelength * 1e-9);
+            if (energy <= workFunction) return;
+            // I_sat = photon flux × QE × e (μA)
+            const photonFlux = this.apparatus.referencePhotonFlux * relativeFlux * component.flux;
+            const efficiency = this.getQuantumEfficiency(this.state.currentMaterial, component.wavelength);
+            components.push({
+                energy,
+                stoppingPotential: energy - workFunction,
+                saturationCurrent: photonFlux * efficiency * this.constants.elementaryCharge * 1e6
+            });
+        });
+        const saturationCurrent = components.reduce((sum, c) => sum + c.saturationCurrent, 0);
+        // Emission counts once it would register on the ammeter
+        const isEmission = saturationCurrent >= this.instrument.ammeterResolution;
+        // Potential difference the electrons actually cross between the two surfaces
+        const contactPotential = this.getContactPotential();
+        const effectiveVoltage = this.state.voltage - contactPotential;
+
+        const current = this.state.currentModel === 'ideal'
+            ? this.calculateIdealCurrent(effectiveVoltage, components)
+            : this.calculateRealisticCurrent(effectiveVoltage, components);
+
+        return {
+            wavelength: wavelengthData.wavelength,
+            frequency: wavelengthData.frequency,
+            photonEnergy,
+            workFunction,
+            maxKineticEnergy,
+            stoppingPotential,
+            thresholdFrequency,
+            thresholdWavelength,
+            current,
+            isEmission,
+            saturationCurrent,
+            relativeFlux,
+            lampOutput: this.getLampOutput(),
+            collectorWorkFunction: this.getCollectorWorkFunction(),
+            contactPotential,
+            effectiveVoltage
+        };
+    }
+
+    getQuantumEfficiency(material, wavelength) {
+        const energy = this.constants.planckConstant * this.constants.speedOfLight / (wavelength * 1e-9);
+        const excess = energy - material.workFunction;
+        if (excess <= 0) return 0;
+
+        const qe = material.quantumEfficiency;
+        if (qe.type === 'table') {
+            // Linear interpolation between tabulated points, zero outside the measured range
+            const points = qe.points;
+            if (wavelength < points[0].wavelength || wavelength > points[points.length - 1].wavelength) return 0;
+            const upper = points.findIndex(p => p.wavelength >= wavelength);
+            if (points[upper].wavelength === wavelength) return points[upper].efficiency;
+            const a = points[upper - 1];
+            const b = points[upper];
+            return a.efficiency + (b.efficiency - a.efficiency) * (wavelength - a.wavelength) / (b.wavelength - a.wavelength);
+        }
+        // Fowler-type rise from threshold, levelling off at the peak efficiency
+        return qe.peak * excess * excess / (excess * excess + qe.width * qe.width);
+    }
+
+    getTransmittedSpectrum() {
+        // Relative photon flux reaching the cathode, as discrete { wavelength, flux } components.
+        // Recomputed only when the optical path changes
+        const state = this.state;
+        const key = [state.lightSource, state.currentFilter, state.monochromatorWavelength,
+            state.monochromatorBandwidth, state.filterLeakage].join('|');
+        if (this.transmittedSpectrumCache && this.transmittedSpectrumCache.key === key) {
+            return this.transmittedSpectrumCache.components;
+        }
+
+        const source = this.lightSources[state.lightSource];
+        const lines = source.lines || [];
+        const components = [];
+
+        if (state.currentFilter === 'monochromator') {
+            // Ideal monochromator: triangular slit function, no stray light
+            const center = state.monochromatorWavelength;
+            const bandwidth = state.monochromatorBandwidth;
+            lines.forEach(line => {
+                const weight = 1 - Math.abs(line.wavelength - center) / bandwidth;
+                if (weight > 0) components.push({ wavelength: line.wavelength, flux: line.flux * weight });
+            });
+            if (source.continuum) {
+                // The slit function integrates to the bandwidth
+                components.push({ wavelength: center, flux: this.getContinuumDensity(source, center) * bandwidth });
+            }
+        } else {
+            lines.forEach(line => {
+                components.push({ wavelength: line.wavelength, flux: line.flux * this.getFilterTransmission(state.currentFilter, line.wavelength) });
+            });
+            if (source.continuum) {
+                const { min, max, step } = this.spectrumRange;
+                for (let wavelength = min; wavelength <= max; wavelength += step) {
+                    const flux = this.getContinuumDensity(source, wavelength) * this.getFilterTransmission(state.currentFilter, wavelength) * step;
+                    if (flux > 0) components.push({ wavelength, flux });
+                }
+            }
+        }
+
+        this.transmittedSpectrumCache = { key, components };
+        return components;
+    }
+
+    getFilterTransmission(filterName, wavelength) {
+        // Passband on a leakage floor
+        return Math.max(this.getFilterPassband(filterName, wavelength), this.state.filterLeakage);
+    }
+
+    getFilterPassband(filterName, wavelength) {
+        const filter = this.filters[filterName];
+        // Flat-topped passband (4th-order super-Gaussian, T = peak/2 at ±FWHM/2)
+        const x = 2 * (wavelength - filter.wavelength) / filter.bandwidth;
+        return filter.peakTransmission * Math.exp(-Math.LN2 * Math.pow(x, 4));
+    }
+
+    getContinuumDensity(source, wavelength) {
+        // Spectral photon flux density (per nm), scaled so the maximum over the grid is peakDensity
+        const continuum = source.continuum;
+        if (continuum.normalization === undefined) {
+            const { min, max, step } = this.spectrumRange;
+            let peak = 0;
+            for (let w = min; w <= max; w += step) peak = Math.max(peak, this.getContinuumShape(continuum, w));
+            continuum.normalization = peak > 0 ? continuum.peakDensity / peak : 0;
+        }
+        return this.getContinuumShape(continuum, wavelength) * continuum.normalization;
+    }
+
+    getContinuumShape(continuum, wavelength) {
+        switch (continuum.type) {
+            case 'flat':
+                return 1;
+            case 'gaussians':
+                return continuum.peaks.reduce((sum, peak) => {
+                    const sigma = peak.fwhm / (2 * Math.sqrt(2 * Math.LN2));
+                    return sum + peak.weight * Math.exp(-0.5 * Math.pow((wavelength - peak.center) / sigma, 2));
+                }, 0);
+            case 'blackbody': {
+                // Planck's law in photon units: n(λ) ∝ λ⁻⁴ / (exp(hc/λkT) − 1), times the glass transmission
+                const photonEnergy = this.getPhotonData(wavelength).energy;
+                const planck = Math.pow(wavelength, -4) / Math.expm1(photonEnergy / (this.constants.boltzmannConstant * continuum.temperature));
+                const glass = 1 / (1 + Math.exp((continuum.glassCutoff - wavelength) / 8));
+                return planck * glass;
+            }
+            default:
+                return 0;
+        }
+    }
+
+    calculateRelativeFlux() {
+        // Photon flux at the cathode relative to full intensity at the reference distance (inverse square law)
+        const distanceRatio = this.apparatus.referenceDistance / this.state.distance;
+        return (this.state.intensity / 100) * distanceRatio * distanceRatio * this.getLampOutput();
+    }
+
+    calculateIdealCurrent(voltage, components) {
+        // Sum of the linear retarding characteristics of each spectral component
+        return components.reduce((sum, { stoppingPotential, saturationCurrent }) => {
+            if (voltage < -stoppingPotential) return sum;
+            if (voltage >= 0) {
+                // Forward bias - saturation region
+                return sum + saturationCurrent;
+            }
+            // Reverse bias - retarding potential
+            return sum + saturationCurrent * (voltage + stoppingPotential) / stoppingPotential;
+        }, 0);
+    }
+
+    calculateRealisticCurrent(voltage, components) {
+        const p = this.apparatus;
+
+        // Ohmic leakage across the tube base (μA = V / MΩ), independent of illumination
+        const leakageCurrent = voltage / p.leakageResistance;
+        if (components.length === 0) return leakageCurrent;
+
+        // Energy margin above the retarding barrier, thermally smeared over edgeWidth (softplus)
+        const smoothMarginFor = stoppingPotential => {
+            const margin = voltage + stoppingPotential;
+            return margin / p.edgeWidth > 30
+                ? margin
+                : p.edgeWidth * Math.log1p(Math.exp(margin / p.edgeWidth));
+        };
+
+        // Planar electrode geometry: fraction of electrons whose normal energy clears the barrier
+        let saturationCurrent = 0;
+        let emissionLimited = 0;
+        let maxStoppingPotential = 0;
+        components.forEach(c => {
+            saturationCurrent += c.saturationCurrent;
+            emissionLimited += c.saturationCurrent * Math.min(1, Math.pow(smoothMarginFor(c.stoppingPotential) / c.stoppingPotential, 2));
+            maxStoppingPotential = Math.max(maxStoppingPotential, c.stoppingPotential);
+        });
+        if (emissionLimited === 0) return leakageCurrent;
+
+        // Space charge limits the forward-bias rise; combine the two limits with a smooth minimum
+        const spaceChargeLimited = p.perveance * Math.pow(smoothMarginFor(maxStoppingPotential), 1.5);
+        const photocurrent = Math.pow(Math.pow(emissionLimited, -4) + Math.pow(spaceChargeLimited, -4), -0.25);
+
+        // Collector photoemission from stray light (above a chosen collector's threshold), swept back to
+        // the emitter under reverse bias
+        const collectorWorkFunction = this.state.collectorMaterial ? this.state.collectorMaterial.workFunction : 0;
+        const collectorSaturation = components.reduce((sum, c) => c.energy > collectorWorkFunction ? sum + c.saturationCurrent : sum, 0);
+        const anodeCurrent = -p.anodeCurrentFraction * collectorSaturation / (1 + Math.exp(voltage / p.anodeTurnOff));
+
+        return photocurrent + anodeCurrent + leakageCurrent;
+    }
+
+    measure() {
+        // One ammeter reading of samplesPerPoint samples at the present settings, recorded in experimentData
+        const physics = this.calculatePhysics();
+        const numMeasurements = this.instrument.samplesPerPoint;
+        const measurements = [];
+
+        // Zero offset of the ammeter wanders between points, and the lamp output flickers by ~0.1%
+        this.state.ammeterOffset += this.gaussianRandom() * this.instrument.offsetDrift;
+        const current = physics.current * (1 + (this.random() - 0.5) * 0.001);
+
+        for (let i = 0; i < numMeasurements; i++) {
+            measurements.push(this.sampleAmmeter(current));
+        }
+        const voltageReading = this.readVoltmeter(this.state.voltage);
+        const overRange = Math.abs(physics.current + this.state.ammeterOffset) > this.instrument.ammeterRange;
+
+        // Calculate statistics (sample variance)
+        const mean = measurements.reduce((a, b) => a + b, 0) / numMeasurements;
+        const variance = measurements.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / (numMeasurements - 1);
+        const standardDeviation = Math.sqrt(variance);
+        const standardError = standardDeviation / Math.sqrt(numMeasurements);
+
+        // Store measurement with the full set of conditions it was taken under
+        const measurement = {
+            id: this.nextMeasurementId++,
+            excluded: false,
+            voltage: voltageReading,
+            appliedVoltage: this.state.voltage,
+            current: mean,
+            standardError: standardError,
+            standardDeviation: standardDeviation,
+            measurements: numMeasurements,
+            overRange: overRange,
+            material: this.state.currentMaterial.name,
+            collector: this.state.collectorMaterial ? this.state.collectorMaterial.name : null,
+            workFunction: physics.workFunction,
+            workFunctionHidden: this.state.currentMaterial.hidden,
+            wavelength: physics.wavelength,
+            frequency: physics.frequency,
+            photonEnergy: physics.photonEnergy,
+            stoppingPotential: physics.stoppingPotential,
+            emission: physics.isEmission,
+            filter: this.state.currentFilter,
+            lightSource: this.state.lightSource,
+            intensity: this.state.intensity,
+            distance: this.state.distance,
+            currentModel: this.state.currentModel,
+            timestamp: new Date()
+        };
+
+        this.experimentData.push(measurement);
+        this.state.measurementCount++;
+        return { measurement, physics };
+    }
+
+    sampleAmmeter(current, stream = 'measurement') {
+        const instrument = this.instrument;
+        let reading = current + this.state.ammeterOffset + this.gaussianRandom(stream) * instrument.gaussianNoise;
+        if (instrument.shotNoise) {
+            reading += this.gaussianRandom(stream) * this.calculateShotNoise(current);
+        }
+
+        // Display quantisation, then clipping at full scale
+        reading = Math.round(reading / instrument.ammeterResolution) * instrument.ammeterResolution;
+        return Math.max(-instrument.ammeterRange, Math.min(instrument.ammeterRange, reading));
+    }
+
+    calculateShotNoise(current) {
+        // σ = √(2eIΔf) with Δf = 1/(2τ); current in μA
+        const bandwidth = 1 / (2 * this.instrument.integrationTime);
+        const currentAmps = Math.abs(current) * 1e-6;
+        return Math.sqrt(2 * this.constants.elementaryCharge * currentAmps * bandwidth) * 1e6;
+    }
+
+    readVoltmeter(voltage) {
+        const resolution = this.instrument.voltmeterResolution;
+        return this.roundVoltage(Math.round(voltage / resolution) * resolution);
+    }
+
+    gaussianRandom(stream = 'measurement') {
+        // Box-Muller transform
+        const u = 1 - this.random(stream);
+        const v = this.random(stream);
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    roundVoltage(voltage) {
+        return Math.round(voltage * 1e6) / 1e6;
+    }
+
+    sweep(config = this.sweepConfig) {
+        // Synchronous I-V sweep at the present settings (no dwell): measures the schedule, refines
+        // around the cutoff when asked, extracts V_s and returns { points, stoppingPotential }
+        const settings = { ...this.sweepConfig, ...config };
+        const physics = this.calculatePhysics();
+        const points = [];
+        const sweepId = this.nextSweepId();
+        let schedule = this.buildSweepSchedule(settings);
+        for (let pass = 1; pass <= settings.passes; pass++) {
+            schedule.forEach(step => this.measureSweepStep(points, step, physics, sweepId));
+            if (pass === 1 && settings.adaptive) {
+                const refinement = this.buildRefinementSchedule({ points }, settings);
+                refinement.forEach(step => this.measureSweepStep(points, step, physics, sweepId));
+                schedule = this.sortInSweepOrder([...schedule, ...refinement], step => step.voltage);
+            }
+        }
+        this.rebuildFrequencyData();
+        const stoppingPotential = this.findStoppingPotential(this.getCurrentGroup(), physics.wavelength);
+        return { points, stoppingPotential: stoppingPotential && stoppingPotential.stoppingPotential !== null ? stoppingPotential : null };
+    }
+
+    measureSweepStep(points, step, physics, sweepId) {
+        this.state.voltage = step.voltage;
+        const { measurement } = this.measure();
+        measurement.sweepId = sweepId;
+        measurement.leg = step.leg;
+        return { measurement, point: this.addSweepReading(points, step, measurement, physics) };
+    }
+
+    addSweepReading(points, step, measurement, physics) {
+        // Readings at one voltage on one leg are averaged into a single point; each leg stays in sweep order
+        let point = points.find(p => p.leg === step.leg && Math.abs(p.x - measurement.voltage) < 1e-9);
+        if (!point) {
+            point = {
+                x: measurement.voltage,
+                y: 0,
+                sigma: 0,
+                leg: step.leg,
+                wavelength: physics.wavelength,
+                material: measurement.material,
+                readings: []
+            };
+            points.push(point);
+        }
+        point.readings.push({ current: measurement.current, standardError: measurement.standardError, measurementId: measurement.id });
+        this.averageSweepPoint(point);
+        this.sortInSweepOrder(points, p => p.x);
+        return point;
+    }
+
+    nextSweepId() {
+        // Sweep ids stay unique across the record, including readings whose curve has been removed
+        return this.experimentData.reduce((max, m) => Math.max(max, m.sweepId || 0), 0) + 1;
+    }
+
+    buildSweepSchedule(config) {
+        // Voltages are generated by index, never accumulated, so each lands on the grid exactly
+        const high = Math.max(config.start, config.stop);
+        const low = Math.min(config.start, config.stop);
+        const count = Math.floor((high - low) / config.step + 1e-9);
+        const descending = [];
+        for (let i = 0; i <= count; i++) {
+            descending.push(this.roundVoltage(high - i * config.step));
+        }
+        if (descending[descending.length - 1] !== low) descending.push(low);
+        const ascending = [...descending].reverse();
+
+        const leg = (voltages, name) => voltages.map(voltage => ({ voltage, leg: name }));
+        if (config.direction === 'up') return leg(ascending, 'up');
+        if (config.direction === 'hysteresis') return [...leg(descending, 'down'), ...leg(ascending.slice(1), 'up')];
+        return leg(descending, 'down');
+    }
+
+    buildRefinementSchedule(sweep, config) {
+        // Locate the cutoff from the coarse pass, then fill ±2 coarse steps around it at the fine step
+        const cutoff = this.findZeroCrossing(this.mergeCoincidentPoints(sweep.points));
+        if (!cutoff) return [];
+
+        const high = Math.max(config.start, config.stop);
+        const low = Math.min(config.start, config.stop);
+        const from = Math.max(low, cutoff.voltage - 2 * config.step);
+        const to = Math.min(high, cutoff.voltage + 2 * config.step);
+
+        const schedule = [];
+        const legs = config.direction === 'hysteresis' ? ['down', 'up'] : [config.direction];
+        legs.forEach(leg => {
+            const taken = sweep.points.filter(p => p.leg === leg).map(p => p.x);
+            for (let i = Math.ceil(from / config.fineStep); i * config.fineStep <= to + 1e-9; i++) {
+                const voltage = this.roundVoltage(i * config.fineStep);
+                if (taken.some(x => Math.abs(x - voltage) < config.fineStep / 2)) continue;
+                schedule.push({ voltage, leg });
+            }
+        });
+        return schedule;
+    }
+
+    sortInSweepOrder(items, voltageOf) {
+        // Down leg first (falling voltage), then the up leg (rising voltage)
+        const legOrder = ['down', 'up'];
+        return items.sort((a, b) => legOrder.indexOf(a.leg) - legOrder.indexOf(b.leg) ||
+            (a.leg === 'down' ? voltageOf(b) - voltageOf(a) : voltageOf(a) - voltageOf(b)));
+    }
+
+    averageSweepPoint(point) {
+        // Mean of the pass readings; the error is the larger of the propagated
+        // standard errors and the pass-to-pass scatter
+        const n = point.readings.length;
+        const mean = point.readings.reduce((sum, r) => sum + r.current, 0) / n;
+        let sigma = Math.sqrt(point.readings.reduce((sum, r) => sum + r.standardError * r.standardError, 0)) / n;
+        if (n > 1) {
+            const scatter = Math.sqrt(point.readings.reduce((sum, r) => sum + Math.pow(r.current - mean, 2), 0) / (n - 1));
+            sigma = Math.max(sigma, scatter / Math.sqrt(n));
+        }
+        point.y = mean;
+        point.sigma = sigma;
+    }
+
+    getReadingPoints(readings) {
+        // I-V points from recorded readings: sweep readings averaged per sweep, leg and voltage
+        // as they were during the sweep, manual readings one point each
+        const sweepPoints = new Map();
+        const manual = [];
+        readings.forEach(m => {
+            if (m.leg === undefined) {
+                manual.push({
+                    x: m.voltage,
+                    y: m.current,
+                    sigma: m.standardError,
+                    wavelength: m.wavelength,
+                    material: m.material,
+                    manual: true,
+                    measurementId: m.id
+                });
+                return;
+            }
+            const key = `${m.sweepId}|${m.leg}|${Math.round(m.voltage * 1e6)}`;
+            if (!sweepPoints.has(key)) {
+                sweepPoints.set(key, {
+                    x: m.voltage,
+                    y: 0,
+                    sigma: 0,
+                    leg: m.leg,
+                    wavelength: m.wavelength,
+                    material: m.material,
+                    sweepId: m.sweepId,
+                    readings: []
+                });
+            }
+            sweepPoints.get(key).readings.push({ current: m.current, standardError: m.standardError, measurementId: m.id });
+        });
+
+        const points = [...sweepPoints.values()];
+        points.forEach(point => this.averageSweepPoint(point));
+        return [...this.sortInSweepOrder(points, p => p.x), ...manual];
+    }
+
+    rebuildFrequencyData() {
+        // V_s for each material, collector and wavelength (readings within 1 nm), re-derived from every
+        // included I-V reading so deleting, excluding or restoring readings keeps the analysis in step.
+        // Spectral-scan readings (tagged with scanId) are not I-V data and are left out
+        const groups = [];
+        this.experimentData.forEach(m => {
+            if (m.excluded || m.scanId !== undefined) return;
+            let group = groups.find(g => g.material === m.material && g.collector === m.collector &&
+                Math.abs(g.wavelength - m.wavelength) < 1);
+            if (!group) {
+                group = { material: m.material, collector: m.collector, readings: [] };
+                groups.push(group);
+            }
+            // The latest reading sets the conditions reported for the wavelength
+            Object.assign(group, { wavelength: m.wavelength, frequency: m.frequency, filter: m.filter, emission: m.emission });
+            group.readings.push(m);
+        });
+
+        this.frequencyData = groups
+            .filter(group => group.emission)
+            .map(group => {
+                // As in the lab, a new sweep at a wavelength supersedes earlier ones; manual readings all count
+                const latestSweep = Math.max(...group.readings.map(m => m.leg === undefined ? 0 : m.sweepId || 0));
+                const points = this.getReadingPoints(group.readings.filter(m =>
+                    m.leg === undefined || (m.sweepId || 0) === latestSweep));
+                const extraction = this.extractStoppingPotential(points, this.state.extractionMethod);
+                return {
+                    wavelength: group.wavelength,
+                    frequency: group.frequency / 1e14, // Convert to 10^14 Hz for display
+                    stoppingPotential: extraction ? extraction.value : null,
+                    uncertainty: extraction ? extraction.uncertainty : null,
+                    method: this.state.extractionMethod,
+                    filter: group.filter,
+                    material: group.material,
+                    collector: group.collector,
+                    points
+                };
+            })
+            // A single voltage cannot resolve a cutoff; such wavelengths are not listed yet
+            .filter(d => this.mergeCoincidentPoints(d.points).length >= 2);
+        return this.frequencyData;
+    }
+
+    excludeMeasurements(ids, excluded = true) {
+        // Marks readings as left out of (or back in) the analysis; returns how many changed
+        const selected = new Set(ids);
+        let changed = 0;
+        this.experimentData.forEach(m => {
+            if (selected.has(m.id) && m.excluded !== excluded) {
+                m.excluded = excluded;
+                changed++;
+            }
+        });
+        this.rebuildFrequencyData();
+        return changed;
+    }
+
+    deleteMeasurements(ids) {
+        // Removes readings from the record; returns how many were removed
+        const selected = new Set(ids);
+        const before = this.experimentData.length;
+        this.experimentData = this.experimentData.filter(m => !selected.has(m.id));
+        this.rebuildFrequencyData();
+        return before - this.experimentData.length;
+    }
+
+    summarizeMeasurements(readings, groupBy = 'voltage') {
+        // Mean, sample SD and count of the current for readings taken under the same material, collector,
+        // filter and wavelength, and at the same voltage when groupBy is 'voltage'; excluded readings are left out
+        const groups = new Map();
+        readings.forEach(m => {
+            if (m.excluded) return;
+            const voltage = groupBy === 'voltage' ? m.voltage : null;
+            const key = `${m.material}|${m.collector}|${m.filter}|${m.wavelength.toFixed(1)}|${voltage}`;
+            if (!groups.has(key)) {
+                groups.set(key, {
+                    material: m.material, collector: m.collector, filter: m.filter, wavelength: m.wavelength, voltage, currents: []
+                });
+            }
+            groups.get(key).currents.push(m.current);
+        });
+
+        return [...groups.values()]
+            .map(({ currents, ...group }) => {
+                const count = currents.length;
+                const mean = currents.reduce((sum, current) => sum + current, 0) / count;
+                const sd = count > 1
+                    ? Math.sqrt(currents.reduce((sum, current) => sum + Math.pow(current - mean, 2), 0) / (count - 1))
+                    : null;
+                return { ...group, count, mean, sd };
+            })
+            .sort((a, b) => a.material.localeCompare(b.material) || a.wavelength - b.wavelength ||
+                (b.voltage || 0) - (a.voltage || 0));
+    }
+
+    extractStoppingPotential(points, method) {
+        const sorted = this.mergeCoincidentPoints(points);
+        if (sorted.length < 2) return null;
+
+        let cutoff = null;
+        if (method === 'zero-crossing') {
+            cutoff = this.findZeroCrossing(sorted);
+        } else if (method === 'tangent') {
+            cutoff = this.findTangentIntersection(sorted);
+        } else if (method === 'retarding-fit') {
+            cutoff = this.fitRetardingRegion(sorted);
+        }
+        if (!cutoff || !isFinite(cutoff.voltage) || !isFinite(cutoff.uncertainty)) return null;
+
+        // Cutoff sits at V = -Vs on the applied-voltage axis
+        return { value: -cutoff.voltage, uncertainty: cutoff.uncertainty, method };
+    }
+
+    mergeCoincidentPoints(points) {
+        // Repeat readings at one voltage (or both hysteresis legs) become a single
+        // inverse-variance weighted point, sorted by voltage
+        const groups = new Map();
+        points.forEach(p => {
+            const key = Math.round(p.x * 1e6);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(p);
+        });
+
+        return [...groups.values()].map(group => {
+            if (group.length === 1) {
+                return { x: group[0].x, y: group[0].y, sigma: group[0].sigma || 0 };
+            }
+            if (group.some(p => !(p.sigma > 0))) {
+                const y = group.reduce((sum, p) => sum + p.y, 0) / group.length;
+                return { x: group[0].x, y, sigma: 0 };
+            }
+            const weights = group.map(p => 1 / (p.sigma * p.sigma));
+            const weightSum = weights.reduce((a, b) => a + b, 0);
+            const y = group.reduce((sum, p, i) => sum + weights[i] * p.y, 0) / weightSum;
+            return { x: group[0].x, y, sigma: 1 / Math.sqrt(weightSum) };
+        }).sort((a, b) => a.x - b.x);
+    }
+
+    findZeroCrossing(points) {
+        const peak = Math.max(...points.map(p => p.y));
+        // Readings within this band are indistinguishable from zero current
+        const noiseFloor = p => Math.max(3 * p.sigma, 0.001 * peak);
+
+        // Highest-voltage transition from no current to positive current
+        for (let i = points.length - 1; i > 0; i--) {
+            const lo = points[i - 1];
+            const hi = points[i];
+            if (!(lo.y <= noiseFloor(lo) && hi.y > noiseFloor(hi))) continue;
+
+            const intervalVariance = Math.pow(hi.x - lo.x, 2) / 12;
+            let a = lo, b = hi;
+            if (lo.y >= -noiseFloor(lo)) {
+                // A floor at zero carries no slope information, so extrapolate
+                // the rising edge down to I = 0 instead of interpolating
+                const next = points[i + 1];
+                if (!next || next.y <= hi.y || next.y >= 0.9 * peak) {
+                    // Only one point on the edge: the bracket is all the data resolves
+                    return { voltage: (lo.x + hi.x) / 2, uncertainty: Math.sqrt(intervalVariance) };
+                }
+                a = hi;
+                b = next;
+            }
+
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const crossing = Math.min(Math.max(a.x - a.y * dx / dy, lo.x), hi.x);
+
+            // Propagated current noise plus the sampling interval bracketing the crossing
+            const noiseVariance = Math.pow(dx * b.y / (dy * dy) * a.sigma, 2) +
+                Math.pow(dx * a.y / (dy * dy) * b.sigma, 2);
+
+            return { voltage: crossing, uncertainty: Math.sqrt(noiseVariance + intervalVariance) };
+        }
+        return null;
+    }
+
+    findTangentIntersection(points) {
+        const peak = Math.max(...points.map(p => p.y));
+
+        // Tangent along the steepest rising segment of the foot (lowest fifth of the rise);
+        // a soft cutoff curves upward, so tangents taken higher up land short of the cutoff.
+        // Both ends must sit above the noise floor, or the segment straddles the cutoff itself
+        const findSteepest = (limit) => {
+            let steepest = -1;
+            let maxSlope = 0;
+            for (let i = 0; i < points.length - 1; i++) {
+                if (points[i + 1].y > limit) continue;
+                if (points[i].y <= Math.max(3 * points[i].sigma, 0.001 * peak)) continue;
+                const slope = (points[i + 1].y - points[i].y) / (points[i + 1].x - points[i].x);
+                if (slope > maxSlope) {
+                    maxSlope = slope;
+                    steepest = i;
+                }
+            }
+            return steepest;
+        };
+        let steepest = findSteepest(0.2 * peak);
+        if (steepest < 0) steepest = findSteepest(Infinity);
+        if (steepest < 0) return null;
+
+        const tangent = this.fitLine([points[steepest], points[steepest + 1]]);
+
+        // Baseline from the cutoff floor below the tangent
+        const floor = points.filter(p => p.x < points[steepest].x && p.y < 0.05 * peak);
+        if (floor.length === 0) return null;
+        const baseline = floor.length > 1
+            ? this.fitLine(floor)
+            : { intercept: floor[0].y, slope: 0, varIntercept: Math.pow(floor[0].sigma, 2), varSlope: 0, covariance: 0 };
+
+        const slopeDifference = tangent.slope - baseline.slope;
+        if (slopeDifference <= 0) return null;
+        const voltage = (baseline.intercept - tangent.intercept) / slopeDifference;
+
+        // Each line's prediction variance at the intersection, scaled by the slope difference
+        const lineVariance = line => line.varIntercept + voltage * voltage * line.varSlope + 2 * voltage * line.covariance;
+        const variance = (lineVariance(tangent) + lineVariance(baseline)) / (slopeDifference * slopeDifference);
+
+        return { voltage, uncertainty: Math.sqrt(variance) };
+    }
+
+    fitRetardingRegion(points) {
+        // Retarding region away from the foot and the saturation knee
+        const peak = Math.max(...points.map(p => p.y));
+        const region = points.filter(p => p.x <= 0 && p.y > 0.02 * peak && p.y < 0.9 * peak);
+        if (region.length < 2) return null;
+
+        // Quadratic covers both the linear (ideal) and the planar-geometry foot; two points only fix a line
+        const fit = this.fitPolynomial(region, region.length > 3 ? 2 : 1);
+        const [a, b, c = 0] = fit.coefficients;
+
+        // Root of the fitted curve nearest the lowest point of the region
+        let voltage;
+        if (Math.abs(c) < 1e-12) {
+            voltage = -a / b;
+        } else {
+            const discriminant = b * b - 4 * a * c;
+            if (discriminant < 0) return null;
+            const roots = [1, -1].map(sign => (-b + sign * Math.sqrt(discriminant)) / (2 * c));
+            voltage = roots.reduce((best, root) =>
+                Math.abs(root - region[0].x) < Math.abs(best - region[0].x) ? root : best
+            );
+        }
+
+        // The curve must be rising through the root
+        const derivative = b + 2 * c * voltage;
+        if (!(derivative > 0)) return null;
+
+        // Propagate the coefficient covariance through the root: ∂V/∂θ_k = -V^k / I'(V)
+        const gradient = fit.coefficients.map((_, k) => -Math.pow(voltage, k) / derivative);
+        let variance = 0;
+        gradient.forEach((gi, i) => gradient.forEach((gj, j) => {
+            variance += gi * gj * fit.covariance[i][j];
+        }));
+
+        // Inflate by the Birge ratio when the scatter exceeds the quoted errors
+        if (fit.dof > 0) variance *= Math.max(1, fit.reducedChiSquared);
+
+        return { voltage, uncertainty: Math.sqrt(variance) };
+    }
+
+    fitPolynomial(points, degree) {
+        // Weighted least squares for y = Σ θ_k·x^k via the normal equations
+        const sigmas = points.map(p => p.sigma).filter(sigma => sigma > 0);
+        const floorSigma = sigmas.length > 0 ? Math.min(...sigmas) : 1;
+        const size = degree + 1;
+
+        const normal = Array.from({ length: size }, () => new Array(size).fill(0));
+        const rhs = new Array(size).fill(0);
+        points.forEach(p => {
+            const sigma = p.sigma > 0 ? p.sigma : floorSigma;
+            const w = 1 / (sigma * sigma);
+            for (let i = 0; i < size; i++) {
+                rhs[i] += w * Math.pow(p.x, i) * p.y;
+                for (let j = 0; j < size; j++) {
+                    normal[i][j] += w * Math.pow(p.x, i + j);
+                }
+            }
+        });
+
+        const covariance = this.invertMatrix(normal);
+        const coefficients = covariance.map(row => row.reduce((sum, value, j) => sum + value * rhs[j], 0));
+
+        let chiSquared = 0;
+        points.forEach(p => {
+            const sigma = p.sigma > 0 ? p.sigma : floorSigma;
+            const model = coefficients.reduce((sum, theta, k) => sum + theta * Math.pow(p.x, k), 0);
+            chiSquared += Math.pow((p.y - model) / sigma, 2);
+        });
+        const dof = points.length - size;
+
+        return {
+            coefficients,
+            covariance,
+            chiSquared,
+            dof,
+            reducedChiSquared: dof > 0 ? chiSquared / dof : 0
+        };
+    }
+
+    invertMatrix(matrix) {
+        // Gauss-Jordan elimination with partial pivoting
+        const n = matrix.length;
+        const a = matrix.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))]);
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < n; row++) {
+                if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+            }
+            [a[col], a[pivot]] = [a[pivot], a[col]];
+            const divisor = a[col][col];
+            for (let j = 0; j < 2 * n; j++) a[col][j] /= divisor;
+            for (let row = 0; row < n; row++) {
+                if (row === col) continue;
+                const factor = a[row][col];
+                for (let j = 0; j < 2 * n; j++) a[row][j] -= factor * a[col][j];
+            }
+        }
+        return a.map(row => row.slice(n));
+    }
+
+    fitLine(points) {
+        // Weighted least squares for y = intercept + slope·x with weights 1/σ²;
+        // points without a usable σ take the smallest σ in the set
+        const sigmas = points.map(p => p.sigma).filter(sigma => sigma > 0);
+        const floorSigma = sigmas.length > 0 ? Math.min(...sigmas) : 1;
+
+        let S = 0, Sx = 0, Sy = 0, Sxx = 0, Sxy = 0;
+        points.forEach(p => {
+            const sigma = p.sigma > 0 ? p.sigma : floorSigma;
+            const w = 1 / (sigma * sigma);
+            S += w;
+            Sx += w * p.x;
+            Sy += w * p.y;
+            Sxx += w * p.x * p.x;
+            Sxy += w * p.x * p.y;
+        });
+
+        const delta = S * Sxx - Sx * Sx;
+        const intercept = (Sxx * Sy - Sx * Sxy) / delta;
+        const slope = (S * Sxy - Sx * Sy) / delta;
+
+        let chiSquared = 0;
+        points.forEach(p => {
+            const sigma = p.sigma > 0 ? p.sigma : floorSigma;
+            chiSquared += Math.pow((p.y - intercept - slope * p.x) / sigma, 2);
+        });
+        const dof = points.length - 2;
+
+        return {
+            intercept,
+            slope,
+            varIntercept: Sxx / delta,
+            varSlope: S / delta,
+            covariance: -Sx / delta,
+            chiSquared,
+            dof,
+            reducedChiSquared: dof > 0 ? chiSquared / dof : 0
+        };
+    }
+
+    fitPlanck() {
+        // Null until the fit group has V_s at two or more distinct frequencies
+        const resolved = this.getFitData();
+        if (new Set(resolved.map(d => d.frequency.toFixed(6))).size < 2) {
+            this.planckFit = null;
+            return null;
+        }
+
+        // Weighted linear fit: Vs = (h/e) * f - φ/e, weights from the V_s uncertainties.
+        // Frequencies stay in 10^14 Hz to keep the normal equations well conditioned
+        const fit = this.fitLine(resolved.map(d => ({
+            x: d.frequency,
+            y: d.stoppingPotential,
+            sigma: d.uncertainty
+        })));
+
+        // Inflate by the Birge ratio when the scatter exceeds the quoted errors
+        const scale = fit.dof > 0 ? Math.max(1, fit.reducedChiSquared) : 1;
+        const varSlope = fit.varSlope * scale;
+        const varIntercept = fit.varIntercept * scale;
+        const covariance = fit.covariance * scale;
+
+        // Slope in V·s equals h in eV·s
+        const slope = fit.slope / 1e14;
+        const slopeError = Math.sqrt(varSlope) / 1e14;
+        const workFunction = -fit.intercept;
+        const workFunctionError = Math.sqrt(varIntercept);
+
+        // f0 = -intercept / slope, propagated with the slope-intercept covariance
+        const threshold = -fit.intercept / fit.slope;
+        const thresholdError = Math.sqrt(
+            varIntercept / (fit.slope * fit.slope) +
+            Math.pow(fit.intercept, 2) * varSlope / Math.pow(fit.slope, 4) -
+            2 * fit.intercept * covariance / Math.pow(fit.slope, 3)
+        );
+
+        // Weighted coefficient of determination
+        const weights = resolved.map(d => 1 / Math.pow(d.uncertainty > 0 ? d.uncertainty : 1, 2));
+        const weightSum = weights.reduce((a, b) => a + b, 0);
+        const meanY = resolved.reduce((sum, d, i) => sum + weights[i] * d.stoppingPotential, 0) / weightSum;
+        let residualSum = 0, totalSum = 0;
+        resolved.forEach((d, i) => {
+            residualSum += weights[i] * Math.pow(d.stoppingPotential - fit.intercept - fit.slope * d.frequency, 2);
+            totalSum += weights[i] * Math.pow(d.stoppingPotential - meanY, 2);
+        });
+
+        this.planckFit = {
+            points: resolved.length,
+            slope,
+            slopeError,
+            intercept: fit.intercept,
+            interceptError: workFunctionError,
+            slopeInterceptCovariance: covariance / 1e14,   // V²·s
+            workFunction,
+            workFunctionError,
+            thresholdFrequency: threshold * 1e14,
+            thresholdFrequencyError: thresholdError * 1e14,
+            rSquared: totalSum > 0 ? 1 - residualSum / totalSum : 1,
+            chiSquared: fit.chiSquared,
+            dof: fit.dof,
+            reducedChiSquared: fit.reducedChiSquared,
+            percentError: Math.abs((slope - this.constants.planckConstant) / this.constants.planckConstant) * 100
+        };
+        return this.planckFit;
+    }
+
+    getPlanckFitBand(min, max, steps = 40) {
+        // Fitted line and its 95% band between two frequencies (10^14 Hz), padded by 5% each side
+        const fit = this.planckFit;
+        const padding = 0.05 * (max - min);
+        const t = this.studentT95(fit.dof);
+        const line = [], upper = [], lower = [];
+        for (let i = 0; i <= steps; i++) {
+            const x = min - padding + (max - min + 2 * padding) * i / steps;
+            const f = x * 1e14;
+            const y = fit.intercept + fit.slope * f;
+            const halfWidth = t * Math.sqrt(fit.interceptError * fit.interceptError +
+                f * f * fit.slopeError * fit.slopeError + 2 * f * fit.slopeInterceptCovariance);
+            line.push({ x, y });
+            upper.push({ x, y: y + halfWidth });
+            lower.push({ x, y: y - halfWidth });
+        }
+        return { line, upper, lower };
+    }
+
+    gradeAssessment(submitted, tolerances) {
+        // Out of 50 each for h and φ against what the apparatus yields: the intercept gives the
+        // collector-side work function, which is the photocathode's in the ideal model
+        const grade = (value, truth, tolerance) => {
+            // Full marks within tolerance, falling linearly to zero at three times the tolerance
+            const error = Math.abs(value - truth);
+            return 50 * (error <= tolerance ? 1 : Math.max(0, 1 - (error - tolerance) / (2 * tolerance)));
+        };
+        const trueH = this.constants.planckConstant;
+        const trueWorkFunction = this.getCollectorWorkFunction();
+        const h = {
+            submitted: submitted.h,
+            truth: trueH,
+            percentError: Math.abs(submitted.h - trueH) / trueH * 100,
+            tolerance: tolerances.toleranceH,
+            score: grade(submitted.h, trueH, trueH * tolerances.toleranceH / 100)
+        };
+        const workFunction = {
+            submitted: submitted.workFunction,
+            truth: trueWorkFunction,
+            error: Math.abs(submitted.workFunction - trueWorkFunction),
+            tolerance: tolerances.toleranceWorkFunction,
+            score: grade(submitted.workFunction, trueWorkFunction, tolerances.toleranceWorkFunction)
+        };
+        return { h, workFunction, total: h.score + workFunction.score };
+    }
+
+    studentT95(dof) {
+        // Two-sided 95% critical values; the normal value beyond the table
+        const table = [12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+            2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086];
+        if (dof < 1) return 1.96;
+        return dof <= table.length ? table[dof - 1] : 1.96;
+    }
+
+    getDisplayUnit(kind) {
+        return constantsModule.DISPLAY_UNITS[kind][this.state.displayUnits[kind]];
+    }
+
+    convertQuantity(kind, value) {
+        // Internal value (eV, Hz or nm) in the selected display unit
+        return this.getDisplayUnit(kind).toUnit(value, this.constants);
+    }
+
+    exportColumn(name, kind) {
+        return `${name}_${this.getDisplayUnit(kind).key}`;
+    }
+
+    exportQuantity(kind, value) {
+        const converted = this.convertQuantity(kind, value);
+        return this.getDisplayUnit(kind).scientific || Math.abs(converted) >= 1e6
+            ? converted.toExponential(6)
+            : converted.toFixed(6);
+    }
+
+    csvField(value) {
+        // RFC 4180: quote fields containing separators, quotes, line breaks or edge whitespace
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    toCsv(rows) {
+        return rows.map(row => row.map(value => this.csvField(value)).join(',')).join('\n') + '\n';
+    }
+
+    getMeasurementTable() {
+        const rows = [[
+            'Timestamp',
+            'Material',
+            this.exportColumn('Work_Function', 'energy'),
+            'Collector',
+            'Light_Source',
+            'Filter',
+            this.exportColumn('Wavelength', 'wavelength'),
+            this.exportColumn('Frequency', 'frequency'),
+            this.exportColumn('Photon_Energy', 'energy'),
+            'Intensity_percent',
+            'Distance_cm',
+            'Current_Model',
+            'Applied_Voltage_V',
+            'Measured_Voltage_V',
+            'Current_microA',
+            'Standard_Error_microA',
+            'Measurements_Count',
+            'Over_Range',
+            'Theoretical_Stopping_Potential_V',
+            'Excluded'
+        ]];
+        this.experimentData.forEach(data => {
+            rows.push([
+                data.timestamp.toISOString(),
+                data.material,
+                data.workFunctionHidden ? 'hidden' : this.exportQuantity('energy', data.workFunction),
+                data.collector || 'standard',
+                data.lightSource,
+                data.filter,
+                this.exportQuantity('wavelength', data.wavelength),
+                this.exportQuantity('frequency', data.frequency),
+                this.exportQuantity('energy', data.photonEnergy),
+                data.intensity,
+                data.distance,
+                data.currentModel,
+                data.appliedVoltage.toFixed(6),
+                data.voltage.toFixed(6),
+                data.current.toFixed(6),
+                data.standardError.toExponential(3),
+                data.measurements,
+                data.overRange ? 'yes' : 'no',
+                data.workFunctionHidden ? 'hidden' : data.stoppingPotential.toFixed(6),
+                data.excluded ? 'yes' : 'no'
+            ]);
+        });
+        return rows;
+    }
+
+    getFrequencySummaryTable() {
+        const rows = [['Filter', 'Material', 'Collector', this.exportColumn('Wavelength', 'wavelength'), this.exportColumn('Frequency', 'frequency'),
+            'Stopping_Potential_V', 'Uncertainty_V', 'Method', 'IV_Points']];
+        this.frequencyData.forEach(data => {
+            const resolved = data.stoppingPotential !== null;
+            rows.push([
+                data.filter,
+                data.material,
+                data.collector || 'standard',
+                this.exportQuantity('wavelength', data.wavelength),
+                this.exportQuantity('frequency', data.frequency * 1e14),
+                resolved ? data.stoppingPotential.toFixed(6) : '',
+                resolved ? data.uncertainty.toFixed(6) : '',
+                this.extractionMethods[data.method],
+                data.points.length
+            ]);
+        });
+        return rows;
+    }
+
+    getPlanckFitTable() {
+        const fit = this.planckFit;
+        if (!fit) return null;
+        return [
+            ['Quantity', 'Value', 'Uncertainty'],
+            [`h_${this.getDisplayUnit('energy').key}s`, this.convertQuantity('energy', fit.slope).toExponential(6),
+                this.convertQuantity('energy', fit.slopeError).toExponential(6)],
+            [this.exportColumn('Work_Function', 'energy'), this.exportQuantity('energy', fit.workFunction),
+                this.exportQuantity('energy', fit.workFunctionError)],
+            [this.exportColumn('Threshold_Frequency', 'frequency'), this.exportQuantity('frequency', fit.thresholdFrequency),
+                this.exportQuantity('frequency', fit.thresholdFrequencyError)],
+            ['R_Squared', fit.rSquared.toFixed(6), ''],
+            ['Reduced_Chi_Squared', fit.reducedChiSquared.toFixed(4), ''],
+            ['Percent_Error', fit.percentError.toFixed(3), '']
+        ];
+    }
+
+    getTimeSeriesTable() {
+        const rows = [['Time_s', 'Time_Since_Lamp_On_s', 'Voltage_V', 'Current_microA', 'Lamp_Output_percent',
+            this.exportColumn('Wavelength', 'wavelength')]];
+        this.timeSeries.forEach(sample => {
+            rows.push([
+                sample.time.toFixed(3),
+                sample.lampTime === null ? '' : sample.lampTime.toFixed(3),
+                sample.voltage.toFixed(6),
+                sample.current.toFixed(6),
+                (sample.lampOutput * 100).toFixed(3),
+                this.exportQuantity('wavelength', sample.wavelength)
+            ]);
+        });
+        return rows;
+    }
+
+    getSweepTable(sweep) {
+        const rows = [['Voltage_V', 'Current_microA', 'Standard_Error_microA', 'Leg', this.exportColumn('Wavelength', 'wavelength'), 'Material']];
+        sweep.points.forEach(p => {
+            rows.push([p.x.toFixed(6), p.y.toFixed(6), p.sigma.toExponential(3), p.leg, this.exportQuantity('wavelength', p.wavelength), p.material]);
+        });
+        return rows;
+    }
+}
+
+if (typeof module === 'object' && module.exports) {
+    module.exports = { PhotoelectricCore };
+}
@@ -0,0 +1,349 @@
+// Tests for the DOM-free physics core. Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PhotoelectricCore } = require('../physics.js');
+
+// Noise-free instrument so readings follow the model exactly
+function quietCore() {
+    const core = new PhotoelectricCore();
+    Object.assign(core.instrument, { samplesPerPoint: 10, gaussianNoise: 0, shotNoise: false, offsetDrift: 0 });
+    return core;
+}
+
+function assertClose(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} is not within ${tolerance} of ${expected}`);
+}
+
+test('Einstein relation: E = hc/λ and KEmax = E − φ', () => {
+    const core = new PhotoelectricCore();
+    const { planckConstant: h, speedOfLight: c } = core.constants;
+    core.setMaterial('cs');
+    [250, 365, 404.7, 435.8, 546.1].forEach(wavelength => {
+        core.setWavelength(wavelength);
+        const physics = core.calculatePhysics();
+        const energy = h * c / (wavelength * 1e-9);
+        assertClose(physics.photonEnergy, energy, 1e-12, `photon energy at ${wavelength} nm`);
+        assertClose(physics.frequency, c / (wavelength * 1e-9), 1, `frequency at ${wavelength} nm`);
+        assertClose(physics.maxKineticEnergy, energy - 2.10, 1e-12, `KEmax at ${wavelength} nm`);
+        assert.equal(physics.stoppingPotential, physics.maxKineticEnergy);
+    });
+});
+
+test('threshold: f0 = φ/h, and no photocurrent below it', () => {
+    const core = quietCore();
+    core.setMaterial('na');
+    core.setLightSource('flat');
+    core.state.currentModel = 'ideal';
+    core.setVoltage(1);
+
+    const { thresholdFrequency, thresholdWavelength } = core.calculatePhysics();
+    assertClose(thresholdFrequency, 2.28 / core.constants.planckConstant, 1, 'threshold frequency');
+    assertClose(thresholdWavelength, core.constants.speedOfLight / thresholdFrequency * 1e9, 1e-9, 'threshold wavelength');
+
+    core.setWavelength(thresholdWavelength + 5);
+    const below = core.calculatePhysics();
+    assert.equal(below.isEmission, false);
+    assert.equal(below.saturationCurrent, 0);
+    assert.equal(below.current, 0);
+
+    core.setWavelength(thresholdWavelength - 60);
+    const above = core.calculatePhysics();
+    assert.equal(above.isEmission, true);
+    assert.ok(above.current > 0);
+});
+
+test('ideal model cuts off at the stopping potential', () => {
+    const core = quietCore();
+    core.setMaterial('cs');
+    core.state.currentModel = 'ideal';
+    core.setWavelength(435.8);
+    const { stoppingPotential } = core.calculatePhysics();
+
+    core.setVoltage(-stoppingPotential - 0.01);
+    assert.equal(core.calculatePhysics().current, 0);
+    core.setVoltage(-stoppingPotential + 0.05);
+    assert.ok(core.calculatePhysics().current > 0);
+});
+
+test('Planck fit recovers h and φ exactly from ideal stopping potentials', () => {
+    const core = new PhotoelectricCore();
+    const h = core.constants.planckConstant;
+    const workFunction = 2.10;
+    core.frequencyData = [365.0, 404.7, 435.8, 546.1].map(wavelength => {
+        const frequency = core.getPhotonData(wavelength).frequency;
+        return {
+            wavelength,
+            frequency: frequency / 1e14,
+            stoppingPotential: h * frequency - workFunction,
+            uncertainty: 0.01,
+            method: 'zero-crossing',
+            material: core.state.currentMaterial.name,
+            collector: null,
+            points: []
+        };
+    });
+
+    const fit = core.fitPlanck();
+    assertClose(fit.slope, h, h * 1e-9, 'h');
+    assertClose(fit.workFunction, workFunction, 1e-9, 'φ');
+    assertClose(fit.thresholdFrequency, workFunction / h, 1e6, 'f0');
+    assert.ok(fit.percentError < 1e-6);
+});
+
+test('Planck fit recovers h from simulated sweeps', () => {
+    const core = quietCore();
+    core.setMaterial('cs');
+    core.state.currentModel = 'ideal';
+    [365.0, 404.7, 435.8, 546.1].forEach(wavelength => {
+        core.setWavelength(wavelength);
+        const { stoppingPotential } = core.sweep({ start: 0.5, stop: -2, step: 0.01, direction: 'down', passes: 1, adaptive: false });
+        assert.ok(stoppingPotential, `V_s resolved at ${wavelength} nm`);
+    });
+
+    const fit = core.fitPlanck();
+    assert.equal(fit.points, 4);
+    assertClose(fit.slope, core.constants.planckConstant, 0.02 * core.constants.planckConstant, 'h within 2%');
+    assertClose(fit.workFunction, 2.10, 0.05, 'φ');
+});
+
+test('Planck fit uses one material and collector, and needs two distinct frequencies', () => {
+    const core = quietCore();
+    core.state.currentModel = 'ideal';
+    const sweep = () => core.sweep({ start: 0.5, stop: -2, step: 0.01, direction: 'down', passes: 1, adaptive: false });
+    core.setMaterial('cs');
+    [365.0, 404.7, 435.8].forEach(wavelength => {
+        core.setWavelength(wavelength);
+        sweep();
+    });
+    core.setMaterial('K');
+    core.setWavelength(435.8);
+    sweep();
+
+    // Potassium has V_s at one frequency only, which Cesium's three points must not make up for
+    assert.equal(core.frequencyData.length, 4);
+    assert.equal(core.fitPlanck(), null);
+    assert.equal(core.planckFit, null);
+
+    const fit = core.setFitGroup({ material: 'Cesium', collector: null }) && core.planckFit;
+    assert.equal(fit.points, 3);
+    assertClose(fit.slope, core.constants.planckConstant, 0.02 * core.constants.planckConstant, 'h within 2%');
+    assertClose(fit.workFunction, 2.10, 0.05, 'φ of Cesium');
+    assert.deepEqual(core.getFrequencyGroups(), [{ material: 'Cesium', collector: null }, { material: 'Potassium', collector: null }]);
+});
+
+test('Planck fit recovers h through the colour filters', () => {
+    const core = quietCore();
+    core.setMaterial('cs');
+    core.state.currentModel = 'ideal';
+    ['blue', 'green', 'yellow'].forEach(filter => {
+        core.setFilter(filter);
+        core.sweep({ start: 0.5, stop: -2, step: 0.01, direction: 'down', passes: 1, adaptive: false });
+    });
+
+    // Behind the filters the mercury lamp's own lines set the cutoff, and the readings are taken there
+    assert.deepEqual(core.frequencyData.map(d => d.wavelength), [435.8, 546.1, 577.0]);
+    const fit = core.fitPlanck();
+    assertClose(fit.slope, core.constants.planckConstant, 0.02 * core.constants.planckConstant, 'h within 2%');
+    assertClose(fit.workFunction, 2.10, 0.05, 'φ');
+});
+
+test('measurements are recorded with their conditions and exported', () => {
+    const core = quietCore();
+    core.setMaterial('K');
+    core.setFilter('blue');
+    core.setVoltage(0.5);
+    const { measurement } = core.measure();
+    assert.equal(core.experimentData.length, 1);
+    assert.equal(measurement.material, 'Potassium');
+    assert.equal(measurement.filter, 'blue');
+    assert.equal(measurement.voltage, 0.5);
+
+    const table = core.getMeasurementTable();
+    assert.equal(table.length, 2);
+    assert.ok(table[0].includes('Wavelength_nm'));
+    core.state.displayUnits.wavelength = 'angstrom';
+    // Behind the blue filter the mercury lamp reads at its 435.8 nm line
+    assert.equal(core.getMeasurementTable()[1][table[0].indexOf('Wavelength_nm')], '4358.000000');
+
+    assert.equal(core.toCsv([['a', 'b,c'], ['say "hi"', 1]]), 'a,"b,c"\n"say ""hi""",1\n');
+});
+
+test('setters reject settings the apparatus cannot reach', () => {
+    const core = new PhotoelectricCore();
+    assert.throws(() => core.setMaterial('unobtainium'), /Unknown photocathode material/);
+    assert.throws(() => core.setFilter('violet'), /Unknown filter/);
+    assert.throws(() => core.setWavelength(50), /Wavelength must lie within/);
+    assert.throws(() => core.setConstantsProfile('imperial'), /Unknown constants profile/);
+});
+
+test('constants profiles switch the values the physics uses', () => {
+    const core = new PhotoelectricCore();
+    core.setWavelength(500);
+    const codata = core.calculatePhysics().photonEnergy;
+    core.setConstantsProfile('labManual');
+    assert.equal(core.constants.speedOfLight, 3e8);
+    assert.notEqual(core.calculatePhysics().photonEnergy, codata);
+});
+
+test('the same seed and actions reproduce the same readings bit for bit', () => {
+    const run = seed => {
+        const core = new PhotoelectricCore({ seed });
+        core.setMaterial('K');
+        ['blue', 'green'].forEach(filter => {
+            core.setFilter(filter);
+            core.sweep({ start: 1, stop: -2, step: 0.1, passes: 2 });
+        });
+        // Animation draws must not disturb the measurement stream
+        for (let i = 0; i < 100; i++) core.random('animation');
+        core.setVoltage(0.3);
+        core.measure();
+        return core.experimentData.map(({ timestamp, ...reading }) => reading);
+    };
+
+    const first = run('LAB1');
+    assert.deepEqual(run('LAB1'), first);
+    assert.notDeepEqual(run('LAB2'), first);
+
+    // Re-seeding the same core and repeating the actions gives the same readings again
+    const core = new PhotoelectricCore({ seed: 'LAB1' });
+    core.setMaterial('K');
+    const replay = () => {
+        core.setSeed('LAB1');
+        const from = core.experimentData.length;
+        core.sweep({ start: 1, stop: -2, step: 0.1, passes: 2 });
+        return core.experimentData.slice(from).map(m => [m.voltage, m.current, m.standardError]);
+    };
+    assert.deepEqual(replay(), replay());
+});
+
+test('a saved stream position resumes the sequence exactly', () => {
+    const core = new PhotoelectricCore({ seed: 'RESUME' });
+    core.measure();
+    const saved = { randomState: core.getRandomState(), ammeterOffset: core.state.ammeterOffset };
+    const next = core.measure().measurement;
+
+    // As a restored session does: same seed, then the saved stream positions and offset
+    const restored = new PhotoelectricCore({ seed: 'RESUME' });
+    restored.setRandomState(saved.randomState);
+    restored.state.ammeterOffset = saved.ammeterOffset;
+    assert.equal(restored.measure().measurement.current, next.current);
+    assert.throws(() => restored.setRandomState({ flashlight: 1 }), /Unknown random stream/);
+});
+
+test('excluding or deleting readings re-derives V_s from the readings that remain', () => {
+    const core = quietCore();
+    core.setMaterial('cs');
+    core.state.currentModel = 'ideal';
+    core.setWavelength(435.8);
+    const { stoppingPotential } = core.sweep({ start: 0.5, stop: -2, step: 0.05, direction: 'down', passes: 1, adaptive: false });
+    const resolved = stoppingPotential.stoppingPotential;
+
+    // Without the retarding region there is no cutoff left to find
+    const retarding = core.experimentData.filter(m => m.voltage < 0).map(m => m.id);
+    assert.equal(core.excludeMeasurements(retarding), retarding.length);
+    assert.equal(core.frequencyData.length, 1);
+    assert.equal(core.frequencyData[0].stoppingPotential, null);
+
+    core.excludeMeasurements(retarding, false);
+    assert.equal(core.frequencyData[0].stoppingPotential, resolved);
+
+    const total = core.experimentData.length;
+    assert.equal(core.deleteMeasurements(retarding), retarding.length);
+    assert.equal(core.experimentData.length, total - retarding.length);
+    assert.equal(core.frequencyData[0].stoppingPotential, null);
+});
+
+test('group statistics give the mean, SD and count of repeated readings', () => {
+    const core = quietCore();
+    core.setMaterial('cs');
+    core.setFilter('blue');
+    core.setVoltage(0.5);
+    const readings = [1, 2, 3, 6].map(current => ({ ...core.measure().measurement, current }));
+    readings[3].excluded = true;
+
+    const [group] = core.summarizeMeasurements(readings);
+    assert.equal(group.count, 3);
+    assert.equal(group.voltage, 0.5);
+    assertClose(group.mean, 2, 1e-12, 'mean');
+    assertClose(group.sd, 1, 1e-12, 'SD');
+    assert.equal(core.summarizeMeasurements(readings.slice(0, 1), 'setting')[0].sd, null);
+
+    // Readings against another collector are summarised apart
+    const [withCollector] = core.summarizeMeasurements([{ ...readings[0], collector: 'Gold' }, ...readings.slice(1)])
+        .filter(g => g.collector === 'Gold');
+    assert.equal(withCollector.count, 1);
+});
+
+test('time-resolved lamp warms up after switch-on and logging leaves I-V readings untouched', () => {
+    const core = quietCore();
+    core.setMaterial('cs');
+    core.setFilter('blue');
+    core.setVoltage(1);
+    const settled = core.calculatePhysics().current;
+
+    core.setTimeResolved(true);
+    assert.equal(core.calculatePhysics().saturationCurrent, 0, 'no photocurrent before the lamp is switched on');
+    core.switchLamp(true);
+    const { coldOutput, warmUp, flicker } = core.getLampDynamics();
+    core.advanceTime(10 * flicker.decay);
+    assert.ok(core.getLampOutput() < 1 - (1 - coldOutput) * Math.exp(-1), 'still warming up');
+    assert.equal(core.getLampStatus(), 'warming');
+    core.advanceTime(10 * warmUp);
+    assertClose(core.getLampOutput(), 1, 0.02, 'settled output within the drift');
+    assert.equal(core.getLampStatus(), 'stable');
+    assertClose(core.calculatePhysics().current, settled, 0.02 * settled, 'settled current');
+
+    // Logger samples come from their own stream
+    const withLogging = new PhotoelectricCore({ seed: 'LOG' });
+    const without = new PhotoelectricCore({ seed: 'LOG' });
+    withLogging.timeSeries.push(withLogging.readTimeSample(), withLogging.readTimeSample());
+    assert.equal(withLogging.measure().measurement.current, without.measure().measurement.current);
+    assert.equal(withLogging.getTimeSeriesTable().length, 3);
+    assert.throws(() => core.advanceTime(-1), /Time can only move forward/);
+});
+
+test('contact potential shifts the intercept to the collector work function but leaves the slope', () => {
+    const core = quietCore();
+    core.setMaterial('cs');
+    core.state.currentModel = 'ideal';
+    core.setCollector('K');
+    assertClose(core.getContactPotential(), 0.20, 1e-12, 'contact potential');
+    [365.0, 404.7, 435.8, 546.1].forEach(wavelength => {
+        core.setWavelength(wavelength);
+        core.sweep({ start: 0.5, stop: -2, step: 0.01, direction: 'down', passes: 1, adaptive: false });
+    });
+
+    const fit = core.fitPlanck();
+    assertClose(fit.slope, core.constants.planckConstant, 0.02 * core.constants.planckConstant, 'h within 2%');
+    assertClose(fit.workFunction, 2.30, 0.05, 'intercept gives φ of the collector');
+    assert.equal(core.experimentData[0].collector, 'Potassium');
+    assert.throws(() => core.setCollector('unobtainium'), /Unknown collector material/);
+
+    // The standard collector keeps the tube's contact potential in the realistic model only
+    core.setCollector(null);
+    assert.equal(core.getContactPotential(), 0);
+    const standard = core.sweep({ start: 0.5, stop: -2, step: 0.01, direction: 'down', passes: 1, adaptive: false });
+    assert.equal(standard.stoppingPotential.collector, null);
+    assertClose(standard.stoppingPotential.stoppingPotential, core.calculatePhysics().stoppingPotential, 0.02, 'V_s of the standard collector');
+    const [header, ...rows] = core.getFrequencySummaryTable();
+    assert.equal(header[2], 'Collector');
+    assert.deepEqual(rows.filter(row => row[3] === rows[rows.length - 1][3]).map(row => row[2]), ['Potassium', 'standard']);
+    core.state.currentModel = 'realistic';
+    assertClose(core.getContactPotential(), core.apparatus.contactPotential, 1e-12, 'standard collector');
+});
+
+test('an ideal run of the assessment workflow scores full marks', () => {
+    const core = new PhotoelectricCore({ seed: 'assessment' });
+    core.setMaterial('cs');
+    core.state.currentModel = 'ideal';
+    [365.0, 404.7, 435.8, 546.1].forEach(wavelength => {
+        core.setWavelength(wavelength);
+        core.sweep({ start: 1, stop: -2, step: 0.05, direction: 'down', passes: 1, adaptive: true });
+    });
+
+    const fit = core.fitPlanck();
+    const result = core.gradeAssessment({ h: fit.slope, workFunction: fit.workFunction }, { toleranceH: 5, toleranceWorkFunction: 0.15 });
+    assert.equal(result.workFunction.truth, 2.10);
+    assert.equal(result.total, 100);
+});